@@ -0,0 +1,237 @@
+/* ====== Leaderboard server ======
+ * Small dependency-free Node HTTP server for global and friends leaderboards.
+ * Every request that writes or asks about "me" carries Telegram initData in
+ *   Authorization: tma <initData>
+ * which is HMAC-checked against the bot token (see telegramAuth.mjs). Scores are only
+ * taken from replays the server has re-simulated itself (see verifyReplay.mjs) on a worker
+ * thread, at most one at a time and SUBMISSIONS_PER_MINUTE a minute per player.
+ *
+ *   POST /api/scores        { board, score, replay }         -> { best, global, friends }
+ *                           (202 { flagged, reasons } when the replay looks forged, 422 when it is rejected,
+ *                            429 when the player submits too often, 503 when verification is backed up)
+ *   GET  /api/leaderboard   ?board=normal&scope=global|friends&limit=10 -> { entries, me }
+ *   POST /api/cards         { image, caption }               -> { url, preparedMessageId }
+ *   GET  /cards/<id>.jpg    an uploaded score card (see shareCards.mjs)
+ *   GET  /health
+ *
+ * Started by start.mjs (npm run server); this module only builds the server, so tests can
+ * import it. Local runs can use TEST_BOT_TOKEN - sign test initData with signInitData().
+ */
+import { createServer } from 'node:http';
+import { verifyInitData } from './telegramAuth.mjs';
+import { createMemoryStore } from './store.mjs';
+import { createReplayVerifier } from './replayVerifier.mjs';
+import { createRateLimiter } from './rateLimit.mjs';
+import { createCardStore, prepareCardMessage } from './shareCards.mjs';
+
+export const TEST_BOT_TOKEN = '123456:TEST-bot-token-for-local-runs';
+
+const MAX_BODY_BYTES = 256 * 1024;
+const BOARD_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_SCORE = 100000;
+const MAX_LIMIT = 100;
+const MAX_CAPTION = 200;
+const SUBMISSIONS_PER_MINUTE = 10;
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function sendJson(res, status, body, origin) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': origin,
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  res.end(body === null ? '' : JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      if (size > MAX_BODY_BYTES) return; // already refused - the rest is dropped until the connection closes
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Destroying the request here would take the socket down before the 413 goes out
+        reject(httpError(413, 'Request body too large'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) return;
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (error) {
+        reject(httpError(400, 'Body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function getDisplayName(user) {
+  return [user.first_name, user.last_name].filter(Boolean).join(' ') || user.username || `Player ${user.id}`;
+}
+
+function parseBoard(board) {
+  if (typeof board !== 'string' || !BOARD_PATTERN.test(board)) throw httpError(400, 'Invalid board');
+  return board;
+}
+
+/* ====== Server ======
+ * store: anything with the createMemoryStore() methods. verifier: anything with the
+ * createReplayVerifier() methods. publicUrl: where this server is reachable from the
+ * internet (cards are off without it). Returns an unstarted http.Server.
+ */
+export function createLeaderboardServer({
+  botToken,
+  store = createMemoryStore(),
+  cards = createCardStore(),
+  verifier = createReplayVerifier(),
+  publicUrl = null,
+  allowedOrigin = '*'
+}) {
+  if (!botToken) throw new Error('createLeaderboardServer needs a bot token');
+
+  const submissionLimiter = createRateLimiter({ limit: SUBMISSIONS_PER_MINUTE, windowMs: 60 * 1000 });
+  const verifying = new Set(); // players with a submission in progress - one at a time each
+
+  // Verified launch data from the Authorization header, or null when absent
+  function authenticate(req, { required }) {
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('tma ')) {
+      if (required) throw httpError(401, 'Missing Telegram initData');
+      return null;
+    }
+    try {
+      return verifyInitData(header.slice(4), botToken);
+    } catch (error) {
+      throw httpError(401, error.message);
+    }
+  }
+
+  function getStanding(board, auth) {
+    return {
+      global: store.getRank(board, auth.user.id),
+      friends: auth.chatInstance ? store.getRank(board, auth.user.id, { chatInstance: auth.chatInstance }) : null
+    };
+  }
+
+  // Resolves [status, body]
+  async function submitScore(req) {
+    const auth = authenticate(req, { required: true });
+    const userId = auth.user.id;
+    if (verifying.has(userId) || !submissionLimiter.take(userId)) throw httpError(429, 'Too many submissions, try again shortly');
+    if (verifier.isBusy()) throw httpError(503, 'Too many replays waiting for verification, try again shortly');
+    verifying.add(userId);
+    try {
+      return await verifyAndRecord(req, auth);
+    } finally {
+      verifying.delete(userId);
+    }
+  }
+
+  async function verifyAndRecord(req, auth) {
+    const body = await readJsonBody(req);
+    const board = parseBoard(body.board);
+    if (!Number.isInteger(body.score) || body.score < 0 || body.score > MAX_SCORE) throw httpError(400, 'Invalid score');
+    if (!body.replay) throw httpError(400, 'Missing replay');
+
+    const name = getDisplayName(auth.user);
+    const check = await verifier.verify(
+      { board, score: body.score, replay: body.replay },
+      { authDate: auth.authDate, now: Date.now() }
+    );
+    if (check.verdict === 'rejected') {
+      console.warn(`🚫 Rejected ${body.score} on ${board} from ${name}: ${check.reasons.join('; ')}`);
+      throw httpError(422, check.reasons[0]);
+    }
+    if (check.verdict === 'flagged') {
+      console.warn(`🚩 Flagged ${check.score} on ${board} from ${name}: ${check.reasons.join('; ')}`);
+      store.flagSubmission({ board, userId: auth.user.id, name, score: check.score, reasons: check.reasons, replay: body.replay });
+      return [202, { flagged: true, reasons: check.reasons }];
+    }
+
+    const { best, improved } = store.submitScore({
+      board,
+      userId: auth.user.id,
+      name,
+      score: check.score,
+      chatInstance: auth.chatInstance
+    });
+    if (improved) console.log(`🏆 ${name} set ${best} on ${board}`);
+    return [200, { best, ...getStanding(board, auth) }];
+  }
+
+  function getLeaderboard(req, url) {
+    const scope = url.searchParams.get('scope') || 'global';
+    if (scope !== 'global' && scope !== 'friends') throw httpError(400, 'Invalid scope');
+    const auth = authenticate(req, { required: scope === 'friends' });
+    if (scope === 'friends' && !auth.chatInstance) throw httpError(400, 'Friends boards need the app opened from a chat');
+
+    const board = parseBoard(url.searchParams.get('board'));
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(url.searchParams.get('limit'), 10) || 10));
+    const chatInstance = scope === 'friends' ? auth.chatInstance : null;
+    return {
+      entries: store.getLeaderboard(board, { chatInstance, limit }),
+      me: auth ? store.getRank(board, auth.user.id, { chatInstance }) : null
+    };
+  }
+
+  async function uploadCard(req) {
+    const auth = authenticate(req, { required: true });
+    if (!publicUrl) throw httpError(503, 'Card sharing is not configured');
+    const body = await readJsonBody(req);
+    let fileName;
+    try {
+      fileName = cards.put(body.image);
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+
+    const url = `${publicUrl.replace(/\/$/, '')}/cards/${fileName}`;
+    const caption = String(body.caption || '').slice(0, MAX_CAPTION);
+    // The test token cannot call the Bot API - clients fall back to shareToStory with the URL
+    const preparedMessageId = botToken === TEST_BOT_TOKEN
+      ? null
+      : await prepareCardMessage({ botToken, userId: auth.user.id, photoUrl: url, caption }).catch((error) => {
+        console.error('❌ Failed to prepare card message:', error.message);
+        return null;
+      });
+    return { url, preparedMessageId };
+  }
+
+  function sendCard(res, fileName) {
+    const card = cards.get(fileName);
+    if (!card) throw httpError(404, 'Card not found');
+    res.writeHead(200, { 'Content-Type': card.type, 'Cache-Control': 'public, max-age=86400' });
+    res.end(card.data);
+  }
+
+  return createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method === 'OPTIONS') return sendJson(res, 204, null, allowedOrigin);
+      if (req.method === 'GET' && url.pathname === '/health') return sendJson(res, 200, { ok: true }, allowedOrigin);
+      if (req.method === 'POST' && url.pathname === '/api/scores') {
+        const [status, body] = await submitScore(req);
+        return sendJson(res, status, body, allowedOrigin);
+      }
+      if (req.method === 'GET' && url.pathname === '/api/leaderboard') return sendJson(res, 200, getLeaderboard(req, url), allowedOrigin);
+      if (req.method === 'POST' && url.pathname === '/api/cards') return sendJson(res, 200, await uploadCard(req), allowedOrigin);
+      if (req.method === 'GET' && url.pathname.startsWith('/cards/')) return sendCard(res, url.pathname.slice('/cards/'.length));
+      throw httpError(404, 'Not found');
+    } catch (error) {
+      if (!error.status) console.error('❌ Leaderboard request failed:', error);
+      // The unread part of an oversized body is not worth receiving - close once the 413 is sent
+      if (error.status === 413) res.setHeader('Connection', 'close');
+      return sendJson(res, error.status || 500, { error: error.status ? error.message : 'Internal error' }, allowedOrigin);
+    }
+  });
+}
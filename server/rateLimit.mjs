@@ -0,0 +1,29 @@
+/* ====== Per-key rate limit ======
+ * At most `limit` calls to take(key) per `windowMs` window for each key (a user id);
+ * take() returns false once the key has used up its window.
+ */
+export function createRateLimiter({ limit, windowMs, now = Date.now }) {
+  const windows = new Map(); // key -> { start, count }
+
+  // Expired windows are dropped now and then so idle keys do not pile up
+  function prune(time) {
+    windows.forEach((window, key) => {
+      if (time - window.start >= windowMs) windows.delete(key);
+    });
+  }
+
+  function take(key) {
+    const time = now();
+    if (windows.size > 10000) prune(time);
+    let window = windows.get(key);
+    if (!window || time - window.start >= windowMs) {
+      window = { start: time, count: 0 };
+      windows.set(key, window);
+    }
+    if (window.count >= limit) return false;
+    window.count += 1;
+    return true;
+  }
+
+  return { take };
+}
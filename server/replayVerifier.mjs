@@ -0,0 +1,56 @@
+/* ====== Replay verification off the request path ======
+ * verifySubmission() re-simulates the whole run - up to a couple of seconds of CPU for a
+ * long one - so it runs on a worker thread and the event loop keeps answering everyone
+ * else. Jobs are verified one at a time in arrival order; isBusy() says the queue is full
+ * and the caller should turn submissions away rather than queue them.
+ */
+import { Worker } from 'node:worker_threads';
+
+const WORKER_URL = new URL('./verifyWorker.mjs', import.meta.url);
+const MAX_QUEUED = 32;
+
+export function createReplayVerifier({ maxQueued = MAX_QUEUED } = {}) {
+  const pending = new Map(); // job id -> { resolve, reject }
+  let worker = null;
+  let nextId = 0;
+
+  // Started on first use; a crashed worker fails the jobs it held and the next job starts a fresh one
+  function getWorker() {
+    if (worker) return worker;
+    worker = new Worker(WORKER_URL);
+    worker.on('message', ({ id, result, error }) => {
+      const job = pending.get(id);
+      pending.delete(id);
+      if (!job) return;
+      if (error) job.reject(new Error(error));
+      else job.resolve(result);
+    });
+    worker.on('error', (error) => console.error('❌ Replay verifier crashed:', error));
+    worker.on('exit', () => {
+      worker = null;
+      pending.forEach((job) => job.reject(new Error('Replay verifier stopped')));
+      pending.clear();
+    });
+    worker.unref(); // an idle verifier never keeps the process alive (after on('message'), which refs it)
+    return worker;
+  }
+
+  // Resolves what verifySubmission(submission, options) returns
+  function verify(submission, options) {
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      pending.set(id, { resolve, reject });
+      getWorker().postMessage({ id, submission, options });
+    });
+  }
+
+  function isBusy() {
+    return pending.size >= maxQueued;
+  }
+
+  function close() {
+    return worker ? worker.terminate() : Promise.resolve();
+  }
+
+  return { verify, isBusy, close };
+}
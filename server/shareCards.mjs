@@ -0,0 +1,49 @@
+/* ====== Score card hosting for Telegram sharing ======
+ * Telegram can only share media it can download, so the client uploads the rendered card
+ * and gets back a public URL (for shareToStory) plus, with a real bot token, a prepared
+ * inline message id (for shareMessage) created through the Bot API.
+ * Cards live in memory - the newest `maxCards` are kept.
+ */
+import { randomUUID } from 'node:crypto';
+
+const DATA_URL_PATTERN = /^data:image\/(jpeg|png);base64,([A-Za-z0-9+/=]+)$/;
+
+export function createCardStore({ maxCards = 200 } = {}) {
+  const cards = new Map(); // id -> { type, data }
+
+  // Returns the new card id; throws on anything that is not a JPEG / PNG data URL
+  function put(dataUrl) {
+    const match = DATA_URL_PATTERN.exec(dataUrl || '');
+    if (!match) throw new Error('Card must be a JPEG or PNG data URL');
+    const id = randomUUID();
+    cards.set(id, { type: `image/${match[1]}`, data: Buffer.from(match[2], 'base64') });
+    if (cards.size > maxCards) cards.delete(cards.keys().next().value); // Map keeps insertion order
+    return `${id}.${match[1] === 'jpeg' ? 'jpg' : 'png'}`;
+  }
+
+  function get(fileName) {
+    return cards.get(String(fileName).replace(/\.(jpg|png)$/, '')) || null;
+  }
+
+  return { put, get };
+}
+
+/* ====== Bot API: savePreparedInlineMessage ======
+ * https://core.telegram.org/bots/api#savepreparedinlinemessage - resolves the prepared
+ * message id the Mini App passes to WebApp.shareMessage().
+ */
+export async function prepareCardMessage({ botToken, userId, photoUrl, caption }) {
+  const response = await fetch(`https://api.telegram.org/bot${botToken}/savePreparedInlineMessage`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      user_id: userId,
+      result: { type: 'photo', id: randomUUID(), photo_url: photoUrl, thumbnail_url: photoUrl, caption },
+      allow_user_chats: true,
+      allow_group_chats: true
+    })
+  });
+  const body = await response.json();
+  if (!body.ok) throw new Error(`savePreparedInlineMessage failed: ${body.description}`);
+  return body.result.id;
+}
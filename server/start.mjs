@@ -0,0 +1,23 @@
+/* ====== Leaderboard server entry point: npm run server ======
+ *   BOT_TOKEN=<token> PORT=8787 node server/start.mjs
+ * Card sharing also needs PUBLIC_URL - the address Telegram can download cards from.
+ * Refuses to start without BOT_TOKEN unless in test mode (--test or NODE_ENV=test), which
+ * uses TEST_BOT_TOKEN - sign test initData with signInitData().
+ */
+import { createLeaderboardServer, TEST_BOT_TOKEN } from './index.mjs';
+
+const testMode = process.argv.includes('--test') || process.env.NODE_ENV === 'test';
+if (!process.env.BOT_TOKEN && !testMode) {
+  // Anyone can sign initData with the public test token - never fall back to it silently
+  console.error('❌ BOT_TOKEN is not set - refusing to start (use --test or NODE_ENV=test for the test bot token)');
+  process.exit(1);
+}
+const botToken = process.env.BOT_TOKEN || TEST_BOT_TOKEN;
+if (!process.env.BOT_TOKEN) console.warn('⚠️ Test mode - using the test bot token, real Telegram initData will be rejected');
+const port = Number(process.env.PORT) || 8787;
+createLeaderboardServer({
+  botToken,
+  publicUrl: process.env.PUBLIC_URL || null,
+  allowedOrigin: process.env.ALLOWED_ORIGIN || '*'
+})
+  .listen(port, () => console.log(`🚀 Leaderboard server listening on http://localhost:${port}`));
@@ -0,0 +1,70 @@
+/* ====== In-memory leaderboard store ======
+ * Keeps each player's best per board (a preset id, or `daily-YYYY-MM-DD`). "Friends" are
+ * the players seen in the same Telegram chat (initData `chat_instance`) - Telegram does
+ * not expose contact lists, so the chat the game was shared in is the friend group.
+ * Everything is lost on restart; swap in a persistent store with the same methods for production.
+ */
+
+// Best first; on a tie whoever reached it first ranks higher
+const MAX_FLAGGED = 1000;
+
+function compareEntries(a, b) {
+  return b.score - a.score || a.reachedAt - b.reachedAt;
+}
+
+export function createMemoryStore() {
+  const boards = new Map();      // board -> Map(userId -> { userId, name, score, reachedAt })
+  const chatMembers = new Map(); // chatInstance -> Set(userId)
+  const flagged = [];            // suspicious submissions kept for review, never ranked (newest MAX_FLAGGED)
+
+  function getBoard(board) {
+    if (!boards.has(board)) boards.set(board, new Map());
+    return boards.get(board);
+  }
+
+  // Ranked entries of a board, optionally limited to one chat's members
+  function getRanked(board, chatInstance) {
+    const members = chatInstance ? chatMembers.get(chatInstance) || new Set() : null;
+    return [...getBoard(board).values()]
+      .filter((entry) => !members || members.has(entry.userId))
+      .sort(compareEntries);
+  }
+
+  // Returns { best, improved } - best is the player's best on the board after this score
+  function submitScore({ board, userId, name, score, chatInstance = null, now = Date.now() }) {
+    if (chatInstance) {
+      if (!chatMembers.has(chatInstance)) chatMembers.set(chatInstance, new Set());
+      chatMembers.get(chatInstance).add(userId);
+    }
+
+    const entries = getBoard(board);
+    const current = entries.get(userId);
+    const improved = !current || score > current.score;
+    entries.set(userId, improved ? { userId, name, score, reachedAt: now } : { ...current, name });
+    return { best: entries.get(userId).score, improved };
+  }
+
+  function getLeaderboard(board, { chatInstance = null, limit = 10 } = {}) {
+    return getRanked(board, chatInstance)
+      .slice(0, limit)
+      .map((entry, i) => ({ rank: i + 1, userId: entry.userId, name: entry.name, score: entry.score }));
+  }
+
+  // { rank, total, score } for one player, or null before their first submission
+  function getRank(board, userId, { chatInstance = null } = {}) {
+    const ranked = getRanked(board, chatInstance);
+    const index = ranked.findIndex((entry) => entry.userId === userId);
+    return index === -1 ? null : { rank: index + 1, total: ranked.length, score: ranked[index].score };
+  }
+
+  function flagSubmission(submission, now = Date.now()) {
+    flagged.push({ ...submission, flaggedAt: now });
+    if (flagged.length > MAX_FLAGGED) flagged.shift();
+  }
+
+  function getFlagged() {
+    return flagged.slice();
+  }
+
+  return { submitScore, getLeaderboard, getRank, flagSubmission, getFlagged };
+}
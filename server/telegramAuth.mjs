@@ -0,0 +1,66 @@
+/* ====== Telegram Mini App initData verification ======
+ * Telegram signs the launch parameters it hands a Mini App (window.Telegram.WebApp.initData)
+ * with the bot token:
+ *   secret = HMAC_SHA256(key: 'WebAppData', data: botToken)
+ *   hash   = hex(HMAC_SHA256(key: secret, data: dataCheckString))
+ * where dataCheckString is every field except `hash` as `key=value`, sorted by key and
+ * joined with '\n'. Only the server knows the bot token, so a matching hash proves the
+ * user object really came from Telegram.
+ * https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+ */
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+export const DEFAULT_MAX_AGE_SECONDS = 24 * 60 * 60; // reject launch data older than a day
+
+function getDataCheckString(params) {
+  return [...params.entries()]
+    .filter(([key]) => key !== 'hash')
+    .map(([key, value]) => `${key}=${value}`)
+    .sort()
+    .join('\n');
+}
+
+export function computeInitDataHash(params, botToken) {
+  const secret = createHmac('sha256', 'WebAppData').update(botToken).digest();
+  return createHmac('sha256', secret).update(getDataCheckString(params)).digest('hex');
+}
+
+/* ====== Verify and unpack ======
+ * Returns { user, chatInstance, authDate } or throws when the data is missing, tampered
+ * with or stale. `now` is in seconds.
+ */
+export function verifyInitData(initData, botToken, { maxAgeSeconds = DEFAULT_MAX_AGE_SECONDS, now = Date.now() / 1000 } = {}) {
+  if (!initData) throw new Error('Missing initData');
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash') || '';
+
+  const expected = Buffer.from(computeInitDataHash(params, botToken), 'hex');
+  const received = Buffer.from(hash, 'hex');
+  if (received.length !== expected.length || !timingSafeEqual(received, expected)) {
+    throw new Error('initData signature mismatch');
+  }
+
+  const authDate = Number(params.get('auth_date'));
+  if (!Number.isFinite(authDate) || now - authDate > maxAgeSeconds) throw new Error('initData expired');
+
+  let user;
+  try {
+    user = JSON.parse(params.get('user'));
+  } catch (error) {
+    throw new Error('initData has no user');
+  }
+  if (!user || !Number.isInteger(user.id)) throw new Error('initData has no user');
+
+  // chat_instance is only present when the app was opened from a chat - it scopes "friends" boards
+  return { user, chatInstance: params.get('chat_instance') || null, authDate };
+}
+
+/* ====== Helper: build signed initData - for local testing with a test bot token ====== */
+export function signInitData({ user, chatInstance = null, authDate = Math.floor(Date.now() / 1000) }, botToken) {
+  const params = new URLSearchParams();
+  params.set('user', JSON.stringify(user));
+  params.set('auth_date', String(authDate));
+  if (chatInstance) params.set('chat_instance', chatInstance);
+  params.set('hash', computeInitDataHash(params, botToken));
+  return params.toString();
+}
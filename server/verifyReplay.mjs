@@ -0,0 +1,129 @@
+/* ====== Server-side replay verification ======
+ * A score submission carries the run's replay (seed, preset, flap frames). The server
+ * re-runs it through the same deterministic simulation the game uses and only trusts
+ * the score the replay actually reaches. Verdicts:
+ *   accepted - the replay reaches the claimed score and nothing looks off
+ *   flagged  - the score is real but the input is implausible (timing, frame counts);
+ *              kept off the boards for review
+ *   rejected - malformed, played on the wrong course or collision mode, or the score is never reached
+ *
+ * Re-running a replay costs ~25 µs a frame, so a replay is only simulated for as long as
+ * its claimed score allows (see getFrameBudget), and index.mjs runs this in a worker
+ * thread (see replayVerifier.mjs) so a long one never stalls other requests.
+ */
+import { validateReplay, decodeReplay, runReplay } from '../src/game/replay.js';
+import { DEFAULT_PRESET_ID, isPresetId, getPreset } from '../src/game/presets.js';
+import { hashSeed, getUtcDayKey } from '../src/game/random.js';
+import { STEP_MS } from '../src/game/constants.js';
+import { POWERUP_CONFIG } from '../src/game/powerups.js';
+
+const MAX_RUN_FRAMES = 20 * 60 * 60;  // 20 minutes of play - longer replays are not simulated (~2 s of CPU)
+const BUDGET_SLACK_FRAMES = 300;      // falling to the ground after the last pipe, rounding
+const CLOCK_SLACK_SECONDS = 30;       // device clocks and request latency
+const RAPID_FLAP_FRAMES = 2;          // flaps this close together are faster than tapping
+const RAPID_FLAP_SHARE = 0.1;         // ...and suspicious once they are this share of all flaps
+const RAPID_FLAP_MIN = 5;
+
+const DAILY_BOARD = /^daily-(\d{4}-\d{2}-\d{2})$/;
+const STRICT_SUFFIX = '-strict';
+
+/* ====== Helper: the course a board is played on ======
+ * Returns { preset, seed, strict } - seed is null when any seed is fine (preset boards),
+ * strict is true on the `-strict` boards that only take strict collision runs.
+ */
+function getBoardCourse(board, now) {
+  const strict = board.endsWith(STRICT_SUFFIX);
+  const course = getBaseCourse(strict ? board.slice(0, -STRICT_SUFFIX.length) : board, now);
+  return { ...course, strict };
+}
+
+function getBaseCourse(board, now) {
+  const daily = DAILY_BOARD.exec(board);
+  if (!daily) {
+    if (!isPresetId(board)) throw new Error(`Unknown board: ${board}`);
+    return { preset: board, seed: null };
+  }
+
+  // Today's or yesterday's challenge - a run may straddle midnight UTC
+  const today = getUtcDayKey(new Date(now));
+  const yesterday = getUtcDayKey(new Date(now - 86400000));
+  if (daily[1] !== today && daily[1] !== yesterday) throw new Error(`Daily Challenge ${daily[1]} is closed`);
+  return { preset: DEFAULT_PRESET_ID, seed: hashSeed(`daily:${daily[1]}`) }; // same seed as getDailySeed()
+}
+
+/* ====== Helper: the most frames a run scoring `score` can last ======
+ * Every pipe passed is worth at least a point and the next one ends the run, so a run
+ * covers at most score + 1 pipe intervals plus the approach to the first pipe (under two
+ * intervals) - at the preset's slowest scroll, with slow-mo on all the way.
+ */
+function getFrameBudget(presetId, score) {
+  const { tiers } = getPreset(presetId);
+  const slowest = Math.min(...tiers.map((tier) => tier.scrollSpeed)) * POWERUP_CONFIG.types.slowmo.timeScale;
+  const widest = Math.max(...tiers.map((tier) => tier.pipeInterval));
+  return Math.min(MAX_RUN_FRAMES, Math.ceil(((score + 3) * widest) / slowest) + BUDGET_SLACK_FRAMES);
+}
+
+function countRapidFlaps(flaps) {
+  let rapid = 0;
+  for (let i = 1; i < flaps.length; i++) {
+    if (flaps[i] - flaps[i - 1] <= RAPID_FLAP_FRAMES) rapid++;
+  }
+  return rapid;
+}
+
+/* ====== Verify one submission ======
+ * submission: { board, score, replay } - replay as an object or an encodeReplay() code
+ * authDate:   initData auth_date (seconds) - the run must fit between app launch and now
+ * Returns { verdict, reasons, score } where score is what the simulation reached.
+ */
+export function verifySubmission({ board, score, replay: rawReplay }, { authDate = null, now = Date.now() } = {}) {
+  const reject = (reason) => ({ verdict: 'rejected', reasons: [reason], score: null });
+
+  let replay;
+  let course;
+  try {
+    replay = typeof rawReplay === 'string' ? decodeReplay(rawReplay) : validateReplay(rawReplay);
+    course = getBoardCourse(board, now);
+  } catch (error) {
+    return reject(error.message);
+  }
+
+  if (replay.preset !== course.preset) return reject(`Replay preset ${replay.preset} does not match board ${board}`);
+  if (course.seed !== null && replay.seed !== course.seed) return reject('Replay seed is not the Daily Challenge course');
+  // Forgiving boards also take the square-hitbox runs of clients from before collision modes
+  if ((replay.collision === 'strict') !== course.strict) {
+    return reject(`Replay collision mode ${replay.collision} does not match board ${board}`);
+  }
+  if (replay.flaps.some((frame) => frame < 0)) return reject('Replay has flaps before the run started');
+
+  // Cheap checks first - a replay that claims to run longer than its score allows is not simulated
+  const budget = getFrameBudget(replay.preset, score);
+  const lastFlap = replay.flaps.reduce((last, frame) => Math.max(last, frame), 0);
+  if (replay.frames > budget || lastFlap > budget) return reject(`Replay runs longer than a score of ${score} allows`);
+
+  const result = runReplay(replay, { maxFrames: budget });
+  if (!result.finished) return reject(`Replay runs longer than a score of ${score} allows`);
+  if (result.score !== score) return reject(`Replay scores ${result.score}, not ${score}`);
+
+  // The score is genuine - now look for input a person could not have produced
+  const reasons = [];
+  if (replay.score !== score || replay.frames !== result.frames) {
+    reasons.push('Replay summary does not match its own playback');
+  }
+  if (replay.flaps.some((frame) => frame > result.frames)) {
+    reasons.push('Replay has flaps after the run ended');
+  }
+  const rapid = countRapidFlaps(replay.flaps);
+  if (rapid >= RAPID_FLAP_MIN && rapid / replay.flaps.length > RAPID_FLAP_SHARE) {
+    reasons.push(`${rapid} flaps came faster than anyone can tap`);
+  }
+  if (authDate !== null) {
+    const runSeconds = (result.frames * STEP_MS) / 1000;
+    const sessionSeconds = now / 1000 - authDate;
+    if (runSeconds > sessionSeconds + CLOCK_SLACK_SECONDS) {
+      reasons.push(`Run lasts ${Math.round(runSeconds)}s but the app was opened ${Math.round(sessionSeconds)}s ago`);
+    }
+  }
+
+  return { verdict: reasons.length > 0 ? 'flagged' : 'accepted', reasons, score: result.score };
+}
@@ -0,0 +1,13 @@
+/* ====== Replay verification thread (see replayVerifier.mjs) ======
+ * Receives { id, submission, options } and answers { id, result } or { id, error }.
+ */
+import { parentPort } from 'node:worker_threads';
+import { verifySubmission } from './verifyReplay.mjs';
+
+parentPort.on('message', ({ id, submission, options }) => {
+  try {
+    parentPort.postMessage({ id, result: verifySubmission(submission, options) });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
@@ -0,0 +1,137 @@
+/**
+ * @jest-environment node
+ */
+import { request } from 'node:http';
+import { createLeaderboardServer, TEST_BOT_TOKEN } from '../../../server/index.mjs';
+import { signInitData } from '../../../server/telegramAuth.mjs';
+import { verifySubmission } from '../../../server/verifyReplay.mjs';
+import { createSimulation } from '../../game/simulation.js';
+import { createReplay, recordEvents } from '../../game/replay.js';
+
+// The worker thread is not needed to check the HTTP side - verify in-process instead
+jest.mock('../../../server/replayVerifier.mjs', () => ({ createReplayVerifier: () => null }));
+const inProcessVerifier = {
+  verify: async (submission, options) => verifySubmission(submission, options),
+  isBusy: () => false
+};
+
+// A run that never flaps: falls to the ground on seed 1 with a score of 0
+function createFallingReplay() {
+  const sim = createSimulation({ seed: 1 });
+  const replay = createReplay(1, 'normal', 'forgiving');
+  while (sim.getState().alive) recordEvents(replay, sim.step().events);
+  return replay;
+}
+
+let server;
+let port;
+
+async function startServer(options = {}) {
+  server = createLeaderboardServer({ botToken: TEST_BOT_TOKEN, verifier: inProcessVerifier, ...options });
+  await new Promise((resolve) => server.listen(0, resolve));
+  port = server.address().port;
+}
+
+afterEach(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+function authHeader(userId = 1) {
+  return `tma ${signInitData({ user: { id: userId, first_name: 'Tester' } }, TEST_BOT_TOKEN)}`;
+}
+
+// Resolves { status, body } - body is the raw text when it is not JSON
+function send(method, path, { body, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = request({ port, method, path, headers: { 'Content-Type': 'application/json', ...headers } }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => {
+        let parsed = text;
+        try { parsed = JSON.parse(text); } catch (error) { /* not JSON */ }
+        resolve({ status: res.statusCode, body: parsed });
+      });
+    });
+    req.on('error', reject);
+    req.end(typeof body === 'string' ? body : JSON.stringify(body));
+  });
+}
+
+function submit(body, { userId = 1, headers } = {}) {
+  return send('POST', '/api/scores', { body, headers: headers || { Authorization: authHeader(userId) } });
+}
+
+describe('POST /api/scores', () => {
+  const replay = createFallingReplay();
+
+  beforeEach(() => startServer());
+
+  test('accepts a replay that reaches the claimed score', async () => {
+    const { status, body } = await submit({ board: 'normal', score: 0, replay });
+    expect(status).toBe(200);
+    expect(body).toEqual({ best: 0, global: { rank: 1, total: 1, score: 0 }, friends: null });
+  });
+
+  test('401 without initData or with a bad signature', async () => {
+    expect(await submit({ board: 'normal', score: 0, replay }, { headers: {} })).toEqual({
+      status: 401,
+      body: { error: 'Missing Telegram initData' }
+    });
+    const forged = `tma ${signInitData({ user: { id: 1 } }, '654321:OTHER-token')}`;
+    expect(await submit({ board: 'normal', score: 0, replay }, { headers: { Authorization: forged } })).toEqual({
+      status: 401,
+      body: { error: 'initData signature mismatch' }
+    });
+  });
+
+  test('400 on a malformed body, board, score or missing replay', async () => {
+    expect((await submit('{not json')).body).toEqual({ error: 'Body is not valid JSON' });
+    expect(await submit({ board: 'no such board!', score: 0, replay })).toEqual({ status: 400, body: { error: 'Invalid board' } });
+    expect(await submit({ board: 'normal', score: -1, replay })).toEqual({ status: 400, body: { error: 'Invalid score' } });
+    expect(await submit({ board: 'normal', score: 0 })).toEqual({ status: 400, body: { error: 'Missing replay' } });
+  });
+
+  test('413 reaches the client when the body is too large', async () => {
+    const { status, body } = await submit({ board: 'normal', score: 0, replay, padding: 'x'.repeat(300 * 1024) });
+    expect(status).toBe(413);
+    expect(body).toEqual({ error: 'Request body too large' });
+  });
+
+  test('422 when the replay does not reach the claimed score', async () => {
+    const { status, body } = await submit({ board: 'normal', score: 3, replay });
+    expect(status).toBe(422);
+    expect(body.error).toMatch(/^Replay/);
+    expect((await send('GET', '/api/leaderboard?board=normal')).body.entries).toEqual([]);
+  });
+
+  test('429 once a player has used up their submissions for the minute', async () => {
+    for (let i = 0; i < 10; i++) expect((await submit({ board: 'normal', score: 0, replay })).status).toBe(200);
+    expect(await submit({ board: 'normal', score: 0, replay })).toEqual({
+      status: 429,
+      body: { error: 'Too many submissions, try again shortly' }
+    });
+    expect((await submit({ board: 'normal', score: 0, replay }, { userId: 2 })).status).toBe(200);
+  });
+
+  test('404 on an unknown route', async () => {
+    expect(await send('GET', '/api/nothing')).toEqual({ status: 404, body: { error: 'Not found' } });
+  });
+});
+
+describe('when verification is backed up', () => {
+  test('503 instead of queueing more replays', async () => {
+    await startServer({ verifier: { ...inProcessVerifier, isBusy: () => true } });
+    const { status } = await submit({ board: 'normal', score: 0, replay: createFallingReplay() });
+    expect(status).toBe(503);
+  });
+});
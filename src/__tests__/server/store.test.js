@@ -0,0 +1,55 @@
+/**
+ * @jest-environment node
+ */
+import { createMemoryStore } from '../../../server/store.mjs';
+
+function submit(store, userId, score, fields = {}) {
+  return store.submitScore({ board: 'normal', userId, name: `Player ${userId}`, score, now: 1000 + userId, ...fields });
+}
+
+describe('createMemoryStore', () => {
+  test('ranks by score, ties going to whoever got there first', () => {
+    const store = createMemoryStore();
+    submit(store, 1, 10);
+    submit(store, 2, 30);
+    submit(store, 3, 10, { now: 500 });
+    expect(store.getLeaderboard('normal').map(({ rank, userId, score }) => [rank, userId, score])).toEqual([
+      [1, 2, 30],
+      [2, 3, 10],
+      [3, 1, 10]
+    ]);
+    expect(store.getRank('normal', 1)).toEqual({ rank: 3, total: 3, score: 10 });
+    expect(store.getRank('normal', 4)).toBeNull();
+    expect(store.getLeaderboard('normal', { limit: 1 })).toHaveLength(1);
+  });
+
+  test('keeps the best score - a better one replaces it, a worse one does not', () => {
+    const store = createMemoryStore();
+    expect(submit(store, 1, 10)).toEqual({ best: 10, improved: true });
+    expect(submit(store, 1, 4, { name: 'Renamed' })).toEqual({ best: 10, improved: false });
+    expect(store.getLeaderboard('normal')[0]).toEqual({ rank: 1, userId: 1, name: 'Renamed', score: 10 });
+    expect(submit(store, 1, 12)).toEqual({ best: 12, improved: true });
+    expect(store.getRank('normal', 1).score).toBe(12);
+  });
+
+  test('friends boards only hold players seen in the same chat', () => {
+    const store = createMemoryStore();
+    submit(store, 1, 10, { chatInstance: 'chat-a' });
+    submit(store, 2, 20, { chatInstance: 'chat-b' });
+    submit(store, 3, 30, { chatInstance: 'chat-a' });
+    submit(store, 4, 40);
+    expect(store.getLeaderboard('normal', { chatInstance: 'chat-a' }).map((entry) => entry.userId)).toEqual([3, 1]);
+    expect(store.getRank('normal', 1, { chatInstance: 'chat-a' })).toEqual({ rank: 2, total: 2, score: 10 });
+    expect(store.getRank('normal', 2, { chatInstance: 'chat-a' })).toBeNull();
+    expect(store.getLeaderboard('normal', { chatInstance: 'chat-none' })).toEqual([]);
+    expect(store.getRank('normal', 1)).toEqual({ rank: 4, total: 4, score: 10 });
+  });
+
+  test('boards are independent', () => {
+    const store = createMemoryStore();
+    submit(store, 1, 10);
+    submit(store, 1, 3, { board: 'hard' });
+    expect(store.getRank('hard', 1).score).toBe(3);
+    expect(store.getLeaderboard('easy')).toEqual([]);
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * @jest-environment node
+ */
+import { verifyInitData, signInitData, computeInitDataHash } from '../../../server/telegramAuth.mjs';
+
+const BOT_TOKEN = '123456:TEST-token';
+const NOW = 1760000000; // seconds
+const USER = { id: 42, first_name: 'Pepe' };
+
+function sign(fields) {
+  return signInitData({ user: USER, authDate: NOW - 60, ...fields }, BOT_TOKEN);
+}
+
+describe('verifyInitData', () => {
+  test('unpacks a valid payload', () => {
+    expect(verifyInitData(sign({ chatInstance: 'chat-1' }), BOT_TOKEN, { now: NOW })).toEqual({
+      user: USER,
+      chatInstance: 'chat-1',
+      authDate: NOW - 60
+    });
+  });
+
+  test('rejects data signed for another bot', () => {
+    const initData = signInitData({ user: USER, authDate: NOW }, '654321:OTHER-token');
+    expect(() => verifyInitData(initData, BOT_TOKEN, { now: NOW })).toThrow('initData signature mismatch');
+  });
+
+  test('rejects a tampered field or hash', () => {
+    const params = new URLSearchParams(sign());
+    params.set('user', JSON.stringify({ ...USER, id: 1 }));
+    expect(() => verifyInitData(params.toString(), BOT_TOKEN, { now: NOW })).toThrow('initData signature mismatch');
+
+    const hash = new URLSearchParams(sign()).get('hash');
+    const tampered = sign().replace(hash, `${hash.slice(0, -1)}${hash.endsWith('0') ? '1' : '0'}`);
+    expect(() => verifyInitData(tampered, BOT_TOKEN, { now: NOW })).toThrow('initData signature mismatch');
+  });
+
+  test('rejects an expired auth_date', () => {
+    const initData = sign({ authDate: NOW - 2 * 24 * 60 * 60 });
+    expect(() => verifyInitData(initData, BOT_TOKEN, { now: NOW })).toThrow('initData expired');
+    expect(verifyInitData(initData, BOT_TOKEN, { now: NOW, maxAgeSeconds: 3 * 24 * 60 * 60 }).user).toEqual(USER);
+  });
+
+  test('rejects signed data without a user', () => {
+    const params = new URLSearchParams({ auth_date: String(NOW) });
+    params.set('hash', computeInitDataHash(params, BOT_TOKEN));
+    expect(() => verifyInitData(params.toString(), BOT_TOKEN, { now: NOW })).toThrow('initData has no user');
+  });
+
+  test('rejects missing initData', () => {
+    expect(() => verifyInitData('', BOT_TOKEN, { now: NOW })).toThrow('Missing initData');
+  });
+});
@@ -0,0 +1,61 @@
+/* ====== Achievements catalog ======
+ * Achievements are rules over lifetime counters: one unlocks once
+ * `counters[counter] >= goal`. Counters are folded from game events (see tracker.js):
+ *   { type: 'start' }                       - a run begins
+ *   { type: 'flap' } | { type: 'score' }    - straight from the simulation
+ *   { type: 'gameover', score, cause, day } - `day` is getDayNumber() when the run ended
+ * A new achievement over an existing counter is one more row in ACHIEVEMENTS; a new
+ * kind of progress is one more entry in COUNTERS.
+ */
+
+// Pipe hits - the causes getPipeCollision() reports
+const PIPE_CAUSES = ['topPipe', 'bottomPipe'];
+
+/* ====== Counters ======
+ * reduce(value, event, { run, counters }) -> next value. `run` is the current run
+ * ({ pipes }, already updated for this event), `counters` the values before the event.
+ */
+export const COUNTERS = {
+  games: (value, event) => (event.type === 'gameover' ? value + 1 : value),
+  flaps: (value, event) => (event.type === 'flap' ? value + 1 : value),
+  totalPipes: (value, event) => (event.type === 'score' ? value + 1 : value),
+  bestRunPipes: (value, event, { run }) => (event.type === 'score' ? Math.max(value, run.pipes) : value),
+  firstPipeDeaths: (value, event, { run }) =>
+    event.type === 'gameover' && run.pipes === 0 && PIPE_CAUSES.includes(event.cause) ? value + 1 : value,
+  // Consecutive days with at least one finished run
+  dayStreak: (value, event, { counters }) => {
+    if (event.type !== 'gameover') return value;
+    if (event.day === counters.lastPlayedDay) return Math.max(value, 1);
+    return event.day === counters.lastPlayedDay + 1 ? value + 1 : 1;
+  },
+  lastPlayedDay: (value, event) => (event.type === 'gameover' ? event.day : value)
+};
+
+export const ACHIEVEMENTS = [
+  { id: 'firstPipe', name: 'Lift Off', description: 'Pass your first pipe', counter: 'bestRunPipes', goal: 1 },
+  { id: 'pipeDream', name: 'Pipe Dream', description: 'Pass 50 pipes in one run', counter: 'bestRunPipes', goal: 50 },
+  { id: 'plumber', name: 'Plumber', description: 'Pass 500 pipes in total', counter: 'totalPipes', goal: 500 },
+  { id: 'gasGiant', name: 'Gas Giant', description: 'Fart 1000 times in total', counter: 'flaps', goal: 1000 },
+  { id: 'faceplant', name: 'Faceplant', description: 'Die on the first pipe 10 times', counter: 'firstPipeDeaths', goal: 10 },
+  { id: 'regular', name: 'Regular', description: 'Play 7 days in a row', counter: 'dayStreak', goal: 7 },
+  { id: 'dedicated', name: 'Dedicated', description: 'Play 100 games', counter: 'games', goal: 100 }
+];
+
+export function getAchievement(id) {
+  return ACHIEVEMENTS.find((achievement) => achievement.id === id) || null;
+}
+
+// Whole UTC days since the epoch - consecutive days differ by exactly 1
+export function getDayNumber(date = new Date()) {
+  return Math.floor(date.getTime() / 86400000);
+}
+
+export function createCounters() {
+  return Object.fromEntries(Object.keys(COUNTERS).map((name) => [name, 0]));
+}
+
+/* ====== Helper: progress toward one achievement - { value, goal, done } with value capped at goal ====== */
+export function getAchievementProgress(achievement, counters) {
+  const value = Math.min(counters[achievement.counter] || 0, achievement.goal);
+  return { value, goal: achievement.goal, done: value >= achievement.goal };
+}
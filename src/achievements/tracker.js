@@ -0,0 +1,38 @@
+/* ====== Achievement tracker ======
+ * Folds game events into the counters and reports achievements the moment they unlock.
+ * Pure and storage-free: seed it with saved progress, persist getProgress() when it suits.
+ *
+ * const tracker = createAchievementTracker(saved);
+ * tracker.handle({ type: 'flap' }) -> [achievement, ...] newly unlocked (usually [])
+ */
+import { ACHIEVEMENTS, COUNTERS, createCounters } from './catalog';
+
+// progress: { counters: { [name]: number }, unlocked: { [achievementId]: unlockedAtMs } }
+export function createAchievementTracker(progress = {}, achievements = ACHIEVEMENTS) {
+  const counters = { ...createCounters(), ...progress.counters };
+  const unlocked = { ...progress.unlocked };
+  let run = { pipes: 0 };
+
+  function handle(event, now = Date.now()) {
+    if (event.type === 'start') run = { pipes: 0 };
+    if (event.type === 'score') run = { pipes: run.pipes + 1 };
+
+    const previous = { ...counters };
+    Object.entries(COUNTERS).forEach(([name, reduce]) => {
+      counters[name] = reduce(previous[name], event, { run, counters: previous });
+    });
+
+    const newlyUnlocked = achievements.filter((achievement) =>
+      !unlocked[achievement.id] && counters[achievement.counter] >= achievement.goal);
+    newlyUnlocked.forEach((achievement) => {
+      unlocked[achievement.id] = now;
+    });
+    return newlyUnlocked;
+  }
+
+  function getProgress() {
+    return { counters: { ...counters }, unlocked: { ...unlocked } };
+  }
+
+  return { handle, getProgress };
+}
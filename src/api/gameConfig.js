@@ -0,0 +1,48 @@
+/* ====== Game config ======
+ * Tuning overrides (see game/tuning.js) read at startup, later ones winning:
+ *   bundled - public/game-config.json, shipped with the build ({} = the built-in values)
+ *   by URL  - ?config=<address of a JSON file>, e.g. one exported from the tuning panel
+ * Each file is validated; values that fail are reported and skipped, never applied.
+ */
+import { parseTuning } from '../game/tuning';
+
+const BUNDLED_CONFIG_URL = `${process.env.PUBLIC_URL}/game-config.json`;
+const CONFIG_FILE_NAME = 'game-config.json';
+
+async function fetchConfig(url) {
+  const response = await fetch(url, { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`Request failed (${response.status})`);
+  return response.json();
+}
+
+// Resolves { overrides, errors, sources } - sources lists the configs that were applied
+export async function loadGameConfig(search = window.location.search) {
+  const urls = [BUNDLED_CONFIG_URL];
+  const configUrl = new URLSearchParams(search).get('config');
+  if (configUrl) urls.push(configUrl);
+
+  const configs = await Promise.all(urls.map((url) => fetchConfig(url).then(
+    (raw) => ({ url, ...parseTuning(raw) }),
+    (error) => ({ url, overrides: null, errors: [error.message] })
+  )));
+
+  return configs.reduce((result, { url, overrides, errors }) => ({
+    overrides: { ...result.overrides, ...overrides },
+    errors: [...result.errors, ...errors.map((error) => `${url}: ${error}`)],
+    sources: overrides ? [...result.sources, url] : result.sources
+  }), { overrides: {}, errors: [], sources: [] });
+}
+
+// Downloads `tuning` as a config file and returns its JSON text
+export function exportGameConfig(tuning) {
+  const json = `${JSON.stringify(tuning, null, 2)}\n`;
+  const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = CONFIG_FILE_NAME;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+  return json;
+}
@@ -0,0 +1,55 @@
+/* ====== Leaderboard client ======
+ * Talks to the server in /server. Needs REACT_APP_LEADERBOARD_URL at build time and
+ * Telegram initData at run time (REACT_APP_TEST_INIT_DATA stands in for it when testing
+ * in a browser - sign one with server/telegramAuth.mjs). Without either, leaderboards
+ * are simply off.
+ */
+const API_URL = (process.env.REACT_APP_LEADERBOARD_URL || '').replace(/\/$/, '');
+
+export function getInitData() {
+  const webApp = window.Telegram && window.Telegram.WebApp;
+  return (webApp && webApp.initData) || process.env.REACT_APP_TEST_INIT_DATA || '';
+}
+
+export function isLeaderboardAvailable() {
+  return Boolean(API_URL && getInitData());
+}
+
+// Preset runs share a board per preset; each Daily Challenge day gets its own.
+// Strict collision runs are ranked apart on a `-strict` twin of each board
+export function getBoardId(presetId, dayKey = null, collision = 'forgiving') {
+  const board = dayKey ? `daily-${dayKey}` : presetId;
+  return collision === 'strict' ? `${board}-strict` : board;
+}
+
+async function request(path, options = {}) {
+  const response = await fetch(`${API_URL}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', Authorization: `tma ${getInitData()}`, ...options.headers }
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(body.error || `Leaderboard request failed (${response.status})`);
+    error.status = response.status; // 422 = the server re-ran the replay and did not accept it
+    throw error;
+  }
+  return body;
+}
+
+// The server re-simulates `replay` and ranks only the score it actually reaches.
+// Resolves { best, global: { rank, total, score }, friends: { rank, total, score } | null },
+// or { flagged: true, reasons } when the run was held back for review
+export function submitScore(board, score, replay) {
+  return request('/api/scores', { method: 'POST', body: JSON.stringify({ board, score, replay }) });
+}
+
+// Resolves { entries: [{ rank, userId, name, score }], me: { rank, total, score } | null }
+export function fetchLeaderboard(board, scope = 'global', limit = 10) {
+  const query = new URLSearchParams({ board, scope, limit: String(limit) });
+  return request(`/api/leaderboard?${query}`);
+}
+
+// Hosts a rendered score card for Telegram sharing - resolves { url, preparedMessageId | null }
+export function uploadScoreCard(image, caption) {
+  return request('/api/cards', { method: 'POST', body: JSON.stringify({ image, caption }) });
+}
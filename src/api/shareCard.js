@@ -0,0 +1,84 @@
+/* ====== Share a rendered score card ======
+ * Picks the best channel available, in order:
+ *   Telegram + card upload  - shareMessage (Bot API 8.0) or shareToStory (7.8) with the hosted card
+ *   Telegram without upload - switchInlineQuery with the share text (no image)
+ *   plain browser           - Web Share API with the image file, else a download
+ * Resolves the channel used.
+ */
+import { isLeaderboardAvailable, uploadScoreCard } from './leaderboard';
+
+const CARD_TYPE = 'image/jpeg';
+const CARD_QUALITY = 0.85;
+const CARD_FILE_NAME = 'plushpepe-score.jpg';
+
+function getWebApp() {
+  const webApp = window.Telegram && window.Telegram.WebApp;
+  return webApp && webApp.initData ? webApp : null; // the SDK script also loads in plain browsers
+}
+
+function supports(webApp, version) {
+  return Boolean(webApp.isVersionAtLeast && webApp.isVersionAtLeast(version));
+}
+
+async function shareThroughTelegram(webApp, canvas, text) {
+  if (isLeaderboardAvailable()) {
+    try {
+      const { url, preparedMessageId } = await uploadScoreCard(canvas.toDataURL(CARD_TYPE, CARD_QUALITY), text);
+      if (preparedMessageId && supports(webApp, '8.0')) {
+        webApp.shareMessage(preparedMessageId);
+        return 'telegram-message';
+      }
+      if (supports(webApp, '7.8')) {
+        webApp.shareToStory(url, { text });
+        return 'telegram-story';
+      }
+    } catch (error) {
+      console.error('❌ Score card upload failed:', error.message);
+    }
+  }
+  if (supports(webApp, '6.7')) {
+    webApp.switchInlineQuery(text, ['users', 'groups']);
+    return 'telegram-inline';
+  }
+  return null;
+}
+
+// Synchronous on purpose - navigator.share() must run while the tap still counts as a user gesture
+function toBlob(canvas) {
+  const base64 = canvas.toDataURL(CARD_TYPE, CARD_QUALITY).split(',')[1];
+  const bytes = Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+  return new Blob([bytes], { type: CARD_TYPE });
+}
+
+function download(blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = CARD_FILE_NAME;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export async function shareScoreCard(canvas, text) {
+  const webApp = getWebApp();
+  if (webApp) {
+    const channel = await shareThroughTelegram(webApp, canvas, text);
+    if (channel) return channel;
+  }
+
+  const blob = toBlob(canvas);
+  const file = new File([blob], CARD_FILE_NAME, { type: CARD_TYPE });
+  if (navigator.canShare && navigator.canShare({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], text });
+      return 'web-share';
+    } catch (error) {
+      if (error.name === 'AbortError') return 'cancelled';
+      console.error('❌ Web Share failed, downloading instead:', error.message);
+    }
+  }
+  download(blob);
+  return 'download';
+}
@@ -0,0 +1,123 @@
+/* ====== Sound engine (Web Audio) ======
+ * - Buffers are rendered/decoded once up front, playback is a cheap BufferSource per effect.
+ * - Routing: effects -> sfx gain ┐
+ *            music   -> music gain ┴-> master gain (volume / mute) -> destination
+ * - iOS and the Telegram webviews keep the AudioContext suspended until a user gesture,
+ *   so unlock() must be called from the first tap/keypress.
+ */
+import { renderFart, renderScore, renderHit, renderGround, renderCoin, renderPowerUp, renderMusic } from './synth';
+import { loadSoundSettings, saveSoundSettings } from '../storage/settings';
+
+// name -> generator(audioCtx) returning an AudioBuffer, or a URL to fetch and decode
+const SOUND_SOURCES = {
+  flap: renderFart,
+  score: renderScore,
+  hit: renderHit,
+  ground: renderGround,
+  coin: renderCoin,
+  powerup: renderPowerUp,
+  music: renderMusic
+};
+
+const MUSIC_LEVEL = 0.5; // music sits under the effects
+
+async function loadBuffer(audioCtx, source) {
+  if (typeof source === 'function') return source(audioCtx);
+  const response = await fetch(source);
+  return audioCtx.decodeAudioData(await response.arrayBuffer());
+}
+
+export function createSoundEngine({ settings = loadSoundSettings(), onSettingsChange = saveSoundSettings } = {}) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  let current = { ...settings };
+  let audioCtx = null;
+  let masterGain = null;
+  let musicGain = null;
+  let musicSource = null;
+  const buffers = {};
+
+  if (AudioContextClass) {
+    audioCtx = new AudioContextClass();
+    masterGain = audioCtx.createGain();
+    masterGain.connect(audioCtx.destination);
+    musicGain = audioCtx.createGain();
+    musicGain.gain.value = MUSIC_LEVEL;
+    musicGain.connect(masterGain);
+    applyVolume();
+
+    // Preload every buffer while the context is still suspended
+    Object.entries(SOUND_SOURCES).forEach(([name, source]) => {
+      loadBuffer(audioCtx, source)
+        .then((buffer) => {
+          buffers[name] = buffer;
+          if (name === 'music') syncMusic();
+        })
+        .catch(() => console.error(`❌ Failed to load sound: ${name}`));
+    });
+  } else {
+    console.log('🔇 Web Audio not supported - running silent');
+  }
+
+  function applyVolume() {
+    if (!masterGain) return;
+    masterGain.gain.setValueAtTime(current.muted ? 0 : current.volume, audioCtx.currentTime);
+  }
+
+  function syncMusic() {
+    if (!audioCtx || audioCtx.state !== 'running') return;
+    if (current.music && !musicSource && buffers.music) {
+      musicSource = audioCtx.createBufferSource();
+      musicSource.buffer = buffers.music;
+      musicSource.loop = true;
+      musicSource.connect(musicGain);
+      musicSource.start();
+    } else if (!current.music && musicSource) {
+      musicSource.stop();
+      musicSource = null;
+    }
+  }
+
+  // Must run inside a user gesture handler (tap / key) - resumes the context on iOS/Telegram
+  function unlock() {
+    if (!audioCtx || audioCtx.state === 'running') return;
+    audioCtx.resume().then(syncMusic, () => {});
+    // iOS also wants a sound started during the gesture - a one-sample silent buffer will do
+    const silent = audioCtx.createBufferSource();
+    silent.buffer = audioCtx.createBuffer(1, 1, audioCtx.sampleRate);
+    silent.connect(audioCtx.destination);
+    silent.start();
+  }
+
+  function play(name) {
+    if (!audioCtx || current.muted || audioCtx.state !== 'running' || !buffers[name]) return;
+    const source = audioCtx.createBufferSource();
+    source.buffer = buffers[name];
+    source.connect(masterGain);
+    source.start();
+  }
+
+  function update(changes) {
+    current = { ...current, ...changes };
+    current.volume = Math.max(0, Math.min(1, Math.round(current.volume * 10) / 10));
+    applyVolume();
+    syncMusic();
+    onSettingsChange(current);
+  }
+
+  function dispose() {
+    if (musicSource) musicSource.stop();
+    musicSource = null;
+    if (audioCtx) audioCtx.close();
+    audioCtx = null;
+  }
+
+  return {
+    unlock,
+    play,
+    setMuted: (muted) => update({ muted }),
+    setVolume: (volume) => update({ volume }),
+    setMusicEnabled: (music) => update({ music }),
+    getSettings: () => current,
+    dispose
+  };
+}
@@ -0,0 +1,110 @@
+/* ====== Procedural sound effects ======
+ * The game ships without audio files, so every effect is rendered straight into an
+ * AudioBuffer once at startup. Each generator returns a sample in [-1, 1] for time t (s).
+ */
+
+function renderBuffer(audioCtx, duration, sample) {
+  const rate = audioCtx.sampleRate;
+  const length = Math.floor(duration * rate);
+  const buffer = audioCtx.createBuffer(1, length, rate);
+  const data = buffer.getChannelData(0);
+  for (let i = 0; i < length; i++) {
+    data[i] = Math.max(-1, Math.min(1, sample(i / rate, i)));
+  }
+  return buffer;
+}
+
+// Linear attack then exponential-ish decay
+function envelope(t, attack, duration) {
+  if (t < attack) return t / attack;
+  const progress = (t - attack) / (duration - attack);
+  return Math.pow(1 - Math.min(1, progress), 2);
+}
+
+const square = (phase) => (phase % 1 < 0.5 ? 1 : -1);
+const triangle = (phase) => 1 - 4 * Math.abs((phase % 1) - 0.5);
+
+/* ====== Fart - buzzy low saw sweeping down, roughened with noise ====== */
+export function renderFart(audioCtx) {
+  const duration = 0.32;
+  let phase = 0;
+  return renderBuffer(audioCtx, duration, (t) => {
+    const freq = 95 - 55 * (t / duration) + Math.sin(t * 90) * 12; // wobble
+    phase += freq / audioCtx.sampleRate;
+    const saw = 2 * (phase % 1) - 1;
+    const noise = Math.random() * 2 - 1;
+    return (saw * 0.7 + noise * 0.3) * envelope(t, 0.01, duration) * 0.8;
+  });
+}
+
+/* ====== Score - two-note square blip ====== */
+export function renderScore(audioCtx) {
+  const duration = 0.18;
+  return renderBuffer(audioCtx, duration, (t) => {
+    const freq = t < 0.07 ? 880 : 1320;
+    return square(t * freq) * envelope(t, 0.005, duration) * 0.35;
+  });
+}
+
+/* ====== Pipe hit - noise crack over a short low knock ====== */
+export function renderHit(audioCtx) {
+  const duration = 0.25;
+  return renderBuffer(audioCtx, duration, (t) => {
+    const noise = (Math.random() * 2 - 1) * envelope(t, 0.002, 0.12);
+    const knock = Math.sin(2 * Math.PI * 140 * t) * envelope(t, 0.002, duration);
+    return (noise * 0.6 + knock * 0.6) * 0.9;
+  });
+}
+
+/* ====== Ground - deep thud sweeping from 90Hz to 40Hz ====== */
+export function renderGround(audioCtx) {
+  const duration = 0.4;
+  let phase = 0;
+  return renderBuffer(audioCtx, duration, (t) => {
+    phase += (90 - 50 * (t / duration)) / audioCtx.sampleRate;
+    return Math.sin(2 * Math.PI * phase) * envelope(t, 0.004, duration);
+  });
+}
+
+/* ====== Coin - short bright two-tone ping ====== */
+export function renderCoin(audioCtx) {
+  const duration = 0.12;
+  return renderBuffer(audioCtx, duration, (t) => {
+    const freq = t < 0.04 ? 1567.98 : 2093.0;
+    return Math.sin(2 * Math.PI * freq * t) * envelope(t, 0.002, duration) * 0.35;
+  });
+}
+
+/* ====== Power-up pickup - quick rising square arpeggio ====== */
+export function renderPowerUp(audioCtx) {
+  const duration = 0.3;
+  const notes = [523.25, 659.25, 783.99, 1046.5];
+  return renderBuffer(audioCtx, duration, (t) => {
+    const freq = notes[Math.min(notes.length - 1, Math.floor((t / duration) * notes.length))];
+    return square(t * freq) * envelope(t, 0.005, duration) * 0.3;
+  });
+}
+
+/* ====== Background music - 4 bar triangle-wave arpeggio, loops seamlessly ====== */
+const MUSIC_BPM = 132;
+const MUSIC_NOTES = [
+  // A minor - F - C - G, one arpeggio per bar (Hz)
+  [220.0, 261.63, 329.63, 261.63],
+  [174.61, 220.0, 261.63, 220.0],
+  [261.63, 329.63, 392.0, 329.63],
+  [196.0, 246.94, 293.66, 246.94]
+];
+
+export function renderMusic(audioCtx) {
+  const beat = 60 / MUSIC_BPM;
+  const noteLength = beat / 2; // eighth notes
+  const notes = MUSIC_NOTES.flatMap((bar) => [...bar, ...bar]);
+  const duration = notes.length * noteLength;
+  return renderBuffer(audioCtx, duration, (t) => {
+    const index = Math.floor(t / noteLength);
+    const local = t - index * noteLength;
+    const freq = notes[index % notes.length];
+    const bass = triangle(t * freq / 2) * 0.3;
+    return (triangle(local * freq) * envelope(local, 0.01, noteLength) * 0.5 + bass * envelope(local, 0.01, noteLength)) * 0.4;
+  });
+}
@@ -1,49 +1,89 @@
 import React, { useRef, useEffect, useState } from 'react';
 import '../styles/GameCanvas.css';
-// Import the PlushPepe sprite (high-resolution version for optimal quality)
-import plushpepeSprite from '../assets/plushpepe.png';
-// Import the new Pipe assets
-import pipeShaftSprite from '../assets/pipeshaft.png';
-import pipeCapSprite from '../assets/pipecap.png';
-// Import the Ground, Grass, Cloud, and Fart sprites
+// PlushPepe, fart and pipe sprites come from the equipped cosmetics (see cosmetics/catalog.js)
+// Import the Ground, Grass and Cloud sprites
 import groundSprite from '../assets/ground.png';
 import grassSprite from '../assets/grass.png';
 import cloudSprite from '../assets/cloud.png';
-import fartSprite from '../assets/fart.png';
-
-/* ====== Constants (tuned to original physics) ====== */
-const V_WIDTH = 576;    // virtual canvas size (px) - 2x resolution
-const V_HEIGHT = 1024;  // 2x resolution for better sprite quality
-
-// Global score variable for debugging
-let globalScore = 0;
-
-// Physics Constants - Realistic Earth-like gravity simulation
-// Scale: ~100px = 1 meter, 60fps = real-time
-// Earth gravity: 9.8 m/s² = 9.8 * 100px/m ÷ (60fps)² = 0.272 px/frame²
-// Increased slightly for better game feel while staying realistic
-const GRAVITY = 0.4;   // px/frame² at 60 fps (realistic Earth-like gravity + game feel)
-const JUMP_VELOCITY = -6.5; // upward impulse (px/frame, increased to match stronger gravity)
-const MAX_FALL_SPEED = 12;   // terminal velocity downward (realistic for a small bird)
-
-// Synchronized scroll system - single speed for perfect alignment
-const SCROLL_SPEED = 4.025; // horizontal px / frame (scaled 2x) - increased by 15% for smoother gameplay
-const PIPE_INTERVAL = 350; // distance between pipes (reduced for more frequent obstacles)
-const PIPE_GAP = 162.5;   // vertical gap size (increased by 25% for better balance)
-const CLOUD_SPEED = 1.84; // cloud scroll speed (increased proportionally with scroll speed)
-
-const PLUSHPEPE_X = 160;     // fixed horizontal plushpepe position (scaled 2x)
-const PLUSHPEPE_SIZE = 96;   // PlushPepe sprite size (scaled 2x for high resolution)
-const PLUSHPEPE_HITBOX = 48; // PlushPepe collision box (scaled 2x)
-const PIPE_WIDTH = 104; // sprite width (scaled 2x)
-// PIPE_CAP_HEIGHT removed - dynamically calculated from image aspect ratio
-
-// Game constants: PLUSHPEPE_X=160, PIPE_WIDTH=104
+import {
+  V_WIDTH,
+  V_HEIGHT,
+  PIPE_GAP,
+  PLUSHPEPE_X,
+  PLUSHPEPE_SIZE,
+  PIPE_WIDTH,
+  CLOUD_SIZE,
+  GROUND_Y,
+  COIN_SIZE,
+  COIN_VALUE,
+  FIXED_GROUND_HEIGHT,
+  FART_DURATION,
+  STEP_MS
+} from '../game/constants';
+import { createSimulation } from '../game/simulation';
+import { randomSeed, getDailySeed, getUtcDayKey } from '../game/random';
+import { createReplay, recordEvents, createReplayPlayer, runReplay, encodeReplay, decodeReplay } from '../game/replay';
+import { PRESET_IDS, DEFAULT_PRESET_ID, getPreset } from '../game/presets';
+import { POWERUP_CONFIG } from '../game/powerups';
+import { drawPowerUp, drawPowerUpHud, drawShieldBubble, getPowerUpLabel } from '../render/powerUps';
+import { drawCoin, drawCoinCounter } from '../render/coins';
+import { getSkyState, drawSky } from '../render/sky';
+import { BIOMES, getBiomeIndex, createBiomeSpriteCache } from '../render/biomes';
+import { drawResultsPanel } from '../render/resultsPanel';
+import { getWallet, depositCoins } from '../storage/wallet';
+import { getMedalCounts, recordMedal } from '../storage/medals';
+import { getMedal } from '../game/medals';
+import { COSMETICS, getCosmetic, getSlotItems, describeUnlock } from '../cosmetics/catalog';
+import { loadSkinImage } from '../cosmetics/skins';
+import { getCosmetics, purchaseCosmetic, equipCosmetic, unlockMilestones } from '../storage/cosmetics';
+import {
+  COSMETICS_BACK_BUTTON,
+  drawCosmeticsScreen,
+  getCosmeticsTabAt,
+  getCosmeticsRowAt
+} from '../render/cosmeticsScreen';
+import {
+  ACHIEVEMENTS_BACK_BUTTON,
+  TOAST_FRAMES,
+  drawAchievementsScreen,
+  drawAchievementToast
+} from '../render/achievementsScreen';
+import { getDayNumber } from '../achievements/catalog';
+import { createAchievementTracker } from '../achievements/tracker';
+import { loadAchievements, saveAchievements } from '../storage/achievements';
+import { STATS_BACK_BUTTON, drawStatsScreen } from '../render/statsScreen';
+import { getStats, recordRunStats } from '../storage/stats';
+import { loadBestScores, saveBestScore, loadDailyBest, saveDailyBest } from '../storage/bestScores';
+import { loadPresetId, savePresetId, loadCollisionMode, saveCollisionMode } from '../storage/settings';
+import { loadGhost, saveGhost, loadDailyGhost, saveDailyGhost } from '../storage/ghosts';
+import { createCloudSync } from '../storage/cloudSync';
+import { createMockCloudStorage } from '../storage/mockCloudStorage';
+import { isLeaderboardAvailable, getBoardId, submitScore } from '../api/leaderboard';
+import { shareScoreCard } from '../api/shareCard';
+import { renderScoreCard } from '../render/scoreCard';
+import { toCanvasPoint, hitTest, drawButton, setButtonTheme } from '../render/buttons';
+import { createTelegramIntegration } from '../telegram/webApp';
+import { DEBUG_SPEEDS, isDebugRequested, createFrameMonitor, drawDebugOverlay } from '../render/debugOverlay';
+import { DEFAULT_TUNING, TUNED_PRESET_ID } from '../game/tuning';
+import { loadGameConfig, exportGameConfig } from '../api/gameConfig';
+import {
+  TUNING_PANEL,
+  TUNING_RESET_BUTTON,
+  TUNING_EXPORT_BUTTON,
+  TUNING_HIDE_BUTTON,
+  findTuningSlider,
+  getSliderValue,
+  drawTuningPanel
+} from '../render/tuningPanel';
+import { createSoundEngine } from '../audio/soundEngine';
+
+// Longest frame gap fed to the physics accumulator (≈6 steps) - avoids a burst of catch-up steps after a hitch
+const MAX_FRAME_DELTA = 100;
+
 // Ground height will be calculated from the actual sprite dimensions
 let GROUND_HEIGHT = 224; // default fallback, will be updated when ground sprite loads
 
 // Fart effect constants
-const FART_DURATION = 30; // frames (0.5 seconds at 60fps)
 const FART_FADE_IN_DURATION = 6; // frames (0.1 seconds at 60fps)
 const FART_FADE_OUT_DURATION = 6; // frames (0.1 seconds at 60fps)
 // FART_FULL_OPACITY_DURATION removed - calculated inline for better performance
@@ -51,12 +91,82 @@ const FART_SIZE_RATIO = 0.8; // 80% of Pepe's size
 const FART_OFFSET_X = -15; // pixels behind Pepe's visible edge (left side)
 const FART_OFFSET_Y = 35;  // pixels below Pepe's center (bottom-left area)
 
+// Ready-screen difficulty preset selector - tap cycles Easy / Normal / Hard / Classic v1
+const PRESET_BUTTON = { x: V_WIDTH / 2 - 170, y: V_HEIGHT / 2 - 120, w: 340, h: 64 };
+
+// Ready-screen toggle between forgiving and strict collision shapes (see game/collision.js) -
+// below the notice line (y 200) and above the sound row
+const COLLISION_BUTTON = { x: V_WIDTH / 2 - 170, y: 216, w: 340, h: 64 };
+
+// Ready-screen toggle between a normal run and today's Daily Challenge
+const DAILY_BUTTON = { x: V_WIDTH / 2 - 170, y: V_HEIGHT / 2 + 60, w: 340, h: 64 };
+
+// Ready-screen toggle: next run replays the course of your personal best, ghost included
+const GHOST_BUTTON = { x: V_WIDTH / 2 - 170, y: V_HEIGHT / 2 + 200, w: 340, h: 64 };
+const GHOST_ALPHA = 0.4; // ghost PlushPepe opacity
+
+// Ready-screen entries to the cosmetics shop and equip screens - sit over the ground strip
+const SHOP_BUTTON = { x: 58, y: V_HEIGHT - 200, w: 220, h: 64 };
+const EQUIP_BUTTON = { x: 298, y: V_HEIGHT - 200, w: 220, h: 64 };
+
+// Ready-screen entry to the achievements list - row below Shop / Equip
+const ACHIEVEMENTS_BUTTON = { x: 58, y: V_HEIGHT - 120, w: 220, h: 64 };
+const STATS_BUTTON = { x: 298, y: V_HEIGHT - 120, w: 220, h: 64 };
+
+// Screens where the Telegram BackButton shows - it does what Escape does
+const BACK_BUTTON_STATES = ['playing', 'paused', 'replay', 'shop', 'equip', 'achievements', 'stats'];
+
+// Screens the designer tuning panel shows over - the ones with the world in view
+const TUNING_PANEL_STATES = ['ready', 'playing', 'paused', 'gameover'];
+
+// A run starting this long after the previous game over begins a new play session (for stats)
+const SESSION_IDLE_MS = 5 * 60 * 1000;
+
+// Game-over actions for the run that just ended
+const WATCH_REPLAY_BUTTON = { x: V_WIDTH / 2 - 255, y: V_HEIGHT / 2 + 170, w: 160, h: 64 };
+const EXPORT_REPLAY_BUTTON = { x: V_WIDTH / 2 - 80, y: V_HEIGHT / 2 + 170, w: 160, h: 64 };
+const SHARE_BUTTON = { x: V_WIDTH / 2 + 95, y: V_HEIGHT / 2 + 170, w: 160, h: 64 };
+
+// Replay playback controls - sit over the ground strip
+const REPLAY_PLAY_BUTTON = { x: 24, y: V_HEIGHT - 150, w: 110, h: 64 };
+const REPLAY_SCRUB_BAR = { x: 154, y: V_HEIGHT - 140, w: 280, h: 44 };
+const REPLAY_EXIT_BUTTON = { x: V_WIDTH - 118, y: V_HEIGHT - 150, w: 94, h: 64 };
+const REPLAY_SEEK_FRAMES = 60; // arrow keys jump one second
+
+// Pause button (top-right while playing) and the 3-2-1 countdown before physics resumes
+const PAUSE_BUTTON = { x: V_WIDTH - 96, y: 24, w: 72, h: 72 };
+const RESUME_COUNTDOWN_FRAMES = 180; // 3 seconds at 60fps
+
+// Audio settings row - shown on the ready and pause screens
+const SOUND_BUTTON = { x: 58, y: 300, w: 120, h: 64 };
+const VOLUME_DOWN_BUTTON = { x: 188, y: 300, w: 64, h: 64 };
+const VOLUME_UP_BUTTON = { x: 324, y: 300, w: 64, h: 64 };
+const MUSIC_BUTTON = { x: 398, y: 300, w: 120, h: 64 };
+const VOLUME_STEP = 0.1;
+
+// A ghost only makes sense on the exact course it flew, with the same physics
+function findGhostForSeed(seed, presetId) {
+  return [loadDailyGhost(), loadGhost(presetId)]
+    .find((ghost) => ghost && ghost.seed === seed && ghost.preset === presetId) || null;
+}
+
+/* ====== Helper: game-over leaderboard line, e.g. "🌍 #12 of 340 · 👥 #2 of 5" ====== */
+function describeStanding(standing) {
+  if (standing.status === 'loading') return 'Submitting score...';
+  if (standing.status === 'error') return 'Leaderboard offline';
+  if (standing.status === 'rejected') return 'Score not accepted';
+  if (standing.status === 'flagged') return 'Score under review';
+  const parts = [`🌍 #${standing.global.rank} of ${standing.global.total}`];
+  if (standing.friends) parts.push(`👥 #${standing.friends.rank} of ${standing.friends.total}`);
+  return parts.join(' · ');
+}
+
 /* ====== Helper: calculate fart opacity based on timer ====== */
-function getFartOpacity(timeRemaining) {
+function getFartOpacity(timeRemaining, duration = FART_DURATION) {
   // Clamp timeRemaining to valid range
-  timeRemaining = Math.max(0, Math.min(FART_DURATION, timeRemaining));
+  timeRemaining = Math.max(0, Math.min(duration, timeRemaining));
   
-  const timeElapsed = FART_DURATION - timeRemaining;
+  const timeElapsed = duration - timeRemaining;
   
   if (timeElapsed < FART_FADE_IN_DURATION) {
     // Fade in phase (0.0 to 1.0 over first 0.1 seconds)
@@ -74,155 +184,6 @@ function getFartOpacity(timeRemaining) {
 
 // Removed unused helper functions to clean up build warnings
 
-/* ====== Helper: Calculate Pepe's 3-flap maneuverability in 1.5 seconds ====== */
-function calculatePepeManeuverability() {
-  const oneAndHalfSecondFrames = 90; // 1.5 seconds at 60fps
-  const optimalFlapInterval = 18; // frames between flaps (0.3 seconds)
-  const maxFlaps = 3; // exactly 3 flaps as specified
-  
-  // Simulate 3 flaps over 1.5 seconds
-  let maxUpwardTravel = 0;
-  let maxDownwardTravel = 0;
-  let position = 0;
-  let velocity = 0;
-  let flapsUsed = 0;
-  
-  for (let frame = 0; frame < oneAndHalfSecondFrames; frame++) {
-    // Apply flap at optimal intervals, max 3 flaps
-    if (frame % optimalFlapInterval === 0 && flapsUsed < maxFlaps) {
-      velocity = JUMP_VELOCITY;
-      flapsUsed++;
-    }
-    
-    // Apply physics
-    velocity += GRAVITY;
-    if (velocity > MAX_FALL_SPEED) velocity = MAX_FALL_SPEED;
-    position += velocity;
-    
-    // Track maximum travel in both directions
-    if (position < maxUpwardTravel) maxUpwardTravel = position;
-    if (position > maxDownwardTravel) maxDownwardTravel = position;
-  }
-  
-  const climbRange = Math.abs(maxUpwardTravel) * 0.85; // 85% safety margin
-  const fallRange = Math.abs(maxDownwardTravel) * 0.9; // 90% safety margin
-  
-  console.log(`🧮 Pepe maneuverability: 3 flaps in 1.5s = climb ${climbRange.toFixed(0)}px, fall ${fallRange.toFixed(0)}px`);
-  return { climb: climbRange, fall: fallRange };
-}
-
-/* ====== Helper: Enhanced pipe gap generation with proper height constraints ====== */
-function randomGapY(previousGapY = null) {
-  // Calculate safe pipe gap positioning to ensure full pipe rendering
-  const SCREEN_HEIGHT = 1024; // V_HEIGHT
-  const FIXED_GROUND_HEIGHT = 224;
-  const ACTUAL_GROUND_Y = SCREEN_HEIGHT - FIXED_GROUND_HEIGHT; // 800px
-  
-  // Define minimum pipe shaft height for visual balance (at least one full shaft segment + cap)
-  const MIN_PIPE_SHAFT_HEIGHT = 80; // Ensures at least one visible shaft tile + cap
-  const SAFE_MARGIN = 50; // Additional margin for gameplay fairness
-  
-  // Calculate safe Y-range for gap center to ensure both pipes render fully
-  const minGapY = MIN_PIPE_SHAFT_HEIGHT + SAFE_MARGIN; // ~130px from top
-  const maxGapY = ACTUAL_GROUND_Y - PIPE_GAP - MIN_PIPE_SHAFT_HEIGHT - SAFE_MARGIN; // ~550px from top
-  
-  console.log(`🔧 Safe gap range: ${minGapY}px to ${maxGapY}px (ensures ${MIN_PIPE_SHAFT_HEIGHT}px+ shaft on both pipes)`);
-  
-  // Get Pepe's 3-flap maneuverability constraints
-  const maneuverability = calculatePepeManeuverability();
-  const MAX_UPWARD_DELTA = Math.min(95, maneuverability.climb); // Cap at 95px for balance
-  const MAX_DOWNWARD_DELTA = Math.min(100, maneuverability.fall); // Cap at 100px for balance
-  
-  let targetGapY;
-  
-  if (previousGapY !== null) {
-    // Calculate reachable range from previous gap with maneuverability constraints
-    const minReachableY = Math.max(minGapY, previousGapY - MAX_UPWARD_DELTA);
-    const maxReachableY = Math.min(maxGapY, previousGapY + MAX_DOWNWARD_DELTA);
-    
-    // Enhanced variation system with MINIMUM 40px delta requirement
-    // 10% small (±30px), 30% medium (±60px), 60% large (full reachable range)
-    const variationType = Math.random();
-    let finalRange;
-    
-    if (variationType < 0.1) {
-      // Small variation - subtle changes
-      const smallDelta = 30;
-      finalRange = {
-        min: Math.max(minReachableY, previousGapY - smallDelta),
-        max: Math.min(maxReachableY, previousGapY + smallDelta)
-      };
-    } else if (variationType < 0.4) {
-      // Medium variation - moderate changes
-      const mediumDelta = 60;
-      finalRange = {
-        min: Math.max(minReachableY, previousGapY - mediumDelta),
-        max: Math.min(maxReachableY, previousGapY + mediumDelta)
-      };
-    } else {
-      // Large variation - use full reachable range for maximum diversity
-      finalRange = {
-        min: minReachableY,
-        max: maxReachableY
-      };
-    }
-    
-    // Generate position with minimum 40px delta requirement
-    let attempts = 0;
-    const maxAttempts = 20;
-    
-    do {
-      const rangeSize = finalRange.max - finalRange.min;
-      targetGapY = Math.floor(finalRange.min + Math.random() * rangeSize);
-      attempts++;
-    } while (Math.abs(targetGapY - previousGapY) < 40 && attempts < maxAttempts);
-    
-    // If we couldn't meet the 40px requirement, force it
-    if (Math.abs(targetGapY - previousGapY) < 40) {
-      // Try to move 40px up or down from previous position
-      const moveUp = previousGapY - 40;
-      const moveDown = previousGapY + 40;
-      
-      if (moveUp >= minReachableY) {
-        targetGapY = moveUp;
-      } else if (moveDown <= maxReachableY) {
-        targetGapY = moveDown;
-      } else {
-        // Use the furthest possible position
-        targetGapY = Math.abs(minReachableY - previousGapY) > Math.abs(maxReachableY - previousGapY) 
-          ? minReachableY : maxReachableY;
-      }
-    }
-    
-    const deltaDirection = targetGapY > previousGapY ? 'DOWN' : 'UP';
-    const deltaAmount = Math.abs(targetGapY - previousGapY);
-    const variationTypeStr = variationType < 0.1 ? 'SMALL' : variationType < 0.4 ? 'MEDIUM' : 'LARGE';
-    const screenPercent = ((targetGapY / SCREEN_HEIGHT) * 100).toFixed(1);
-    console.log(`🎯 Safe gap: prev=${previousGapY}, new=${targetGapY} (${screenPercent}% screen), ${deltaDirection} ${deltaAmount}px (${variationTypeStr})`);
-  } else {
-    // First gap - use safe middle range to ensure full pipe rendering
-    const safeRangeSize = maxGapY - minGapY;
-    const middleStart = minGapY + safeRangeSize * 0.25; // 25% into safe range
-    const middleEnd = minGapY + safeRangeSize * 0.75;   // 75% into safe range
-    
-    // Generate first gap in safe middle range
-    targetGapY = Math.floor(middleStart + Math.random() * (middleEnd - middleStart));
-    
-    const screenPercent = ((targetGapY / SCREEN_HEIGHT) * 100).toFixed(1);
-    console.log(`🎯 Safe initial gap at Y=${targetGapY} (${screenPercent}% screen height, range=${Math.floor(middleStart)}-${Math.floor(middleEnd)})`);
-  }
-  
-  // Clamp to absolute safe bounds (no micro-variation that could break bounds)
-  const finalGapY = Math.max(minGapY, Math.min(maxGapY, targetGapY));
-  
-  // Verify the bottom pipe will render properly
-  const bottomPipeHeight = ACTUAL_GROUND_Y - (finalGapY + PIPE_GAP);
-  const topPipeHeight = finalGapY;
-  console.log(`🔍 Pipe heights: top=${topPipeHeight}px, bottom=${bottomPipeHeight}px (both > ${MIN_PIPE_SHAFT_HEIGHT}px required)`);
-  
-  return finalGapY;
-}
-
 /* ====== Helper: Draw pipe with shaft and cap assets ====== */
 function drawPipeWithAssets(ctx, shaftImg, capImg, x, y, width, height, isTopPipe = false) {
   if (!shaftImg || !capImg) return;
@@ -317,46 +278,98 @@ function drawPipeWithAssets(ctx, shaftImg, capImg, x, y, width, height, isTopPip
   ctx.restore();
 }
 
-/* ====== Helper: Get precise pipe collision bounds ====== */
-function getPipeCollisionBounds(pipe) {
-  // Minimal margin for seamless pipe collision detection
-  const margin = 2; // reduced margin for more precise collision with seamless pipes
-  
-  // Calculate exact ground position for seamless pipe-ground connection
-  const FIXED_GROUND_HEIGHT = 224;
-  const groundStartY = V_HEIGHT - FIXED_GROUND_HEIGHT;
-  
-  return {
-    // Top pipe bounds - seamless connection
-    topPipe: {
-      left: pipe.x + margin,
-      right: pipe.x + PIPE_WIDTH - margin,
-      top: 0,
-      bottom: pipe.gapY - margin
-    },
-    // Bottom pipe bounds - extends exactly to ground level
-    bottomPipe: {
-      left: pipe.x + margin,
-      right: pipe.x + PIPE_WIDTH - margin,
-      top: pipe.gapY + PIPE_GAP + margin,
-      bottom: groundStartY
-    }
-  };
+/* ====== Helper: blend a value from the previous physics snapshot (missing snapshot = current) ====== */
+function lerp(prev, key, current, t) {
+  if (!prev || t >= 1) return current;
+  return prev[key] + (current - prev[key]) * t;
+}
+
+/* ====== Helper: Draw PlushPepe (player and ghost share this) ====== */
+function drawPlushPepe(ctx, sprite, y, rot) {
+  // Calculate rounded positions for pixel-perfect rendering
+  const centerX = Math.round(PLUSHPEPE_X + PLUSHPEPE_SIZE/2);
+  const centerY = Math.round(y + PLUSHPEPE_SIZE/2);
+
+  ctx.save();
+  ctx.translate(centerX, centerY); // center
+  ctx.rotate((rot * Math.PI) / 180);
+
+  if (sprite) {
+    // Enhanced rendering for high-resolution sprites
+    // Temporarily enable smoothing for HD sprite scaling, then disable for pixel-perfect edges
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high'; // Use highest quality scaling for HD sprites
+
+    // Draw the high-resolution PlushPepe sprite with optimized scaling
+    ctx.drawImage(
+      sprite,
+      0, 0, sprite.width, sprite.height, // source (full HD sprite)
+      -PLUSHPEPE_SIZE/2, -PLUSHPEPE_SIZE/2, PLUSHPEPE_SIZE, PLUSHPEPE_SIZE // destination (scaled to game size)
+    );
+
+    // Restore pixel-perfect rendering for other elements
+    ctx.imageSmoothingEnabled = false;
+  } else {
+    // Fallback placeholder while loading
+    ctx.fillStyle = '#ffca28';
+    ctx.fillRect(-PLUSHPEPE_SIZE/2, -PLUSHPEPE_SIZE/2, PLUSHPEPE_SIZE, PLUSHPEPE_SIZE); // fallback
+  }
+  ctx.restore();
+}
+
+/* ====== Helper: Draw mute / volume / music controls ====== */
+function drawSoundControls(ctx, settings) {
+  drawButton(ctx, SOUND_BUTTON, settings.muted ? 'Muted' : 'Sound', { active: !settings.muted });
+  drawButton(ctx, VOLUME_DOWN_BUTTON, '-');
+  drawButton(ctx, VOLUME_UP_BUTTON, '+');
+  drawButton(ctx, MUSIC_BUTTON, 'Music', { active: settings.music });
+
+  ctx.save();
+  ctx.fillStyle = '#fff';
+  ctx.font = '24px monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(`${Math.round(settings.volume * 100)}%`, V_WIDTH / 2, SOUND_BUTTON.y + SOUND_BUTTON.h / 2);
+  ctx.restore();
+}
+
+/* ====== Helper: Draw replay play/pause, scrub bar and exit controls ====== */
+function drawReplayControls(ctx, frame, totalFrames, isPlaying) {
+  drawButton(ctx, REPLAY_PLAY_BUTTON, isPlaying ? 'Pause' : 'Play', { active: isPlaying });
+  drawButton(ctx, REPLAY_EXIT_BUTTON, 'Exit');
+
+  // Scrub bar track and progress
+  const progress = totalFrames > 0 ? Math.min(1, frame / totalFrames) : 0;
+  const bar = REPLAY_SCRUB_BAR;
+  ctx.save();
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+  ctx.fillRect(bar.x, bar.y, bar.w, bar.h);
+  ctx.fillStyle = '#ffca28';
+  ctx.fillRect(bar.x, bar.y, bar.w * progress, bar.h);
+  ctx.strokeStyle = '#fff';
+  ctx.lineWidth = 3;
+  ctx.strokeRect(bar.x, bar.y, bar.w, bar.h);
+
+  ctx.fillStyle = '#fff';
+  ctx.font = '22px monospace';
+  ctx.textAlign = 'center';
+  ctx.fillText(`${frame} / ${totalFrames}`, bar.x + bar.w / 2, bar.y + bar.h + 28);
+  ctx.restore();
 }
 
 /* ====== React Component ====== */
 export default function GameCanvas() {
   const canvasRef = useRef(null);
-  const [gameState, setGameState] = useState('ready'); // ready | playing | gameover
+  const [gameState, setGameState] = useState('ready'); // ready | playing | paused | gameover | replay | shop | equip | achievements | stats
   const gameStateRef = useRef('ready'); // Keep ref for access in handlers
-  const [, setScore] = useState(0); // score display handled by globalScore
-  const [, setHighScore] = useState(() => {
-    // Load existing high score from localStorage
-    const saved = localStorage.getItem('best');
-    const loadedScore = saved ? parseInt(saved, 10) : 0;
-    console.log('🎮 Loading game - High score from localStorage:', loadedScore);
-    return loadedScore;
-  });
+  // High scores (one per difficulty preset) and today's Daily Challenge best, as shown on the
+  // ready screen - kept here so draw() never reads the save; see refreshBests()
+  const bestScores = useRef(null);
+  if (bestScores.current === null) {
+    bestScores.current = loadBestScores();
+    console.log('🎮 Loading game - High scores:', bestScores.current);
+  }
+  const dailyBest = useRef(0);
 
   // Image loading
   const plushpepeImg = useRef(null);
@@ -368,9 +381,22 @@ export default function GameCanvas() {
   const fartImg = useRef(null);
   const imagesLoaded = useRef(false);
 
-  // Load images
+  // Cosmetics - owned/equipped ids for the game loop; `equipped` state re-runs the sprite loading
+  const cosmetics = useRef(null);
+  if (cosmetics.current === null) {
+    cosmetics.current = getCosmetics();
+  }
+  const [equipped, setEquipped] = useState(() => cosmetics.current.equipped);
+  const cosmeticPreviews = useRef({}); // shop / equip thumbnails by item id
+  const cosmeticsSlot = useRef('character'); // tab shown on the shop / equip screens
+
+  // Load images - PlushPepe, pipes and fart use the equipped skins
   useEffect(() => {
     console.log('🔄 Starting to load sprites...');
+    let cancelled = false; // a newer skin was equipped before these finished
+    const characterSkin = getCosmetic(equipped.character);
+    const trailSkin = getCosmetic(equipped.trail);
+    const pipeSkin = getCosmetic(equipped.pipe);
     
     let loadedCount = 0;
     const totalImages = 7; // Loading PlushPepe, Pipe shaft, Pipe cap, Ground, Grass, Cloud, and Fart
@@ -383,41 +409,35 @@ export default function GameCanvas() {
       }
     };
     
-    // Load PlushPepe sprite
-    const plushpepeImage = new Image();
-    plushpepeImage.onload = () => {
-      console.log('✅ PlushPepe sprite loaded');
-      plushpepeImg.current = plushpepeImage;
-      checkAllLoaded();
-    };
-    plushpepeImage.onerror = (error) => {
-      console.error('❌ Failed to load PlushPepe sprite');
-    };
-    plushpepeImage.src = plushpepeSprite;
+    // Load PlushPepe sprite (equipped character skin)
+    loadSkinImage(characterSkin.src, characterSkin)
+      .then((image) => {
+        if (cancelled) return;
+        console.log(`✅ PlushPepe sprite loaded (${characterSkin.name})`);
+        plushpepeImg.current = image;
+        checkAllLoaded();
+      })
+      .catch(() => console.error('❌ Failed to load PlushPepe sprite'));
     
-    // Load Pipe shaft sprite
-    const pipeShaftImage = new Image();
-    pipeShaftImage.onload = () => {
-      console.log('✅ Pipe shaft sprite loaded');
-      pipeShaftImg.current = pipeShaftImage;
-      checkAllLoaded();
-    };
-    pipeShaftImage.onerror = (error) => {
-      console.error('❌ Failed to load Pipe shaft sprite');
-    };
-    pipeShaftImage.src = pipeShaftSprite;
+    // Load Pipe shaft sprite (equipped pipe skin)
+    loadSkinImage(pipeSkin.shaftSrc, pipeSkin)
+      .then((image) => {
+        if (cancelled) return;
+        console.log(`✅ Pipe shaft sprite loaded (${pipeSkin.name})`);
+        pipeShaftImg.current = image;
+        checkAllLoaded();
+      })
+      .catch(() => console.error('❌ Failed to load Pipe shaft sprite'));
     
-    // Load Pipe cap sprite
-    const pipeCapImage = new Image();
-    pipeCapImage.onload = () => {
-      console.log('✅ Pipe cap sprite loaded');
-      pipeCapImg.current = pipeCapImage;
-      checkAllLoaded();
-    };
-    pipeCapImage.onerror = (error) => {
-      console.error('❌ Failed to load Pipe cap sprite');
-    };
-    pipeCapImage.src = pipeCapSprite;
+    // Load Pipe cap sprite (equipped pipe skin)
+    loadSkinImage(pipeSkin.capSrc, pipeSkin)
+      .then((image) => {
+        if (cancelled) return;
+        console.log(`✅ Pipe cap sprite loaded (${pipeSkin.name})`);
+        pipeCapImg.current = image;
+        checkAllLoaded();
+      })
+      .catch(() => console.error('❌ Failed to load Pipe cap sprite'));
     
     // Load Ground sprite
     const groundImage = new Image();
@@ -466,75 +486,241 @@ export default function GameCanvas() {
     };
     cloudImage.src = cloudSprite;
     
-    // Load Fart sprite
-    const fartImage = new Image();
-    fartImage.onload = () => {
-      console.log('✅ Fart sprite loaded');
-      fartImg.current = fartImage;
-      console.log(`💨 Fart dimensions: ${fartImage.width}x${fartImage.height}`);
-      checkAllLoaded();
-    };
-    fartImage.onerror = (error) => {
-      console.error('❌ Failed to load Fart sprite');
-      checkAllLoaded();
+    // Load Fart sprite (equipped trail skin)
+    loadSkinImage(trailSkin.src, trailSkin)
+      .then((image) => {
+        if (cancelled) return;
+        console.log(`✅ Fart sprite loaded (${trailSkin.name})`);
+        fartImg.current = image;
+        console.log(`💨 Fart dimensions: ${image.width}x${image.height}`);
+        checkAllLoaded();
+      })
+      .catch(() => {
+        console.error('❌ Failed to load Fart sprite');
+        checkAllLoaded();
+      });
+
+    return () => {
+      cancelled = true;
     };
-    fartImage.src = fartSprite;
-  }, []);
+  }, [equipped]);
 
   // Update ref when state changes
   gameStateRef.current = gameState;
 
+  // Push a finished run to the cloud - after render, once the new best has been stored
+  useEffect(() => {
+    if (gameState === 'gameover') syncProgress();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [gameState]);
+
+  // Native Telegram buttons follow the screen: Back on menus and in a run, "Play again" after a game over
+  useEffect(() => {
+    telegram.current.setBackButton(BACK_BUTTON_STATES.includes(gameState) ? handleBack : null);
+    telegram.current.setMainButton(gameState === 'gameover' ? 'Play again' : null, resetGame);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [gameState]);
+
   // Function to handle game over and save high score
-  const handleGameOver = () => {
-    console.log('💀 Game Over! Current score:', globalScore);
-    
-    // Test localStorage directly
-    localStorage.setItem('test', 'working');
-    console.log('🧪 localStorage test - saved "test", retrieved:', localStorage.getItem('test'));
+  const handleGameOver = (score) => {
+    console.log('💀 Game Over! Current score:', score);
+
+    // Tuned runs are playtests - leaderboards and replays only know the built-in values.
+    // Runs flown in debug slow motion or frame by frame replay fine but weren't played for real.
+    // Neither banks, saves or submits anything
+    const { tuned } = sim.current.getState();
+    if (tuned || assistedRun.current) {
+      const label = tuned ? 'Tuned run' : 'Debug-assisted run';
+      console.log(`🎛️ ${label} - not saved`);
+      endSession();
+      // Drop what the run counted before it became a playtest - progress goes back to the last save
+      achievements.current = createAchievementTracker(loadAchievements());
+      lastResult.current = null;
+      if (tuned) lastReplay.current = null; // cannot be re-simulated
+      showNotice(`${label} - not saved`);
+      gameStateRef.current = 'gameover';
+      setGameState('gameover');
+      return;
+    }
+
+    // Bank this run's coins whatever the mode
+    const runCoins = sim.current.getState().coinsCollected;
+    if (runCoins > 0) {
+      wallet.current = depositCoins(runCoins);
+      console.log(`🪙 Banked ${runCoins} coins - wallet: ${wallet.current.coins}`);
+    }
+    grantCosmeticMilestones(score);
+    const cause = sim.current.getState().deathCause;
+    trackAchievements({ type: 'gameover', score, cause, day: getDayNumber() });
+    recordRunStats({ score, ...runCounts.current, cause, sessionMs: endSession() });
+
+    // Results panel - best before this run decides the NEW badge
+    const presetId = sim.current.getState().preset;
+    const previousBest = gameMode.current === 'daily'
+      ? loadDailyBest(dailyDayKey.current)
+      : bestScores.current[presetId] || 0;
+    const medal = getMedal(score);
+    const medalCounts = medal ? recordMedal(medal.id) : getMedalCounts();
+    if (medal) console.log(`🏅 ${medal.name} medal earned (${medalCounts[medal.id]} total)`);
+    lastResult.current = {
+      score,
+      best: Math.max(score, previousBest),
+      isNewBest: score > previousBest,
+      medal,
+      medalCount: medal ? medalCounts[medal.id] : 0,
+      coins: runCoins
+    };
+    submitToLeaderboard(lastResult.current, presetId, lastReplay.current);
+
+    // Daily Challenge runs never touch the preset bests
+    if (gameMode.current === 'daily') {
+      if (score > previousBest) {
+        saveDailyBest(dailyDayKey.current, score);
+        if (lastReplay.current) saveDailyGhost(lastReplay.current);
+        console.log('📅 New Daily Challenge best:', score);
+      }
+      refreshBests();
+      gameStateRef.current = 'gameover';
+      setGameState('gameover');
+      return;
+    }
     
+    // New personal best - keep its flight path for ghost racing
+    if (score > previousBest && lastReplay.current) {
+      saveGhost(presetId, lastReplay.current);
+      hasClassicGhost.current = true;
+    }
+
     // Save high score immediately when game ends
-    const currentScore = globalScore;
-    setHighScore((prev) => {
-      console.log('🏆 Checking high score - Current:', currentScore, 'Previous best:', prev);
-      if (currentScore > prev) {
-        localStorage.setItem('best', currentScore.toString());
-        console.log('✅ New high score saved to localStorage:', currentScore);
-        // Verify it was saved
-        console.log('🔍 Verification - Retrieved from localStorage:', localStorage.getItem('best'));
-        return currentScore;
-      } else {
-        console.log('📊 Score not higher than previous best');
-        return prev;
-      }
-    });
+    console.log(`🏆 Checking high score (${presetId}) - Current:`, score, 'Previous best:', previousBest);
+    if (score > previousBest) {
+      saveBestScore(presetId, score);
+      console.log('✅ New high score saved:', score);
+    } else {
+      console.log('📊 Score not higher than previous best');
+    }
+    refreshBests();
+    gameStateRef.current = 'gameover';
     setGameState('gameover');
   };
 
-  // PlushPepe physics - start at a safe position above ground
-  const plushpepe = useRef({ y: V_HEIGHT / 2 - 100, vel: 0, rot: 0 }); // Safe position in upper half of screen
-  
-  // Debug: Log initial spawn position
-  console.log(`🐸 PlushPepe spawn position: Y=${V_HEIGHT / 2 - 100} (Canvas: ${V_WIDTH}x${V_HEIGHT})`);
-  // Pipes array (recycled) - start with constrained gaps for playability
-  const firstGapY = randomGapY(); // First gap is unconstrained
-  const pipes = useRef([
-    { x: V_WIDTH + 50, gapY: firstGapY, scored: false }, // First gap
-    { x: V_WIDTH + 50 + PIPE_INTERVAL, gapY: randomGapY(firstGapY), scored: false }, // Constrained to first
-    { x: V_WIDTH + 50 + PIPE_INTERVAL * 2, gapY: randomGapY(randomGapY(firstGapY)), scored: false } // Constrained to second
-  ]);
-  
-  // Clouds array for background parallax effect
-  const clouds = useRef([]);
-  const cloudSpawnTimer = useRef(0);
-  const CLOUD_SPAWN_INTERVAL = 420; // frames between cloud spawns (7 seconds at 60fps)
-  const CLOUD_SPAWN_VARIANCE = 0; // no variance - exactly every 7 seconds
-  const CLOUD_SIZE = 64; // cloud display size (64x64 pixels)
-  
-  // Shared scroll system for perfect synchronization
-  const sharedScrollPosition = useRef(0); // Master scroll position for all elements
-  
-  // Ground scrolling animation
-  const groundOffset = useRef(0);
+  // classic = fresh random course every run, daily = shared seed for the UTC day,
+  // ghost = the course of the saved personal best
+  const gameMode = useRef('classic');
+
+  // UTC day of the Daily Challenge course in the sim, fixed when the course is picked - a run
+  // that crosses midnight still counts for (and is ranked on) the day it was flown on
+  const dailyDayKey = useRef(null);
+
+  // Difficulty preset picked on the ready screen - Daily Challenge always runs on Normal
+  const selectedPreset = useRef(null);
+  if (selectedPreset.current === null) {
+    selectedPreset.current = loadPresetId();
+  }
+
+  // Collision mode for the next run - forgiving | strict
+  const collisionMode = useRef(null);
+  if (collisionMode.current === null) {
+    collisionMode.current = loadCollisionMode();
+  }
+
+  // Headless simulation owns PlushPepe, pipes, clouds, scroll and score
+  const sim = useRef(null);
+  if (sim.current === null) {
+    sim.current = createSimulation({ preset: selectedPreset.current, collision: collisionMode.current });
+  }
+  const pendingFlap = useRef(false); // flap input consumed by the next simulation step
+
+  // Run recording (seed + flap frames) and replay playback
+  const recording = useRef(null);     // replay being recorded for the current run
+  const lastReplay = useRef(null);    // finished replay of the previous run
+  const replayPlayer = useRef(null);  // createReplayPlayer() while watching a replay
+  const replayTotalFrames = useRef(0);
+  const replayPlaying = useRef(false);
+  const replayReturnState = useRef('ready');
+  const scrubbing = useRef(false);
+
+  // Ghost racing - replay of the personal best stepped in lockstep with the live run
+  const ghostPlayer = useRef(null);
+  const hasClassicGhost = useRef(null); // ghost for the selected preset - cached so the ready screen doesn't hit storage every frame
+  if (hasClassicGhost.current === null) {
+    hasClassicGhost.current = loadGhost(selectedPreset.current) !== null;
+  }
+
+  // Achievements - counters fed by live-run events, unlock toasts shown one at a time
+  const achievements = useRef(null);
+  if (achievements.current === null) {
+    achievements.current = createAchievementTracker(loadAchievements());
+  }
+  const achievementToasts = useRef([]); // [{ achievement, timer }]
+
+  // Lifetime stats - this run's pipes / flaps, the current play session, snapshot for the stats screen
+  const runCounts = useRef({ pipes: 0, flaps: 0 });
+  const session = useRef(null); // { start, lastEnd } in ms
+  const statsView = useRef(null);
+
+  // Numbers for the game-over results panel, filled in by handleGameOver()
+  const lastResult = useRef(null);
+  const standing = useRef(null); // leaderboard rank for lastResult - { result, status, global, friends }
+  const sharing = useRef(false);  // a score card share is in flight
+  const sharePressed = useRef(false); // Share was pressed - the share starts on release (see handlePointerUp)
+
+  // Telegram CloudStorage sync - `?cloud=mock` swaps in an in-memory cloud for testing outside Telegram
+  const cloudSync = useRef(null);
+  if (cloudSync.current === null) {
+    const useMockCloud = new URLSearchParams(window.location.search).get('cloud') === 'mock';
+    cloudSync.current = createCloudSync(useMockCloud ? createMockCloudStorage() : undefined);
+  }
+
+  // Coin wallet - cached copy of the saved balance for drawing
+  const wallet = useRef(null);
+  if (wallet.current === null) {
+    wallet.current = getWallet();
+  }
+
+  // Sound effects and music - created with the game loop, unlocked by the first tap
+  const sound = useRef(null);
+
+  // Telegram haptics, native buttons and theme - every call is a no-op outside Telegram
+  const telegram = useRef(null);
+  if (telegram.current === null) {
+    telegram.current = createTelegramIntegration();
+  }
+
+  // Developer overlay - speed scales real time fed to the physics, frozen stops it
+  // except for `steps` single frames (see handleDebugKey)
+  const debug = useRef(null);
+  if (debug.current === null) {
+    debug.current = { enabled: isDebugRequested(), speed: 1, frozen: false, steps: 0, frames: createFrameMonitor() };
+  }
+  const assistedRun = useRef(false); // the current run used slow motion, freeze or stepping - not saved
+
+  // Designer tuning (see game/tuning.js) - the full values in effect, and the slider panel
+  // (?tune=1 opens it at start, T while the debug overlay is on toggles it)
+  const tuning = useRef(DEFAULT_TUNING);
+  const pendingGameConfig = useRef(null); // loaded config waiting for the next course (see resetGame)
+  const tuningPanel = useRef(null);
+  if (tuningPanel.current === null) {
+    tuningPanel.current = { open: new URLSearchParams(window.location.search).get('tune') === '1', dragging: null };
+  }
+
+  // Pause - frames left on the resume countdown (0 = waiting for the player to resume)
+  const resumeCountdown = useRef(0);
+
+  // Short on-canvas status line (e.g. "Replay copied")
+  const notice = useRef({ text: '', timer: 0 });
+
+  // Sky and biome - eased score for the day cycle, cross-fade between biomes, tinted sprite sets
+  const skyScore = useRef(0);
+  const biomeFade = useRef({ from: 0, to: 0, t: 1 });
+  const biomeSprites = useRef(null);
+  if (biomeSprites.current === null) {
+    biomeSprites.current = createBiomeSpriteCache();
+  }
+
+  // Render interpolation - positions before the latest physics step, blended with the current ones
+  const renderPrev = useRef({ player: null, ghost: null });
+  const worldAdvanced = useRef(false); // false while the shown world is frozen (ready, game over, paused replay)
   
   // Fart effect state
   const fartTimer = useRef(0); // frames remaining for fart visibility
@@ -554,21 +740,39 @@ export default function GameCanvas() {
     resizeCanvas();
     window.addEventListener('resize', resizeCanvas);
 
-    let lastTime = 0;
+    let lastTime = null;
+    let accumulator = 0; // ms of real time not yet simulated
+    let frameId = null;
     // Optimize for Telegram Mini App performance
     let frameCount = 0;
     let lastFpsCheck = performance.now();
     
     function loop(timestamp) {
       const now = timestamp || performance.now();
-      const delta = Math.min(now - lastTime, 32); // Cap at 32ms (30fps minimum)
+      const delta = lastTime === null ? 0 : Math.min(now - lastTime, MAX_FRAME_DELTA);
+      if (debug.current.enabled && lastTime !== null) debug.current.frames.record(now - lastTime);
       lastTime = now;
       
-      // Use time-based movement for consistent speed across devices
-      const timeStep = delta / 16.67; // Normalize to 60fps baseline
+      // Fixed-step physics: identical results at 60, 90 or 120 Hz and in replays.
+      // The debug overlay can slow real time down or freeze it and step frame by frame
+      const { enabled, frozen, speed } = debug.current;
+      if (enabled && (frozen || speed !== 1) && gameStateRef.current === 'playing') assistedRun.current = true;
+      if (enabled && frozen) {
+        accumulator = 0;
+        while (debug.current.steps > 0) {
+          update();
+          debug.current.steps -= 1;
+        }
+      } else {
+        accumulator += enabled ? delta * speed : delta;
+        while (accumulator >= STEP_MS) {
+          update();
+          accumulator -= STEP_MS;
+        }
+      }
       
-      update(timeStep);
-      draw(ctx);
+      // Render part-way between the last two physics states - a frozen world exactly as stepped
+      draw(ctx, enabled && frozen ? 1 : accumulator / STEP_MS);
       
       // FPS monitoring for Telegram Mini App optimization
       frameCount++;
@@ -581,222 +785,457 @@ export default function GameCanvas() {
         lastFpsCheck = now;
       }
       
-      requestAnimationFrame(loop);
+      frameId = requestAnimationFrame(loop);
     }
-    requestAnimationFrame(loop);
+    frameId = requestAnimationFrame(loop);
+
+    sound.current = createSoundEngine();
 
     /* ===== Input Handlers ===== */
-    function flap() {
+    function flap(event) {
+      // First gesture unlocks audio on iOS / Telegram webviews
+      sound.current.unlock();
+
+      const point = event && event.clientX !== undefined
+        ? toCanvasPoint(canvas, event, V_WIDTH, V_HEIGHT)
+        : null;
+
+      if (isTuningPanelShown() && !getScreenButtons().some((button) => hitTest(button, point)) && handleTuningPointer(point)) {
+        return;
+      }
+
+      if ((gameStateRef.current === 'ready' || gameStateRef.current === 'paused') && handleSoundPointer(point)) {
+        return;
+      }
+
+      if (gameStateRef.current === 'shop' || gameStateRef.current === 'equip') {
+        handleCosmeticsPointer(point);
+        return;
+      }
+
+      if (gameStateRef.current === 'achievements') {
+        if (hitTest(ACHIEVEMENTS_BACK_BUTTON, point)) closeAchievements();
+        return;
+      }
+
+      if (gameStateRef.current === 'stats') {
+        if (hitTest(STATS_BACK_BUTTON, point)) closeStats();
+        return;
+      }
+
+      if (gameStateRef.current === 'ready' && hitTest(STATS_BUTTON, point)) {
+        openStats();
+        return;
+      }
+
+      if (gameStateRef.current === 'ready' && hitTest(ACHIEVEMENTS_BUTTON, point)) {
+        openAchievements();
+        return;
+      }
+
+      if (gameStateRef.current === 'ready' && hitTest(SHOP_BUTTON, point)) {
+        openCosmetics('shop');
+        return;
+      }
+
+      if (gameStateRef.current === 'ready' && hitTest(EQUIP_BUTTON, point)) {
+        openCosmetics('equip');
+        return;
+      }
+
+      if (gameStateRef.current === 'replay') {
+        handleReplayPointer(point);
+        return;
+      }
+
+      if (gameStateRef.current === 'paused') {
+        resumeGame();
+        return;
+      }
+
+      if (gameStateRef.current === 'playing' && hitTest(PAUSE_BUTTON, point)) {
+        pauseGame();
+        return;
+      }
+
+      if (gameStateRef.current === 'ready' && gameMode.current !== 'daily' && hitTest(PRESET_BUTTON, point)) {
+        cyclePreset();
+        return;
+      }
+
+      if (gameStateRef.current === 'ready' && hitTest(COLLISION_BUTTON, point)) {
+        toggleCollisionMode();
+        return;
+      }
+
+      if (gameStateRef.current === 'ready' && hitTest(DAILY_BUTTON, point)) {
+        toggleDailyMode();
+        return;
+      }
+
+      if (gameStateRef.current === 'ready' && hasClassicGhost.current && hitTest(GHOST_BUTTON, point)) {
+        toggleGhostMode();
+        return;
+      }
+
+      if (gameStateRef.current === 'gameover' && lastResult.current && hitTest(SHARE_BUTTON, point)) {
+        sharePressed.current = true;
+        return;
+      }
+
+      if (gameStateRef.current === 'gameover' && lastReplay.current) {
+        if (hitTest(WATCH_REPLAY_BUTTON, point)) {
+          startReplay(lastReplay.current, 'gameover');
+          return;
+        }
+        if (hitTest(EXPORT_REPLAY_BUTTON, point)) {
+          exportReplay(lastReplay.current);
+          return;
+        }
+      }
+
       if (gameStateRef.current === 'ready') {
+        // Rebuild the course when a game config came in after it was built, or the ready
+        // screen outlived the UTC day - fly today's Daily Challenge rather than yesterday's
+        const stale = gameMode.current === 'daily' && dailyDayKey.current !== getUtcDayKey();
+        if (pendingGameConfig.current || stale) resetGame();
+        gameStateRef.current = 'playing';
         setGameState('playing');
-        plushpepe.current.vel = JUMP_VELOCITY; // Give initial jump when starting
-        // Trigger fart effect
-        fartTimer.current = FART_DURATION;
-        fartVisible.current = true;
+        const { seed, preset, collision } = sim.current.getState();
+        recording.current = createReplay(seed, preset, collision);
+        const ghost = findGhostForSeed(seed, preset);
+        ghostPlayer.current = ghost ? createReplayPlayer(ghost) : null;
+        assistedRun.current = false;
+        if (!isPlaytest()) trackAchievements({ type: 'start' });
+        startRunStats();
+        pendingFlap.current = true; // Give initial jump when starting
       } else if (gameStateRef.current === 'playing') {
-        plushpepe.current.vel = JUMP_VELOCITY;
-        // Trigger fart effect
-        fartTimer.current = FART_DURATION;
-        fartVisible.current = true;
+        pendingFlap.current = true;
       } else if (gameStateRef.current === 'gameover') {
         resetGame();
       }
     }
 
-    window.addEventListener('pointerdown', flap);
-    window.addEventListener('keydown', (e) => {
+    function handleKeyDown(e) {
+      sound.current.unlock();
+      if (e.ctrlKey && e.shiftKey && e.code === 'KeyD') {
+        e.preventDefault(); // browsers bind Ctrl+Shift+D to bookmarking
+        toggleDebug();
+        return;
+      }
+      if (debug.current.enabled && handleDebugKey(e.key)) return;
+
+      if (e.key === 'm' || e.key === 'M') {
+        sound.current.setMuted(!sound.current.getSettings().muted);
+        return;
+      }
+
+      if (e.key === 'Escape') {
+        handleBack();
+        return;
+      }
+
+      if (gameStateRef.current === 'replay') {
+        if (e.key === ' ') replayPlaying.current = !replayPlaying.current;
+        if (e.key === 'ArrowLeft') seekReplay(replayPlayer.current.getState().frame - REPLAY_SEEK_FRAMES);
+        if (e.key === 'ArrowRight') seekReplay(replayPlayer.current.getState().frame + REPLAY_SEEK_FRAMES);
+        return;
+      }
+
+      if (['shop', 'equip', 'achievements', 'stats'].includes(gameStateRef.current)) return;
+
+      if (e.key === 'p' || e.key === 'P') {
+        if (gameStateRef.current === 'playing') pauseGame();
+        else if (gameStateRef.current === 'paused') resumeGame();
+        return;
+      }
+
       if ([' ', 'ArrowUp'].includes(e.key)) flap();
-    });
+      if ((e.key === 'd' || e.key === 'D') && gameStateRef.current === 'ready') toggleDailyMode();
+      if ((e.key === 'g' || e.key === 'G') && gameStateRef.current === 'ready' && hasClassicGhost.current) toggleGhostMode();
+      if ((e.key === 'h' || e.key === 'H') && gameStateRef.current === 'ready') toggleCollisionMode();
+      if ((e.key === 'i' || e.key === 'I') && gameStateRef.current === 'ready') {
+        const code = window.prompt('Paste a replay code');
+        if (code) importReplay(code);
+      }
+    }
+
+    /* ===== Sound controls - returns true when the tap was used ===== */
+    function handleSoundPointer(point) {
+      const settings = sound.current.getSettings();
+      if (hitTest(SOUND_BUTTON, point)) {
+        sound.current.setMuted(!settings.muted);
+      } else if (hitTest(VOLUME_DOWN_BUTTON, point)) {
+        sound.current.setVolume(settings.volume - VOLUME_STEP);
+      } else if (hitTest(VOLUME_UP_BUTTON, point)) {
+        sound.current.setVolume(settings.volume + VOLUME_STEP);
+      } else if (hitTest(MUSIC_BUTTON, point)) {
+        sound.current.setMusicEnabled(!settings.music);
+      } else {
+        return false;
+      }
+      return true;
+    }
+
+    /* ===== Replay controls ===== */
+    function handleReplayPointer(point) {
+      if (hitTest(REPLAY_EXIT_BUTTON, point)) {
+        exitReplay();
+      } else if (hitTest(REPLAY_SCRUB_BAR, point)) {
+        scrubbing.current = true;
+        scrubTo(point);
+      } else {
+        // Play/pause button - or anywhere else on the canvas
+        if (replayPlayer.current.isFinished()) seekReplay(0);
+        replayPlaying.current = !replayPlaying.current;
+      }
+    }
+
+    function scrubTo(point) {
+      const bar = REPLAY_SCRUB_BAR;
+      const progress = Math.max(0, Math.min(1, (point.x - bar.x) / bar.w));
+      seekReplay(Math.round(progress * replayTotalFrames.current));
+    }
+
+    function handlePointerMove(event) {
+      const dragging = tuningPanel.current.dragging;
+      if (!dragging && (!scrubbing.current || gameStateRef.current !== 'replay')) return;
+      const point = toCanvasPoint(canvas, event, V_WIDTH, V_HEIGHT);
+      if (!point) return;
+      if (dragging) dragTuningSlider(point);
+      else scrubTo(point);
+    }
+
+    // navigator.share and audio unlock need user activation, which touch browsers grant on release, not on pointerdown
+    function handlePointerUp(event) {
+      sound.current.unlock();
+      scrubbing.current = false;
+      tuningPanel.current.dragging = null;
+      if (sharePressed.current) {
+        sharePressed.current = false;
+        const point = toCanvasPoint(canvas, event, V_WIDTH, V_HEIGHT);
+        if (gameStateRef.current === 'gameover' && lastResult.current && hitTest(SHARE_BUTTON, point)) shareResult();
+      }
+    }
+
+    /* ===== Auto-pause: tab hidden, window blurred, Telegram Mini App deactivated (see telegram/webApp.js) ===== */
+    function handleVisibilityChange() {
+      if (document.hidden) autoPause();
+    }
+
+    window.addEventListener('pointerdown', flap);
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('blur', autoPause);
+    window.addEventListener('online', syncProgress);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    telegram.current.onDeactivated(autoPause);
+    telegram.current.followTheme(applyTheme);
+
+    // Pull progress saved on other devices
+    syncProgress();
+
+    // Tuning overrides from the bundled config and ?config=<url>
+    loadGameConfig().then(queueGameConfig);
+
+    // Shared replay link: ?replay=<code>
+    const sharedReplay = new URLSearchParams(window.location.search).get('replay');
+    if (sharedReplay) importReplay(sharedReplay);
 
     return () => {
+      cancelAnimationFrame(frameId);
       window.removeEventListener('resize', resizeCanvas);
       window.removeEventListener('pointerdown', flap);
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('blur', autoPause);
+      window.removeEventListener('online', syncProgress);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      telegram.current.dispose();
+      sound.current.dispose();
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps  
   }, []); // Remove gameState dependency to prevent re-initialization
 
-  /* ===== Update ===== */
-  function update(step) {
+  /* ===== Update - one fixed 60 Hz physics step ===== */
+  function update() {
+    worldAdvanced.current = false;
+
+    // Paused: everything is frozen, only the resume countdown ticks
+    if (gameStateRef.current === 'paused') {
+      if (resumeCountdown.current > 0) {
+        resumeCountdown.current -= 1;
+        if (resumeCountdown.current === 0) {
+          gameStateRef.current = 'playing';
+          setGameState('playing');
+        }
+      }
+      return;
+    }
+
     // Update fart effect timer regardless of game state
     if (fartVisible.current) {
-      fartTimer.current -= step;
+      fartTimer.current -= 1;
       if (fartTimer.current <= 0) {
         fartVisible.current = false;
         fartTimer.current = 0;
       }
     }
     
+    if (notice.current.timer > 0) notice.current.timer -= 1;
+    tickAchievementToasts();
+    updateScenery();
+
+    if (gameStateRef.current === 'replay') {
+      updateReplay();
+      return;
+    }
+
     if (gameStateRef.current !== 'playing') return;
 
-    // Shared scroll system - update master scroll position
-    sharedScrollPosition.current += SCROLL_SPEED * step;
+    snapshotForInterpolation(sim.current.getState(), ghostPlayer.current);
+    const { state, events } = sim.current.step({ flap: pendingFlap.current });
+    pendingFlap.current = false;
+    if (recording.current) recordEvents(recording.current, events);
+    if (ghostPlayer.current) ghostPlayer.current.step();
+    worldAdvanced.current = state.alive;
+    playEventSounds(events);
+    playEventHaptics(events);
 
-    // PlushPepe physics
-    plushpepe.current.vel += GRAVITY * step;
-    if (plushpepe.current.vel > MAX_FALL_SPEED) plushpepe.current.vel = MAX_FALL_SPEED;
-    plushpepe.current.y += plushpepe.current.vel * step;
+    events.forEach((event) => {
+      if ((event.type === 'flap' || event.type === 'score') && !isPlaytest()) trackAchievements(event);
+      if (event.type === 'flap') runCounts.current.flaps += 1;
+      if (event.type === 'score') runCounts.current.pipes += 1;
 
-    // PlushPepe rotation for aesthetics
-    plushpepe.current.rot = Math.max(-30, Math.min(90, plushpepe.current.vel * 7));
+      if (event.type === 'flap') {
+        // Trigger fart effect
+        fartTimer.current = tuning.current.fartDuration;
+        fartVisible.current = true;
+      } else if (event.type === 'tier') {
+        showNotice(`Speed up! Level ${event.tier + 1}`);
+      } else if (event.type === 'powerup') {
+        showNotice(`${getPowerUpLabel(event.powerUp)}!`);
+      } else if (event.type === 'shield') {
+        showNotice('Shield saved you!');
+      } else if (event.type === 'death') {
+        lastReplay.current = recording.current;
+        recording.current = null;
+        handleGameOver(event.score);
+      }
+    });
+  }
 
-    // Ground collision (using smaller hitbox for fair collision)
-    const FIXED_GROUND_HEIGHT = 224;
-    const actualGroundY = V_HEIGHT - FIXED_GROUND_HEIGHT;
-    
-    if (plushpepe.current.y + PLUSHPEPE_HITBOX >= actualGroundY) {
-      handleGameOver();
-      return; // Stop processing this frame
-    }
+  /* ===== Replay playback - one simulation frame per physics step ===== */
+  function updateReplay() {
+    const player = replayPlayer.current;
+    if (!player || !replayPlaying.current || scrubbing.current) return;
 
-    // Ceiling collision
-    if (plushpepe.current.y < 0) {
-      handleGameOver();
-      return; // Stop processing this frame
+    snapshotForInterpolation(player.getState(), null);
+    const { events } = player.step();
+    playEventSounds(events);
+    if (events.some((event) => event.type === 'flap')) {
+      fartTimer.current = tuning.current.fartDuration;
+      fartVisible.current = true;
     }
+    worldAdvanced.current = !player.isFinished();
+    if (player.isFinished()) replayPlaying.current = false;
+  }
+
+  // Fart on flap, blip on score, jingle on pickup, crash on death or shield hit (a duller thud when it's the ground)
+  function playEventSounds(events) {
+    events.forEach((event) => {
+      if (event.type === 'flap') sound.current.play('flap');
+      else if (event.type === 'score') sound.current.play('score');
+      else if (event.type === 'coin') sound.current.play('coin');
+      else if (event.type === 'powerup') sound.current.play('powerup');
+      else if (event.type === 'shield') sound.current.play('hit');
+      else if (event.type === 'death') sound.current.play(event.cause === 'ground' ? 'ground' : 'hit');
+    });
+  }
+
+  // Live runs only - replays stay still in the hand
+  function playEventHaptics(events) {
+    events.forEach((event) => {
+      if (event.type === 'flap') telegram.current.haptic('flap');
+      else if (event.type === 'score') telegram.current.haptic('score');
+      else if (event.type === 'shield') telegram.current.haptic('shield');
+      else if (event.type === 'death') telegram.current.haptic('crash');
+    });
+  }
+
+  function snapshotForInterpolation(world, ghost) {
+    const ghostState = ghost && !ghost.isFinished() ? ghost.getState() : null;
+    renderPrev.current = {
+      player: { y: world.plushpepe.y, rot: world.plushpepe.rot, scroll: world.scroll },
+      ghost: ghostState ? { y: ghostState.plushpepe.y, rot: ghostState.plushpepe.rot } : null
+    };
+  }
 
+  function getGroundOffset(scroll) {
     // Ground scrolling - synchronized with shared scroll position
     // Calculate ground tile dimensions for precise looping
     let effectiveTileWidth = V_WIDTH; // fallback
     if (imagesLoaded.current && groundImg.current) {
       const sourceWidth = groundImg.current.width;
       const sourceHeight = groundImg.current.height;
-      const scaledWidth = Math.floor((sourceWidth / sourceHeight) * 224);
+      const scaledWidth = Math.floor((sourceWidth / sourceHeight) * FIXED_GROUND_HEIGHT);
       const TILE_OVERLAP = 2;
       effectiveTileWidth = scaledWidth - TILE_OVERLAP;
     }
     
     // Use shared scroll position with precise modulo for seamless looping
     // Round to prevent floating-point drift and ensure pixel-perfect alignment
-    const preciseScrollPosition = Math.round(sharedScrollPosition.current * 100) / 100; // Round to 2 decimal places
-    groundOffset.current = -(preciseScrollPosition % effectiveTileWidth);
+    const preciseScrollPosition = Math.round(scroll * 100) / 100; // Round to 2 decimal places
+    return -(preciseScrollPosition % effectiveTileWidth);
+  }
 
-    // Cloud spawning and updates
-    cloudSpawnTimer.current += step;
-    const nextSpawnTime = CLOUD_SPAWN_INTERVAL + (Math.random() * CLOUD_SPAWN_VARIANCE - CLOUD_SPAWN_VARIANCE/2);
-    
-    if (cloudSpawnTimer.current >= nextSpawnTime) {
-      // Spawn a new cloud at a random position in upper half, at least 100px above ground
-      const FIXED_GROUND_HEIGHT = 224;
-      const groundLevel = V_HEIGHT - FIXED_GROUND_HEIGHT; // Y=800
-      const maxCloudY = groundLevel - 100 - CLOUD_SIZE; // At least 100px above ground
-      const cloudY = Math.random() * (maxCloudY - 50) + 50; // From Y=50 to maxCloudY
-      
-      clouds.current.push({
-        x: V_WIDTH + 100, // Start off-screen to the right
-        y: cloudY,
-        speed: CLOUD_SPEED + (Math.random() * 0.4 - 0.2) // Slight speed variation
-      });
-      cloudSpawnTimer.current = 0;
+  /* ===== Sky and biome follow the world on screen - the live run or the replay being watched ===== */
+  function updateScenery() {
+    const isReplay = gameStateRef.current === 'replay' && replayPlayer.current;
+    const { score } = isReplay ? replayPlayer.current.getState() : sim.current.getState();
+    // Ease towards the score so each point fades in; a new run (lower score) snaps back
+    skyScore.current = score < skyScore.current
+      ? score
+      : skyScore.current + (score - skyScore.current) * 0.05;
+    updateBiomeFade(score);
+  }
+
+  // Biome for the current score - a change starts a ~0.75 s cross-fade, a new run snaps
+  function updateBiomeFade(score) {
+    const fade = biomeFade.current;
+    const biome = getBiomeIndex(score);
+    if (score === 0) {
+      biomeFade.current = { from: biome, to: biome, t: 1 };
+    } else if (biome !== fade.to) {
+      biomeFade.current = { from: fade.to, to: biome, t: 0 };
+      showNotice(`Welcome to the ${BIOMES[biome].name}`);
+    } else if (fade.t < 1) {
+      fade.t = Math.min(1, fade.t + 1 / 45);
     }
-    
-    // Update existing clouds
-    clouds.current.forEach((cloud, index) => {
-      cloud.x -= cloud.speed * step;
-    });
-    
-    // Remove clouds that have moved off-screen
-    clouds.current = clouds.current.filter(cloud => cloud.x > -200);
+  }
 
-    // Pipe updates - synchronized with shared scroll position
-    pipes.current.forEach((pipe, index) => {
-      // Update pipe position using shared scroll speed (already applied above)
-      pipe.x -= SCROLL_SPEED * step;
-      
-      // Score - check if plushpepe has passed through pipe
-      if (!pipe.scored && pipe.x < PLUSHPEPE_X - PLUSHPEPE_HITBOX/2) {
-        pipe.scored = true;
-        globalScore = globalScore + 1;
-        setScore(globalScore);
-      }
-      
-      // Recycle pipe
-      if (pipe.x + PIPE_WIDTH < 0) {
-        pipe.x += PIPE_INTERVAL * pipes.current.length;
-        
-        // Find the rightmost pipe to get its gap Y for constrained generation
-        const rightmostPipe = pipes.current.reduce((rightmost, p) => 
-          p.x > rightmost.x ? p : rightmost, pipes.current[0]);
-        
-        pipe.gapY = randomGapY(rightmostPipe.gapY); // Use constrained gap generation
-        pipe.scored = false;
-      }
-    });
-
-    // Collision with pipes (precise visual collision detection)
-    pipes.current.forEach((pipe) => {
-      // Center the hitbox on the visual sprite
-      const hitboxOffsetX = (PLUSHPEPE_SIZE - PLUSHPEPE_HITBOX) / 2;
-      const hitboxOffsetY = (PLUSHPEPE_SIZE - PLUSHPEPE_HITBOX) / 2;
-      
-      const plushpepeLeft = PLUSHPEPE_X + hitboxOffsetX;
-      const plushpepeRight = PLUSHPEPE_X + hitboxOffsetX + PLUSHPEPE_HITBOX;
-      const plushpepeTop = plushpepe.current.y + hitboxOffsetY;
-      const plushpepeBottom = plushpepe.current.y + hitboxOffsetY + PLUSHPEPE_HITBOX;
-      
-      // Get precise pipe collision bounds
-      const pipeBounds = getPipeCollisionBounds(pipe);
-      
-      // Check collision with top pipe
-      const topPipeCollision = (
-        plushpepeRight > pipeBounds.topPipe.left &&
-        plushpepeLeft < pipeBounds.topPipe.right &&
-        plushpepeBottom > pipeBounds.topPipe.top &&
-        plushpepeTop < pipeBounds.topPipe.bottom
-      );
-      
-      // Check collision with bottom pipe
-      const bottomPipeCollision = (
-        plushpepeRight > pipeBounds.bottomPipe.left &&
-        plushpepeLeft < pipeBounds.bottomPipe.right &&
-        plushpepeBottom > pipeBounds.bottomPipe.top &&
-        plushpepeTop < pipeBounds.bottomPipe.bottom
-      );
-      
-      if (topPipeCollision || bottomPipeCollision) {
-        handleGameOver();
-      }
+  function getSceneSprites(biome) {
+    return biomeSprites.current.get(biome, {
+      ground: groundImg.current,
+      grass: grassImg.current,
+      shaft: pipeShaftImg.current,
+      cap: pipeCapImg.current
     });
   }
 
-  /* ===== Draw ===== */
-  function draw(ctx) {
-    // Performance optimization for Telegram Mini App
-    ctx.save();
-    
-    // Clear with optimized method
-    ctx.clearRect(0, 0, V_WIDTH, V_HEIGHT);
-    
-    // Set global rendering optimizations for Telegram webview
-    ctx.imageSmoothingEnabled = false; // Disable for all draws - better performance
-    
-    // Background (placeholder sky already set in CSS)
-
-    // RENDERING ORDER: Clouds → Ground → Grass → Pipes → Player
-
-    // 1. CLOUDS - Background layer with parallax effect (optimized)
-    if (imagesLoaded.current && cloudImg.current) {
-      // Only draw visible clouds to improve performance
-      clouds.current.forEach((cloud) => {
-        // Cull off-screen clouds for better performance
-        if (cloud.x + CLOUD_SIZE > 0 && cloud.x < V_WIDTH) {
-          ctx.drawImage(
-            cloudImg.current,
-            0, 0, cloudImg.current.width, cloudImg.current.height, // source (full sprite)
-            Math.round(cloud.x), Math.round(cloud.y), CLOUD_SIZE, CLOUD_SIZE // destination (rounded for performance)
-          );
-        }
-      });
-    }
-
+  /* ===== Ground, grass and pipes drawn with one biome's sprite set ===== */
+  function drawScenery(ctx, pipes, sprites, groundOffset, scrollLag) {
     // 2. GROUND LAYER - Base dirt layer (optimized for Telegram)
-    if (imagesLoaded.current && groundImg.current) {
+    if (imagesLoaded.current && sprites.ground) {
       // Anchor ground to the very bottom edge of canvas
-      const FIXED_GROUND_HEIGHT = 224;
       const groundY = V_HEIGHT - FIXED_GROUND_HEIGHT; // Ground starts at Y=800
       
       // Calculate tile dimensions with better precision for seamless scrolling
-      const sourceWidth = groundImg.current.width;
-      const sourceHeight = groundImg.current.height;
+      const sourceWidth = sprites.ground.width;
+      const sourceHeight = sprites.ground.height;
       
       // Use precise scaling to maintain exact pixel alignment
       const scaledWidth = Math.floor((sourceWidth / sourceHeight) * FIXED_GROUND_HEIGHT);
@@ -805,29 +1244,27 @@ export default function GameCanvas() {
       
       // Optimized single-pass ground rendering
       for (let i = 0; i < tilesNeeded; i++) {
-        const tileX = Math.round(groundOffset.current + (i * (scaledWidth - TILE_OVERLAP)));
+        const tileX = Math.round(groundOffset + (i * (scaledWidth - TILE_OVERLAP)));
         ctx.drawImage(
-          groundImg.current, 
+          sprites.ground, 
           0, 0, sourceWidth, sourceHeight,    // source (full sprite)
           tileX, groundY, scaledWidth + TILE_OVERLAP, FIXED_GROUND_HEIGHT  // destination with overlap
         );
       }
     } else {
       // Fallback to placeholder rectangle while loading
-      const FIXED_GROUND_HEIGHT = 224;
       ctx.fillStyle = '#ded895';
       ctx.fillRect(0, V_HEIGHT - FIXED_GROUND_HEIGHT, V_WIDTH, FIXED_GROUND_HEIGHT); // Perfect alignment
     }
 
     // 3. GRASS LAYER - Optimized for Telegram performance  
-    if (imagesLoaded.current && grassImg.current) {
+    if (imagesLoaded.current && sprites.grass) {
       // Position grass to sit flush on top of the existing dirt layer
-      const FIXED_GROUND_HEIGHT = 224;
       const dirtTopY = V_HEIGHT - FIXED_GROUND_HEIGHT; // Y=800, top of dirt layer
       
       // Use grass sprite's natural dimensions
-      const grassSourceWidth = grassImg.current.width;
-      const grassSourceHeight = grassImg.current.height;
+      const grassSourceWidth = sprites.grass.width;
+      const grassSourceHeight = sprites.grass.height;
       
       // Calculate grass position - sit ON TOP of the dirt (not floating above)
       const grassY = dirtTopY; // Start grass right at the top edge of dirt
@@ -836,9 +1273,9 @@ export default function GameCanvas() {
       const tilesNeeded = Math.ceil(V_WIDTH / grassSourceWidth) + 1; // Reduced for performance
       
       for (let i = 0; i < tilesNeeded; i++) {
-        const tileX = Math.round(groundOffset.current + (i * grassSourceWidth));
+        const tileX = Math.round(groundOffset + (i * grassSourceWidth));
         ctx.drawImage(
-          grassImg.current,
+          sprites.grass,
           0, 0, grassSourceWidth, grassSourceHeight,    // source (full sprite)
           tileX, grassY, grassSourceWidth, grassSourceHeight  // positioned at top of dirt
         );
@@ -846,47 +1283,112 @@ export default function GameCanvas() {
     }
 
     // 4. PIPES - Optimized rendering for Telegram performance
-    if (imagesLoaded.current && pipeShaftImg.current && pipeCapImg.current) {
-      pipes.current.forEach((p) => {
+    if (imagesLoaded.current && sprites.shaft && sprites.cap) {
+      pipes.forEach((p) => {
         // Only render visible pipes for better performance
-        if (p.x + PIPE_WIDTH > 0 && p.x < V_WIDTH) {
+        const pipeX = Math.round(p.x + scrollLag);
+        if (pipeX + PIPE_WIDTH > 0 && pipeX < V_WIDTH) {
           // Calculate pipe heights - bottom pipes connect to ground level
-          const FIXED_GROUND_HEIGHT = 224;
           const actualGroundY = V_HEIGHT - FIXED_GROUND_HEIGHT; // Ground starts at Y=800
           
           const topPipeHeight = p.gapY;
-          const bottomPipeHeight = Math.max(0, actualGroundY - (p.gapY + PIPE_GAP));
+          const bottomPipeY = p.gapY + (p.gap || PIPE_GAP); // gap size is fixed per pipe by its difficulty tier
+          const bottomPipeHeight = Math.max(0, actualGroundY - bottomPipeY);
           
           // Draw top pipe (upside down) with rounded position
-          drawPipeWithAssets(ctx, pipeShaftImg.current, pipeCapImg.current, Math.round(p.x), 0, PIPE_WIDTH, topPipeHeight, true);
+          drawPipeWithAssets(ctx, sprites.shaft, sprites.cap, pipeX, 0, PIPE_WIDTH, topPipeHeight, true);
           
           // Draw bottom pipe (normal orientation) - connects to ground level
           if (bottomPipeHeight > 0) {
-            drawPipeWithAssets(ctx, pipeShaftImg.current, pipeCapImg.current, Math.round(p.x), p.gapY + PIPE_GAP, PIPE_WIDTH, bottomPipeHeight, false);
+            drawPipeWithAssets(ctx, sprites.shaft, sprites.cap, pipeX, bottomPipeY, PIPE_WIDTH, bottomPipeHeight, false);
           }
         }
       });
     } else {
-      // Fallback to placeholder rectangles while loading
-      ctx.fillStyle = '#3cb043'; // green pipes
-      pipes.current.forEach((p) => {
-        const FIXED_GROUND_HEIGHT = 224;
+      // Fallback to placeholder rectangles while loading - in the equipped pipe skin's color
+      ctx.fillStyle = getCosmetic(cosmetics.current.equipped.pipe).color;
+      pipes.forEach((p) => {
         const groundStartY = V_HEIGHT - FIXED_GROUND_HEIGHT;
         
         // top pipe
-        ctx.fillRect(p.x, 0, PIPE_WIDTH, p.gapY);
+        ctx.fillRect(p.x + scrollLag, 0, PIPE_WIDTH, p.gapY);
         // bottom pipe - extends exactly to ground level
-        const bottomPipeHeight = groundStartY - (p.gapY + PIPE_GAP);
+        const bottomPipeY = p.gapY + (p.gap || PIPE_GAP);
+        const bottomPipeHeight = groundStartY - bottomPipeY;
         if (bottomPipeHeight > 0) {
-          ctx.fillRect(p.x, p.gapY + PIPE_GAP, PIPE_WIDTH, bottomPipeHeight);
+          ctx.fillRect(p.x + scrollLag, bottomPipeY, PIPE_WIDTH, bottomPipeHeight);
         }
       });
     }
+  }
+
+  /* ===== Draw ===== */
+  function draw(ctx, alpha = 1) {
+    const isReplay = gameStateRef.current === 'replay' && replayPlayer.current;
+    const world = isReplay ? replayPlayer.current.getState() : sim.current.getState();
+
+    // Interpolate between the previous and current physics state; a frozen world is drawn as-is
+    const prev = renderPrev.current.player;
+    const blend = worldAdvanced.current && prev ? alpha : 1;
+    const lag = 1 - blend; // fraction of the last step not yet shown
+    const pepeY = lerp(prev, 'y', world.plushpepe.y, blend);
+    const pepeRot = lerp(prev, 'rot', world.plushpepe.rot, blend);
+    const scrollLag = blend < 1 ? (world.scroll - prev.scroll) * lag : 0; // px the scene still has to travel
+    const groundOffset = getGroundOffset(world.scroll - scrollLag);
+
+    // Performance optimization for Telegram Mini App
+    ctx.save();
+    
+    // Clear with optimized method
+    ctx.clearRect(0, 0, V_WIDTH, V_HEIGHT);
+    
+    // Set global rendering optimizations for Telegram webview
+    ctx.imageSmoothingEnabled = false; // Disable for all draws - better performance
+    
+    // 0. SKY - gradient follows the (eased, see updateScenery) score through dawn, day, dusk and night
+    const sky = getSkyState(skyScore.current);
+    drawSky(ctx, sky, V_WIDTH, GROUND_Y, performance.now());
+
+    // RENDERING ORDER: Sky → Clouds → Ground → Grass → Pipes → Player
+
+    // 1. CLOUDS - Background layer with parallax effect (optimized), dimmed at night
+    if (imagesLoaded.current && cloudImg.current) {
+      ctx.globalAlpha = 1 - sky.night * 0.5;
+      // Only draw visible clouds to improve performance
+      world.clouds.forEach((cloud) => {
+        // Cull off-screen clouds for better performance
+        if (cloud.x + CLOUD_SIZE > 0 && cloud.x < V_WIDTH) {
+          ctx.drawImage(
+            cloudImg.current,
+            0, 0, cloudImg.current.width, cloudImg.current.height, // source (full sprite)
+            Math.round(cloud.x + cloud.speed * lag), Math.round(cloud.y), CLOUD_SIZE, CLOUD_SIZE // destination (rounded for performance)
+          );
+        }
+      });
+      ctx.globalAlpha = 1.0;
+    }
+
+    // 2-4. GROUND, GRASS and PIPES in the current biome - cross-faded from the previous one after a change
+    const fade = biomeFade.current;
+    if (fade.t < 1) {
+      drawScenery(ctx, world.pipes, getSceneSprites(BIOMES[fade.from]), groundOffset, scrollLag);
+      ctx.globalAlpha = fade.t;
+    }
+    drawScenery(ctx, world.pipes, getSceneSprites(BIOMES[fade.to]), groundOffset, scrollLag);
+    ctx.globalAlpha = 1.0;
+
+    // 4b. COINS and POWER-UPS - waiting on the course, scrolling with the pipes
+    world.coins.forEach((coin) => {
+      drawCoin(ctx, Math.round(coin.x + scrollLag), Math.round(coin.y), COIN_SIZE, coin.value > COIN_VALUE);
+    });
+    world.powerUps.forEach((item) => {
+      drawPowerUp(ctx, item.type, Math.round(item.x + scrollLag), Math.round(item.y), POWERUP_CONFIG.size);
+    });
 
     // 5. FART EFFECT - Optimized for Telegram performance
     if (fartVisible.current && imagesLoaded.current && fartImg.current) {
       // Calculate opacity based on current timer
-      const opacity = getFartOpacity(fartTimer.current);
+      const opacity = getFartOpacity(fartTimer.current, tuning.current.fartDuration);
       
       // Only render if opacity is greater than 0
       if (opacity > 0.05) { // Skip rendering for very low opacity to improve performance
@@ -911,7 +1413,7 @@ export default function GameCanvas() {
         // Calculate fart position relative to Pepe's bottom-left visible area
         // Position from Pepe's center, accounting for sprite centering
         const pepeLeft = PLUSHPEPE_X; // Pepe's left edge
-        const pepeBottom = plushpepe.current.y + PLUSHPEPE_SIZE; // Pepe's bottom edge
+        const pepeBottom = pepeY + PLUSHPEPE_SIZE; // Pepe's bottom edge
         
         // Position fart at bottom-left of Pepe's visible area with rounded coordinates
         const fartX = Math.round(pepeLeft + FART_OFFSET_X); // Behind and to the left
@@ -930,67 +1432,35 @@ export default function GameCanvas() {
     }
 
     // 6. PEPE PLAYER - High-resolution optimized rendering
-    const shouldDrawSprite = imagesLoaded.current && plushpepeImg.current;
-    
-    if (shouldDrawSprite) {
-      // Calculate rounded positions for pixel-perfect rendering
-      const centerX = Math.round(PLUSHPEPE_X + PLUSHPEPE_SIZE/2);
-      const centerY = Math.round(plushpepe.current.y + PLUSHPEPE_SIZE/2);
-      
-      ctx.save();
-      ctx.translate(centerX, centerY); // center
-      ctx.rotate((plushpepe.current.rot * Math.PI) / 180);
-      
-      // Enhanced rendering for high-resolution sprites
-      // Temporarily enable smoothing for HD sprite scaling, then disable for pixel-perfect edges
-      ctx.imageSmoothingEnabled = true;
-      ctx.imageSmoothingQuality = 'high'; // Use highest quality scaling for HD sprites
-      
-      // Draw the high-resolution PlushPepe sprite with optimized scaling
-      ctx.drawImage(
-        plushpepeImg.current, 
-        0, 0, plushpepeImg.current.width, plushpepeImg.current.height, // source (full HD sprite)
-        -PLUSHPEPE_SIZE/2, -PLUSHPEPE_SIZE/2, PLUSHPEPE_SIZE, PLUSHPEPE_SIZE // destination (scaled to game size)
-      );
-      
-      // Restore pixel-perfect rendering for other elements
-      ctx.imageSmoothingEnabled = false;
-      ctx.restore();
-    } else {
-      // Fallback placeholder while loading
-      const centerX = Math.round(PLUSHPEPE_X + PLUSHPEPE_SIZE/2);
-      const centerY = Math.round(plushpepe.current.y + PLUSHPEPE_SIZE/2);
-      
-      ctx.save();
-      ctx.translate(centerX, centerY); // center
-      ctx.rotate((plushpepe.current.rot * Math.PI) / 180);
-      ctx.fillStyle = '#ffca28';
-      ctx.fillRect(-PLUSHPEPE_SIZE/2, -PLUSHPEPE_SIZE/2, PLUSHPEPE_SIZE, PLUSHPEPE_SIZE); // fallback
-      ctx.restore();
-    }
+    const pepeSprite = imagesLoaded.current ? plushpepeImg.current : null;
 
-    // Debug: Show pipe gaps (uncomment to visualize)
-    // pipes.current.forEach((p) => {
-    //   ctx.strokeStyle = 'yellow';
-    //   ctx.lineWidth = 3;
-    //   ctx.strokeRect(p.x, p.gapY, PIPE_WIDTH, PIPE_GAP); // Show the gap area
-    // });
-
-    // Debug: Uncomment to visualize the hitbox if needed
-    // const hitboxOffsetX = (PLUSHPEPE_SIZE - PLUSHPEPE_HITBOX) / 2;
-    // const hitboxOffsetY = (PLUSHPEPE_SIZE - PLUSHPEPE_HITBOX) / 2;
-    // ctx.strokeStyle = 'red';
-    // ctx.lineWidth = 2;
-    // ctx.strokeRect(PLUSHPEPE_X + hitboxOffsetX, plushpepe.current.y + hitboxOffsetY, PLUSHPEPE_HITBOX, PLUSHPEPE_HITBOX);
+    // Ghost of the personal best flies behind the player on the same course
+    const ghost = gameStateRef.current === 'playing' && ghostPlayer.current;
+    if (ghost && !ghost.isFinished()) {
+      ctx.globalAlpha = GHOST_ALPHA;
+      const ghostPepe = ghost.getState().plushpepe;
+      const ghostPrev = renderPrev.current.ghost;
+      drawPlushPepe(ctx, pepeSprite, lerp(ghostPrev, 'y', ghostPepe.y, blend), lerp(ghostPrev, 'rot', ghostPepe.rot, blend));
+      ctx.globalAlpha = 1.0;
+    }
 
-    // Clean game display - no debug lines
+    drawPlushPepe(ctx, pepeSprite, pepeY, pepeRot);
+    if (world.effects.shield > 0) {
+      drawShieldBubble(ctx, PLUSHPEPE_X + PLUSHPEPE_SIZE / 2, pepeY + PLUSHPEPE_SIZE / 2, PLUSHPEPE_SIZE * 0.6, world.effects.shield);
+    }
 
-    // Score (use ref value for real-time display)
+    // Score (read straight from the simulation state)
     ctx.fillStyle = '#fff';
     ctx.font = '64px monospace'; // scaled 2x
     ctx.textAlign = 'center';
     // Display current score
-    ctx.fillText(globalScore, V_WIDTH / 2, 100); // scaled 2x
+    ctx.fillText(world.score, V_WIDTH / 2, 100); // scaled 2x
+
+    // Power-up timers and run coins while a run is on screen
+    if (['playing', 'paused', 'replay'].includes(gameStateRef.current)) {
+      drawPowerUpHud(ctx, world.effects, POWERUP_CONFIG);
+      drawCoinCounter(ctx, world.coinsCollected, V_WIDTH - 24, PAUSE_BUTTON.y + PAUSE_BUTTON.h + 36);
+    }
 
     // Temporary debug text for smooth patch verification
     ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
@@ -999,58 +1469,596 @@ export default function GameCanvas() {
     ctx.fillText('v2.2', 10, V_HEIGHT - 10); // Bottom-left build indicator
     ctx.textAlign = 'center'; // Reset text align
 
+    // Under the screen buttons, which keep their taps (see flap)
+    if (isTuningPanelShown()) {
+      drawTuningPanel(ctx, { tuning: tuning.current, activeKey: tuningPanel.current.dragging, presetId: world.preset });
+    }
+
     // Ready / GameOver overlays
     if (gameStateRef.current === 'ready') {
       ctx.fillStyle = '#fff';
       ctx.font = '40px monospace'; // scaled 2x
       ctx.fillText('Tap to Start', V_WIDTH / 2, V_HEIGHT / 2);
+      const isDaily = gameMode.current === 'daily';
+      if (!isDaily) {
+        const preset = getPreset(selectedPreset.current);
+        const presetBest = bestScores.current[preset.id] || 0;
+        drawButton(ctx, PRESET_BUTTON, `${preset.label} · Best ${presetBest}`);
+      }
+      const isStrict = collisionMode.current === 'strict';
+      drawButton(ctx, COLLISION_BUTTON, isStrict ? 'Hitbox: Strict' : 'Hitbox: Forgiving', { active: isStrict });
+      drawButton(ctx, DAILY_BUTTON, isDaily ? 'Daily Challenge: ON' : 'Daily Challenge: OFF', { active: isDaily });
+      if (isDaily) {
+        ctx.fillStyle = '#fff';
+        ctx.font = '28px monospace';
+        ctx.fillText(`${dailyDayKey.current} · Best ${dailyBest.current}`, V_WIDTH / 2, DAILY_BUTTON.y + DAILY_BUTTON.h + 44);
+      }
+      if (hasClassicGhost.current) {
+        const isGhost = gameMode.current === 'ghost';
+        drawButton(ctx, GHOST_BUTTON, isGhost ? 'Race Best: ON' : 'Race Best: OFF', { active: isGhost });
+      }
+      if (sound.current) drawSoundControls(ctx, sound.current.getSettings());
+      drawCoinCounter(ctx, wallet.current.coins, V_WIDTH - 24, PAUSE_BUTTON.y + PAUSE_BUTTON.h / 2);
+      drawButton(ctx, SHOP_BUTTON, 'Shop');
+      drawButton(ctx, EQUIP_BUTTON, 'Equip');
+      drawButton(ctx, ACHIEVEMENTS_BUTTON, 'Achievements', { font: '24px monospace' });
+      drawButton(ctx, STATS_BUTTON, 'Stats');
+    } else if (gameStateRef.current === 'stats') {
+      drawStatsScreen(ctx, { stats: statsView.current, width: V_WIDTH, height: V_HEIGHT });
+    } else if (gameStateRef.current === 'achievements') {
+      drawAchievementsScreen(ctx, { ...achievements.current.getProgress(), width: V_WIDTH, height: V_HEIGHT });
+    } else if (gameStateRef.current === 'shop' || gameStateRef.current === 'equip') {
+      drawCosmeticsScreen(ctx, {
+        mode: gameStateRef.current,
+        slot: cosmeticsSlot.current,
+        rows: getCosmeticRows(gameStateRef.current),
+        coins: wallet.current.coins,
+        previews: cosmeticPreviews.current,
+        width: V_WIDTH,
+        height: V_HEIGHT
+      });
+    } else if (gameStateRef.current === 'playing') {
+      drawButton(ctx, PAUSE_BUTTON, 'II', { font: '32px monospace' });
+      if (ghostPlayer.current) {
+        // Ahead/behind indicator against the ghost's score at the same frame
+        const lead = world.score - ghostPlayer.current.getState().score;
+        ctx.fillStyle = lead > 0 ? '#7CFC00' : lead < 0 ? '#ff6b6b' : '#fff';
+        ctx.font = '28px monospace';
+        const label = lead > 0 ? `👻 AHEAD +${lead}` : lead < 0 ? `👻 BEHIND ${lead}` : '👻 TIED';
+        ctx.fillText(label, V_WIDTH / 2, 150);
+      }
+    } else if (gameStateRef.current === 'paused') {
+      ctx.fillStyle = 'rgba(0,0,0,0.5)';
+      ctx.fillRect(0, 0, V_WIDTH, V_HEIGHT);
+      ctx.fillStyle = '#fff';
+      if (resumeCountdown.current > 0) {
+        ctx.font = '160px monospace';
+        ctx.fillText(Math.ceil(resumeCountdown.current / 60), V_WIDTH / 2, V_HEIGHT / 2);
+      } else {
+        ctx.font = '56px monospace'; // scaled 2x
+        ctx.fillText('Paused', V_WIDTH / 2, V_HEIGHT / 2 - 40);
+        ctx.font = '40px monospace'; // scaled 2x
+        ctx.fillText('Tap to Resume', V_WIDTH / 2, V_HEIGHT / 2 + 30);
+        if (sound.current) drawSoundControls(ctx, sound.current.getSettings());
+      }
     } else if (gameStateRef.current === 'gameover') {
       ctx.fillStyle = 'rgba(0,0,0,0.5)';
       ctx.fillRect(0, 0, V_WIDTH, V_HEIGHT);
       ctx.fillStyle = '#fff';
       ctx.font = '56px monospace'; // scaled 2x
-      ctx.fillText('Game Over', V_WIDTH / 2, V_HEIGHT / 2 - 40); // scaled 2x
+      ctx.fillText('Game Over', V_WIDTH / 2, 270); // scaled 2x
+      if (lastResult.current) {
+        drawResultsPanel(ctx, { ...lastResult.current, wallet: wallet.current.coins });
+      }
+      ctx.textAlign = 'center';
+      ctx.fillStyle = '#fff';
       ctx.font = '40px monospace'; // scaled 2x
-      ctx.fillText(`Score: ${globalScore}`, V_WIDTH / 2, V_HEIGHT / 2 + 20); // scaled 2x
-      // Get fresh high score from localStorage for display
-      const currentBest = localStorage.getItem('best') || '0';
-      ctx.fillText(`Best: ${currentBest}`, V_WIDTH / 2, V_HEIGHT / 2 + 68); // scaled 2x
       ctx.fillText('Tap to Restart', V_WIDTH / 2, V_HEIGHT / 2 + 128); // scaled 2x
+      if (lastReplay.current) {
+        drawButton(ctx, WATCH_REPLAY_BUTTON, 'Replay');
+        drawButton(ctx, EXPORT_REPLAY_BUTTON, 'Export');
+      }
+      if (lastResult.current) drawButton(ctx, SHARE_BUTTON, 'Share', { active: true });
+      if (standing.current && standing.current.result === lastResult.current) {
+        ctx.font = '26px monospace';
+        ctx.fillText(describeStanding(standing.current), V_WIDTH / 2, V_HEIGHT / 2 + 270);
+      }
+    } else if (isReplay) {
+      ctx.fillStyle = '#ffca28';
+      ctx.font = '32px monospace';
+      ctx.fillText('REPLAY', V_WIDTH / 2, 150);
+      drawReplayControls(ctx, world.frame, replayTotalFrames.current, replayPlaying.current);
+    }
+
+    if (notice.current.timer > 0) {
+      ctx.fillStyle = '#fff';
+      ctx.font = '28px monospace';
+      ctx.fillText(notice.current.text, V_WIDTH / 2, 200);
+    }
+
+    const toast = achievementToasts.current[0];
+    if (toast) drawAchievementToast(ctx, toast.achievement, toast.timer);
+
+    if (debug.current.enabled && !['shop', 'equip', 'achievements', 'stats'].includes(gameStateRef.current)) {
+      const { frames, speed, frozen } = debug.current;
+      drawDebugOverlay(ctx, { world, gameState: gameStateRef.current, pepeY, pepeRot, scrollLag, frames, speed, frozen });
     }
     
     // Restore initial canvas state for Telegram optimization
     ctx.restore();
   }
 
+  /* ===== Replay playback, export and import ===== */
+  function startReplay(replay, returnState) {
+    replayPlayer.current = createReplayPlayer(replay);
+    // Older or hand-made codes may omit the end frame - find it by playing the run through
+    replayTotalFrames.current = replay.frames || runReplay(replay).frames;
+    replayPlaying.current = true;
+    replayReturnState.current = returnState;
+    fartVisible.current = false;
+    fartTimer.current = 0;
+    gameStateRef.current = 'replay';
+    setGameState('replay');
+  }
+
+  function seekReplay(frame) {
+    if (!replayPlayer.current) return;
+    const target = Math.max(0, Math.min(replayTotalFrames.current, frame));
+    replayPlayer.current.seek(target);
+    worldAdvanced.current = false;
+    fartVisible.current = false;
+  }
+
+  function exitReplay() {
+    replayPlayer.current = null;
+    replayPlaying.current = false;
+    scrubbing.current = false;
+    fartVisible.current = false;
+    worldAdvanced.current = false;
+    gameStateRef.current = replayReturnState.current;
+    setGameState(replayReturnState.current);
+  }
+
+  function exportReplay(replay) {
+    const code = encodeReplay(replay);
+    console.log('📼 Replay code:', code);
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(code).then(
+        () => showNotice('Replay copied to clipboard'),
+        () => showNotice('Replay code logged to console')
+      );
+    } else {
+      showNotice('Replay code logged to console');
+    }
+  }
+
+  function importReplay(code) {
+    try {
+      startReplay(decodeReplay(code), 'ready');
+    } catch (error) {
+      console.error('❌ Failed to import replay:', error.message);
+      showNotice('Invalid replay code');
+    }
+  }
+
+  /* ===== Score card sharing ===== */
+  function shareResult() {
+    if (sharing.current) return;
+    sharing.current = true;
+    const result = lastResult.current;
+    const mode = gameMode.current === 'daily'
+      ? `Daily Challenge ${dailyDayKey.current}`
+      : getPreset(sim.current.getState().preset).label;
+    const card = renderScoreCard({ sprite: plushpepeImg.current, result, mode });
+    const medalText = result.medal ? ` and earned ${result.medal.name}` : '';
+    const text = `I scored ${result.score} in PlushPepe${medalText}! Can you beat it?`;
+
+    shareScoreCard(card, text)
+      .then((channel) => {
+        console.log(`📤 Score card shared via ${channel}`);
+        if (channel === 'download') showNotice('Score card saved');
+      })
+      .catch((error) => {
+        console.error('❌ Failed to share score card:', error.message);
+        showNotice('Could not share score card');
+      })
+      .finally(() => {
+        sharing.current = false;
+      });
+  }
+
+  function showNotice(text) {
+    notice.current = { text, timer: 120 }; // 2 seconds at 60fps
+  }
+
+  /* ===== Achievements ===== */
+  // Tuned and debug-assisted runs - handleGameOver saves nothing from them
+  function isPlaytest() {
+    return assistedRun.current || sim.current.getState().tuned;
+  }
+
+  // Live runs only - replays and playtests never count. Progress is saved on unlocks and at game over.
+  function trackAchievements(event) {
+    const unlocked = achievements.current.handle(event);
+    unlocked.forEach((achievement) => {
+      console.log(`🏆 Achievement unlocked: ${achievement.name}`);
+      achievementToasts.current.push({ achievement, timer: TOAST_FRAMES });
+    });
+    if (unlocked.length > 0 || event.type === 'gameover') {
+      saveAchievements(achievements.current.getProgress());
+    }
+  }
+
+  function tickAchievementToasts() {
+    const toast = achievementToasts.current[0];
+    if (!toast) return;
+    toast.timer -= 1;
+    if (toast.timer <= 0) achievementToasts.current.shift();
+  }
+
+  function openAchievements() {
+    gameStateRef.current = 'achievements';
+    setGameState('achievements');
+  }
+
+  function closeAchievements() {
+    gameStateRef.current = 'ready';
+    setGameState('ready');
+  }
+
+  /* ===== Cloud sync ===== */
+  // Offline or outside Telegram this is a no-op and localStorage carries on alone
+  function syncProgress() {
+    cloudSync.current.sync().then((synced) => {
+      if (synced) refreshProgress();
+    });
+  }
+
+  // Re-read everything cached from storage - a sync may have merged in another device's progress
+  function refreshProgress() {
+    wallet.current = getWallet();
+    cosmetics.current = getCosmetics();
+    refreshBests();
+    const inRun = gameStateRef.current === 'playing' || gameStateRef.current === 'paused';
+    if (!inRun) achievements.current = createAchievementTracker(loadAchievements());
+  }
+
+  // Bests can change at game over and through a cloud sync; the daily one also with the course's day
+  function refreshBests() {
+    bestScores.current = loadBestScores();
+    dailyBest.current = dailyDayKey.current ? loadDailyBest(dailyDayKey.current) : 0;
+  }
+
+  /* ===== Leaderboard ===== */
+  // Every finished run is submitted - the server keeps the best and answers with the rank
+  function submitToLeaderboard(result, presetId, replay) {
+    if (!isLeaderboardAvailable() || !replay) return;
+    const board = getBoardId(presetId, gameMode.current === 'daily' ? dailyDayKey.current : null, replay.collision);
+    standing.current = { result, status: 'loading' };
+    submitScore(board, result.score, replay)
+      .then(({ flagged, global, friends }) => {
+        if (standing.current.result !== result) return; // a newer run took over
+        standing.current = flagged ? { result, status: 'flagged' } : { result, status: 'ready', global, friends };
+        if (!flagged) console.log(`🌍 Leaderboard rank on ${board}: #${global.rank} of ${global.total}`);
+      })
+      .catch((error) => {
+        console.error('❌ Failed to submit score:', error.message);
+        const status = error.status === 422 ? 'rejected' : 'error';
+        if (standing.current.result === result) standing.current = { result, status };
+      });
+  }
+
+  /* ===== Lifetime stats ===== */
+  function startRunStats() {
+    const now = Date.now();
+    if (!session.current || now - session.current.lastEnd > SESSION_IDLE_MS) {
+      session.current = { start: now, lastEnd: now };
+    }
+    runCounts.current = { pipes: 0, flaps: 0 };
+  }
+
+  // Marks the end of a run - returns how long the session has lasted so far
+  function endSession() {
+    if (!session.current) return 0;
+    session.current.lastEnd = Date.now();
+    return session.current.lastEnd - session.current.start;
+  }
+
+  function openStats() {
+    statsView.current = getStats();
+    gameStateRef.current = 'stats';
+    setGameState('stats');
+  }
+
+  function closeStats() {
+    gameStateRef.current = 'ready';
+    setGameState('ready');
+  }
+
+  /* ===== Cosmetics shop / equip (opened from the ready screen) ===== */
+  function openCosmetics(mode) {
+    grantCosmeticMilestones(0);
+    loadCosmeticPreviews();
+    gameStateRef.current = mode;
+    setGameState(mode);
+  }
+
+  function closeCosmetics() {
+    gameStateRef.current = 'ready';
+    setGameState('ready');
+  }
+
+  // Rows for the current tab - the equip screen only lists owned items
+  function getCosmeticRows(mode) {
+    const { owned, equipped: worn } = cosmetics.current;
+    return getSlotItems(cosmeticsSlot.current)
+      .map((item) => ({ item, owned: owned.includes(item.id), equipped: worn[item.slot] === item.id }))
+      .filter((row) => mode === 'shop' || row.owned);
+  }
+
+  function handleCosmeticsPointer(point) {
+    if (hitTest(COSMETICS_BACK_BUTTON, point)) {
+      closeCosmetics();
+      return;
+    }
+
+    const tab = getCosmeticsTabAt(point);
+    if (tab) {
+      cosmeticsSlot.current = tab;
+      return;
+    }
+
+    const mode = gameStateRef.current;
+    const rows = getCosmeticRows(mode);
+    const index = getCosmeticsRowAt(point, rows.length);
+    if (index === null) return;
+    const { item, owned } = rows[index];
+
+    if (mode === 'equip') {
+      cosmetics.current = equipCosmetic(item.id);
+      setEquipped(cosmetics.current.equipped);
+      showNotice(`Equipped ${item.name}`);
+    } else if (owned) {
+      showNotice(`${item.name} - owned, equip it from Equip`);
+    } else if (!item.price) {
+      showNotice(`${item.name} unlocks at: ${describeUnlock(item)}`);
+    } else if (purchaseCosmetic(item.id)) {
+      cosmetics.current = getCosmetics();
+      wallet.current = getWallet();
+      showNotice(`Unlocked ${item.name}!`);
+    } else {
+      showNotice('Not enough coins');
+    }
+  }
+
+  // Milestones count the best score on any preset (or this run) and lifetime coins
+  function grantCosmeticMilestones(runScore) {
+    const bestScore = Math.max(runScore, ...Object.values(loadBestScores()).map((value) => Number(value) || 0));
+    const unlocked = unlockMilestones({ bestScore, coinsEarned: wallet.current.earned });
+    if (unlocked.length === 0) return;
+    cosmetics.current = getCosmetics();
+    showNotice(`Unlocked ${unlocked.map((item) => item.name).join(', ')}!`);
+  }
+
+  // Thumbnails are rendered once per item, the first time a cosmetics screen opens
+  function loadCosmeticPreviews() {
+    COSMETICS.forEach((item) => {
+      if (cosmeticPreviews.current[item.id] !== undefined) return;
+      cosmeticPreviews.current[item.id] = null; // loading
+      loadSkinImage(item.src || item.capSrc, item)
+        .then((image) => {
+          cosmeticPreviews.current[item.id] = image;
+        })
+        .catch(() => console.error(`❌ Failed to load preview: ${item.name}`));
+    });
+  }
+
+  /* ===== Pause / resume ===== */
+  function pauseGame() {
+    if (gameStateRef.current !== 'playing' && gameStateRef.current !== 'paused') return;
+    pendingFlap.current = false;
+    resumeCountdown.current = 0; // a new pause cancels a running countdown
+    gameStateRef.current = 'paused';
+    setGameState('paused');
+  }
+
+  function resumeGame() {
+    // Physics restarts only after the 3-2-1 countdown (see update())
+    if (gameStateRef.current === 'paused' && resumeCountdown.current === 0) {
+      resumeCountdown.current = RESUME_COUNTDOWN_FRAMES;
+    }
+  }
+
+  // Backgrounded / blurred: pause a live run, stop a playing replay
+  function autoPause() {
+    if (gameStateRef.current === 'replay') {
+      replayPlaying.current = false;
+    } else {
+      pauseGame();
+    }
+  }
+
+  /* ===== Debug overlay: ?debug=1 or Ctrl+Shift+D ===== */
+  function toggleDebug() {
+    const enabled = !debug.current.enabled;
+    debug.current = { ...debug.current, enabled, speed: 1, frozen: false, steps: 0 };
+    console.log(enabled ? '🐞 Debug overlay on' : '🐞 Debug overlay off');
+  }
+
+  // , freezes / unfreezes the physics, . steps one frame (freezing first), [ and ] slow down / speed up,
+  // T shows / hides the tuning panel. Returns true when the key was used
+  function handleDebugKey(key) {
+    const state = debug.current;
+    if (key === ',') {
+      state.frozen = !state.frozen;
+    } else if (key === '.') {
+      state.frozen = true;
+      state.steps += 1;
+    } else if (key === '[' || key === ']') {
+      const index = DEBUG_SPEEDS.indexOf(state.speed) + (key === '[' ? 1 : -1);
+      state.speed = DEBUG_SPEEDS[Math.max(0, Math.min(DEBUG_SPEEDS.length - 1, index))];
+    } else if (key === 't' || key === 'T') {
+      tuningPanel.current.open = !tuningPanel.current.open;
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  /* ===== Designer tuning: game config, panel sliders, export ===== */
+  // The config may load after the first run started - it only ever applies between runs,
+  // when resetGame() builds the next course
+  function queueGameConfig(config) {
+    pendingGameConfig.current = config;
+    if (gameStateRef.current === 'ready') resetGame();
+  }
+
+  function applyGameConfig({ overrides, errors, sources }) {
+    errors.forEach((error) => console.warn(`⚠️ Game config - ${error}`));
+    if (errors.length > 0) showNotice(`Game config: ${errors.length} value(s) ignored`);
+    if (Object.keys(overrides).length > 0) console.log(`🎛️ Game config from ${sources.join(', ')}:`, overrides);
+    setTuning({ ...DEFAULT_TUNING, ...overrides });
+  }
+
+  // Applies at once - physics from the next step, gaps and spacing from the next pipe
+  function setTuning(next) {
+    tuning.current = next;
+    sim.current.setTuning(next);
+  }
+
+  function isTuningPanelShown() {
+    return tuningPanel.current.open && TUNING_PANEL_STATES.includes(gameStateRef.current);
+  }
+
+  // Buttons of the screen the panel is shown over - they are drawn on top of it and win the tap
+  function getScreenButtons() {
+    if (gameStateRef.current === 'ready') {
+      return [
+        COLLISION_BUTTON, DAILY_BUTTON, SHOP_BUTTON, EQUIP_BUTTON, ACHIEVEMENTS_BUTTON, STATS_BUTTON,
+        ...(gameMode.current !== 'daily' ? [PRESET_BUTTON] : []),
+        ...(hasClassicGhost.current ? [GHOST_BUTTON] : [])
+      ];
+    }
+    if (gameStateRef.current === 'gameover') {
+      return [
+        ...(lastResult.current ? [SHARE_BUTTON] : []),
+        ...(lastReplay.current ? [WATCH_REPLAY_BUTTON, EXPORT_REPLAY_BUTTON] : [])
+      ];
+    }
+    return [];
+  }
+
+  // Returns true when the tap landed on the panel. Sliders only drag on Normal - the one preset tuning reaches
+  function handleTuningPointer(point) {
+    if (!hitTest(TUNING_PANEL, point)) return false;
+    if (hitTest(TUNING_RESET_BUTTON, point)) {
+      setTuning(DEFAULT_TUNING);
+      // A moved slider marked the waiting course tuned - rebuild it so the next run counts again
+      if (gameStateRef.current === 'ready') resetGame();
+    } else if (hitTest(TUNING_EXPORT_BUTTON, point)) {
+      exportTuning();
+    } else if (hitTest(TUNING_HIDE_BUTTON, point)) {
+      tuningPanel.current.open = false;
+    } else if (sim.current.getState().preset === TUNED_PRESET_ID) {
+      tuningPanel.current.dragging = findTuningSlider(point);
+      if (tuningPanel.current.dragging) dragTuningSlider(point);
+    }
+    return true;
+  }
+
+  function dragTuningSlider(point) {
+    const key = tuningPanel.current.dragging;
+    const value = getSliderValue(key, point);
+    if (value !== tuning.current[key]) setTuning({ ...tuning.current, [key]: value });
+  }
+
+  function exportTuning() {
+    const json = exportGameConfig(tuning.current);
+    console.log('🎛️ Game config:', json);
+    showNotice('Game config exported');
+  }
+
+  /* ===== Back: Escape and the Telegram BackButton ===== */
+  function handleBack() {
+    const state = gameStateRef.current;
+    if (state === 'playing') pauseGame();
+    else if (state === 'paused') resumeGame();
+    else if (state === 'replay') exitReplay();
+    else if (state === 'shop' || state === 'equip') closeCosmetics();
+    else if (state === 'achievements') closeAchievements();
+    else if (state === 'stats') closeStats();
+  }
+
+  /* ===== Telegram theme: letterbox and active-button colors ===== */
+  function applyTheme(theme) {
+    document.documentElement.style.setProperty('--letterbox', theme.letterbox);
+    setButtonTheme(theme);
+  }
+
+  /* ===== Daily Challenge / ghost race toggles (ready screen only) ===== */
+  function toggleDailyMode() {
+    gameMode.current = gameMode.current === 'daily' ? 'classic' : 'daily';
+    resetGame();
+  }
+
+  function toggleGhostMode() {
+    gameMode.current = gameMode.current === 'ghost' ? 'classic' : 'ghost';
+    resetGame();
+  }
+
+  // Ready screen: switch between forgiving and strict collisions and remember the choice
+  function toggleCollisionMode() {
+    collisionMode.current = collisionMode.current === 'strict' ? 'forgiving' : 'strict';
+    saveCollisionMode(collisionMode.current);
+    resetGame();
+  }
+
+  // Ready screen: step to the next difficulty preset and remember the choice
+  function cyclePreset() {
+    const index = PRESET_IDS.indexOf(selectedPreset.current);
+    selectedPreset.current = PRESET_IDS[(index + 1) % PRESET_IDS.length];
+    savePresetId(selectedPreset.current);
+    hasClassicGhost.current = loadGhost(selectedPreset.current) !== null;
+    resetGame();
+  }
+
+  function nextRunPreset() {
+    return gameMode.current === 'daily' ? DEFAULT_PRESET_ID : selectedPreset.current;
+  }
+
+  function nextRunSeed() {
+    if (gameMode.current === 'daily') {
+      const now = new Date();
+      dailyDayKey.current = getUtcDayKey(now);
+      return getDailySeed(now);
+    }
+    if (gameMode.current === 'ghost') {
+      const ghost = loadGhost(selectedPreset.current);
+      if (ghost) return ghost.seed;
+      gameMode.current = 'classic'; // ghost was cleared - fall back to a fresh course
+    }
+    return randomSeed();
+  }
+
   /* ===== Reset ===== */
   function resetGame() {
-    // Reset plushpepe to safe starting position above ground
-    plushpepe.current = { y: V_HEIGHT / 2 - 100, vel: 0, rot: 0 }; // Safe position in upper half of screen
-    
-    // Reset pipes with constrained gaps for playability
-    const resetFirstGapY = randomGapY(); // First gap is unconstrained
-    const resetSecondGapY = randomGapY(resetFirstGapY); // Second constrained to first
-    pipes.current = [
-      { x: V_WIDTH + 50, gapY: resetFirstGapY, scored: false },
-      { x: V_WIDTH + 50 + PIPE_INTERVAL, gapY: resetSecondGapY, scored: false },
-      { x: V_WIDTH + 50 + PIPE_INTERVAL * 2, gapY: randomGapY(resetSecondGapY), scored: false }
-    ];
-    
-    // Reset clouds
-    clouds.current = [];
-    cloudSpawnTimer.current = 0;
-    
-    // Reset shared scroll system and ground animation
-    sharedScrollPosition.current = 0;
-    groundOffset.current = 0;
+    // Fresh PlushPepe, pipes, clouds, scroll and score - daily and ghost runs reuse a known seed
+    if (pendingGameConfig.current) {
+      applyGameConfig(pendingGameConfig.current);
+      pendingGameConfig.current = null;
+    }
+    sim.current.reset(nextRunSeed(), nextRunPreset(), collisionMode.current);
+    refreshBests();
+    pendingFlap.current = false;
+    recording.current = null;
+    ghostPlayer.current = null;
+    worldAdvanced.current = false;
     
     // Reset fart effect
     fartVisible.current = false;
     fartTimer.current = 0;
     
-    // Reset score and state
-    globalScore = 0;
-    setScore(0);
+    gameStateRef.current = 'ready';
     setGameState('ready');
   }
 
@@ -0,0 +1,66 @@
+/* ====== Cosmetics catalog ======
+ * Every item belongs to one slot and is drawn from the shipped sprites:
+ *   character - PlushPepe sprite        trail - the puff behind PlushPepe on flap
+ *   pipe      - shaft + cap sprites
+ * `tint` recolors the base sprite ({ color, amount } - see skins.js), `render` draws a
+ * procedural sprite instead. Items unlock with coins (`price`) or a `milestone`;
+ * the first item of each slot is the free default.
+ */
+import plushpepeSprite from '../assets/plushpepe.png';
+import fartSprite from '../assets/fart.png';
+import pipeShaftSprite from '../assets/pipeshaft.png';
+import pipeCapSprite from '../assets/pipecap.png';
+import { renderRainbowPuff } from './skins';
+
+export const COSMETIC_SLOTS = ['character', 'trail', 'pipe'];
+
+export const SLOT_LABELS = { character: 'Characters', trail: 'Trails', pipe: 'Pipes' };
+
+export const COSMETICS = [
+  // Characters
+  { id: 'plushpepe', slot: 'character', name: 'PlushPepe', src: plushpepeSprite },
+  { id: 'frostPepe', slot: 'character', name: 'Frost Pepe', src: plushpepeSprite, tint: { color: '#4fc3f7', amount: 0.4 }, price: 80 },
+  { id: 'goldenPepe', slot: 'character', name: 'Golden Pepe', src: plushpepeSprite, tint: { color: '#ffd700', amount: 0.45 }, price: 150 },
+  { id: 'shadowPepe', slot: 'character', name: 'Shadow Pepe', src: plushpepeSprite, tint: { color: '#1a1a2e', amount: 0.55 }, milestone: { type: 'bestScore', value: 30 } },
+
+  // Trails
+  { id: 'fart', slot: 'trail', name: 'Classic Fart', src: fartSprite },
+  { id: 'toxicFart', slot: 'trail', name: 'Toxic Cloud', src: fartSprite, tint: { color: '#76ff03', amount: 0.5 }, price: 60 },
+  { id: 'rainbow', slot: 'trail', name: 'Rainbow', render: renderRainbowPuff, milestone: { type: 'coinsEarned', value: 300 } },
+
+  // Pipes - `color` is the placeholder fill while the sprites load
+  { id: 'greenPipe', slot: 'pipe', name: 'Classic Pipes', shaftSrc: pipeShaftSprite, capSrc: pipeCapSprite, color: '#3cb043' },
+  { id: 'candyPipe', slot: 'pipe', name: 'Candy Pipes', shaftSrc: pipeShaftSprite, capSrc: pipeCapSprite, tint: { color: '#ff80ab', amount: 0.5 }, color: '#ff80ab', price: 100 },
+  { id: 'icePipe', slot: 'pipe', name: 'Ice Pipes', shaftSrc: pipeShaftSprite, capSrc: pipeCapSprite, tint: { color: '#b3e5fc', amount: 0.55 }, color: '#b3e5fc', price: 120 },
+  { id: 'goldPipe', slot: 'pipe', name: 'Gold Pipes', shaftSrc: pipeShaftSprite, capSrc: pipeCapSprite, tint: { color: '#ffc107', amount: 0.5 }, color: '#ffc107', milestone: { type: 'bestScore', value: 50 } }
+];
+
+export const DEFAULT_EQUIPPED = COSMETIC_SLOTS.reduce((equipped, slot) => {
+  equipped[slot] = COSMETICS.find((item) => item.slot === slot).id;
+  return equipped;
+}, {});
+
+export const DEFAULT_OWNED = Object.values(DEFAULT_EQUIPPED);
+
+export function getCosmetic(id) {
+  return COSMETICS.find((item) => item.id === id) || null;
+}
+
+export function getSlotItems(slot) {
+  return COSMETICS.filter((item) => item.slot === slot);
+}
+
+/* ====== Milestones ======
+ * `progress` is { bestScore, coinsEarned } - best score over all presets and lifetime coins.
+ */
+export function isMilestoneReached(item, progress) {
+  if (!item.milestone) return false;
+  return (progress[item.milestone.type] || 0) >= item.milestone.value;
+}
+
+export function describeUnlock(item) {
+  if (item.price) return `${item.price} coins`;
+  if (!item.milestone) return 'Free';
+  if (item.milestone.type === 'bestScore') return `Score ${item.milestone.value}`;
+  return `Earn ${item.milestone.value} coins`;
+}
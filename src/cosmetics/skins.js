@@ -0,0 +1,56 @@
+/* ====== Skin images ======
+ * Cosmetics reuse the shipped sprites, recolored once at load time onto an offscreen
+ * canvas. Canvases draw exactly like Images, so the renderer never needs to know
+ * whether it got the original sprite or a skin.
+ */
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Failed to load ${src}`));
+    image.src = src;
+  });
+}
+
+/* ====== Helper: recolor the opaque pixels of an image ====== */
+// `source-atop` keeps the sprite's alpha, so transparent edges stay transparent
+export function tintImage(image, { color, amount }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  ctx.globalCompositeOperation = 'source-atop';
+  ctx.globalAlpha = amount;
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  return canvas;
+}
+
+// Image, tinted canvas or procedural canvas for one sprite source of an item
+export function loadSkinImage(src, item) {
+  if (item.render) return Promise.resolve(item.render());
+  return loadImage(src).then((image) => (item.tint ? tintImage(image, item.tint) : image));
+}
+
+/* ====== Procedural trail: a round puff of rainbow bands ====== */
+export function renderRainbowPuff(size = 128) {
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const colors = ['#ff1744', '#ff9100', '#ffea00', '#00e676', '#2979ff', '#d500f9'];
+  const bandWidth = size / 2 / (colors.length + 1);
+  colors.forEach((color, i) => {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(size / 2, size / 2, size / 2 - i * bandWidth, 0, Math.PI * 2);
+    ctx.fill();
+  });
+  ctx.fillStyle = '#fff';
+  ctx.beginPath();
+  ctx.arc(size / 2, size / 2, bandWidth, 0, Math.PI * 2);
+  ctx.fill();
+  return canvas;
+}
@@ -0,0 +1,221 @@
+import {
+  PLUSHPEPE_X,
+  PLUSHPEPE_SIZE,
+  PLUSHPEPE_HITBOX,
+  PLUSHPEPE_SHAPE_OFFSET_X,
+  PLUSHPEPE_SHAPE_OFFSET_Y,
+  PIPE_WIDTH,
+  PIPE_GAP,
+  PIPE_CAP_HEIGHT,
+  PIPE_CAP_RIM_HEIGHT,
+  PIPE_CAP_RIM_INSET,
+  GROUND_Y,
+  COIN_SIZE
+} from './constants.js';
+
+/* ====== Collision modes ======
+ * PlushPepe is an ellipse fitted to the sprite's alpha mask that turns with the sprite;
+ * each pipe is a shaft, a cap and the cap's narrower rim (see getPipeShapes).
+ *   strict    - the shapes as drawn
+ *   forgiving - a smaller ellipse and pipes trimmed by a few px, so grazes are survived
+ *   box       - the original 48px square that ignores rotation. Only replays recorded before
+ *               collision modes use it, so old ghosts and codes still play back exactly.
+ */
+export const COLLISION_MODES = ['forgiving', 'strict'];
+export const DEFAULT_COLLISION_MODE = 'forgiving';
+export const LEGACY_COLLISION_MODE = 'box';
+
+// Ellipse radii (px) and how far pipe shapes are pulled in from the drawn edges
+const MODE_SHAPES = {
+  strict: { radiusX: 27, radiusY: 31, pipeInset: 0 },
+  forgiving: { radiusX: 22, radiusY: 25, pipeInset: 4 }
+};
+
+const ELLIPSE_POINTS = 16; // the ellipse is tested as a 16-sided polygon
+
+export function isCollisionMode(mode) {
+  return mode === LEGACY_COLLISION_MODE || COLLISION_MODES.includes(mode);
+}
+
+/* ====== Helper: cos / sin of whole degrees, rounded to 6 decimals ======
+ * Math.cos / Math.sin may differ in the last bit between JS engines; rounding keeps the
+ * browser and the replay verifier on the server agreeing on every hit.
+ */
+function turn(degrees) {
+  const radians = (degrees * Math.PI) / 180;
+  return { cos: Math.round(Math.cos(radians) * 1e6) / 1e6, sin: Math.round(Math.sin(radians) * 1e6) / 1e6 };
+}
+
+const ELLIPSE_UNIT = Array.from({ length: ELLIPSE_POINTS }, (_, i) => turn((i * 360) / ELLIPSE_POINTS));
+
+function toBounds(points) {
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  return { left: Math.min(...xs), right: Math.max(...xs), top: Math.min(...ys), bottom: Math.max(...ys) };
+}
+
+/* ====== Helper: PlushPepe's collision shape ======
+ * pepe: { y, rot } from the world state. Returns { points, bounds } - a convex polygon in
+ * world px (clockwise) and its bounding box. The sprite rotates about its center, so the
+ * ellipse's offset from that center rotates with it.
+ */
+export function getPlushPepeShape(pepe, mode = DEFAULT_COLLISION_MODE) {
+  if (mode === LEGACY_COLLISION_MODE) {
+    const box = getPlushPepeHitbox(pepe.y);
+    const points = [
+      { x: box.left, y: box.top },
+      { x: box.right, y: box.top },
+      { x: box.right, y: box.bottom },
+      { x: box.left, y: box.bottom }
+    ];
+    return { points, bounds: box };
+  }
+
+  const { radiusX, radiusY } = MODE_SHAPES[mode];
+  const { cos, sin } = turn(Math.round(pepe.rot));
+  const centerX = PLUSHPEPE_X + PLUSHPEPE_SIZE / 2;
+  const centerY = pepe.y + PLUSHPEPE_SIZE / 2;
+  const points = ELLIPSE_UNIT.map((unit) => {
+    const x = PLUSHPEPE_SHAPE_OFFSET_X + radiusX * unit.cos;
+    const y = PLUSHPEPE_SHAPE_OFFSET_Y + radiusY * unit.sin;
+    return { x: centerX + x * cos - y * sin, y: centerY + x * sin + y * cos };
+  });
+  return { points, bounds: toBounds(points) };
+}
+
+/* ====== Helper: how far the shape reaches above and below pepe.y (ground and ceiling) ======
+ * Offsets rather than positions, so the simulation can place PlushPepe against an edge
+ * without rounding drift. Box mode keeps its original reach: the top of the sprite for
+ * the ceiling, a hitbox height below it for the ground.
+ */
+export function getPlushPepeReach(pepe, mode = DEFAULT_COLLISION_MODE) {
+  if (mode === LEGACY_COLLISION_MODE) return { above: 0, below: PLUSHPEPE_HITBOX };
+  const { bounds } = getPlushPepeShape({ y: 0, rot: pepe.rot }, mode);
+  return { above: bounds.top, below: bounds.bottom };
+}
+
+/* ====== Helper: Get precise pipe collision bounds (box mode) ====== */
+export function getPipeCollisionBounds(pipe) {
+  // Minimal margin for seamless pipe collision detection
+  const margin = 2; // reduced margin for more precise collision with seamless pipes
+
+  return {
+    // Top pipe bounds - seamless connection
+    topPipe: {
+      left: pipe.x + margin,
+      right: pipe.x + PIPE_WIDTH - margin,
+      top: 0,
+      bottom: pipe.gapY - margin
+    },
+    // Bottom pipe bounds - extends exactly to ground level
+    bottomPipe: {
+      left: pipe.x + margin,
+      right: pipe.x + PIPE_WIDTH - margin,
+      top: pipe.gapY + (pipe.gap || PIPE_GAP) + margin,
+      bottom: GROUND_Y
+    }
+  };
+}
+
+/* ====== Helper: PlushPepe hitbox centered on the visual sprite ====== */
+export function getPlushPepeHitbox(pepeY) {
+  const hitboxOffsetX = (PLUSHPEPE_SIZE - PLUSHPEPE_HITBOX) / 2;
+  const hitboxOffsetY = (PLUSHPEPE_SIZE - PLUSHPEPE_HITBOX) / 2;
+
+  return {
+    left: PLUSHPEPE_X + hitboxOffsetX,
+    right: PLUSHPEPE_X + hitboxOffsetX + PLUSHPEPE_HITBOX,
+    top: pepeY + hitboxOffsetY,
+    bottom: pepeY + hitboxOffsetY + PLUSHPEPE_HITBOX
+  };
+}
+
+/* ====== Helper: Coin pickup box - coins store their center ====== */
+export function getCoinBounds(coin) {
+  return {
+    left: coin.x - COIN_SIZE / 2,
+    right: coin.x + COIN_SIZE / 2,
+    top: coin.y - COIN_SIZE / 2,
+    bottom: coin.y + COIN_SIZE / 2
+  };
+}
+
+/* ====== Helper: Axis-aligned overlap test ====== */
+export function boundsOverlap(a, b) {
+  return (
+    a.right > b.left &&
+    a.left < b.right &&
+    a.bottom > b.top &&
+    a.top < b.bottom
+  );
+}
+
+/* ====== Helper: pipe collision rectangles ======
+ * Returns { topPipe: [rect], bottomPipe: [rect] }, each rect a bounds object plus `part`:
+ *   shaft - full width, from the screen edge (or ground) to the cap
+ *   cap   - full width, the cap body
+ *   rim   - the cap's lip facing the gap, PIPE_CAP_RIM_INSET narrower on each side
+ * Box mode returns the original single rectangle per pipe (part 'box').
+ */
+export function getPipeShapes(pipe, mode = DEFAULT_COLLISION_MODE) {
+  if (mode === LEGACY_COLLISION_MODE) {
+    const bounds = getPipeCollisionBounds(pipe);
+    return { topPipe: [{ ...bounds.topPipe, part: 'box' }], bottomPipe: [{ ...bounds.bottomPipe, part: 'box' }] };
+  }
+
+  const inset = MODE_SHAPES[mode].pipeInset;
+  const left = pipe.x + inset;
+  const right = pipe.x + PIPE_WIDTH - inset;
+  const rimLeft = pipe.x + PIPE_CAP_RIM_INSET + inset;
+  const rimRight = pipe.x + PIPE_WIDTH - PIPE_CAP_RIM_INSET - inset;
+  const gapTop = pipe.gapY;
+  const gapBottom = pipe.gapY + (pipe.gap || PIPE_GAP);
+  const hasArea = (rect) => rect.bottom > rect.top;
+
+  return {
+    topPipe: [
+      { part: 'shaft', left, right, top: 0, bottom: gapTop - PIPE_CAP_HEIGHT },
+      { part: 'cap', left, right, top: gapTop - PIPE_CAP_HEIGHT, bottom: gapTop - PIPE_CAP_RIM_HEIGHT },
+      { part: 'rim', left: rimLeft, right: rimRight, top: gapTop - PIPE_CAP_RIM_HEIGHT, bottom: gapTop - inset }
+    ].filter(hasArea),
+    bottomPipe: [
+      { part: 'rim', left: rimLeft, right: rimRight, top: gapBottom + inset, bottom: gapBottom + PIPE_CAP_RIM_HEIGHT },
+      { part: 'cap', left, right, top: gapBottom + PIPE_CAP_RIM_HEIGHT, bottom: gapBottom + PIPE_CAP_HEIGHT },
+      { part: 'shaft', left, right, top: gapBottom + PIPE_CAP_HEIGHT, bottom: GROUND_Y }
+    ].filter(hasArea)
+  };
+}
+
+/* ====== Helper: convex polygon vs axis-aligned rectangle (separating axis test) ====== */
+export function shapeOverlapsBounds(shape, rect) {
+  const { bounds, points } = shape;
+  if (!boundsOverlap(bounds, rect)) return false; // the rectangle's own axes
+
+  const corners = [
+    { x: rect.left, y: rect.top },
+    { x: rect.right, y: rect.top },
+    { x: rect.right, y: rect.bottom },
+    { x: rect.left, y: rect.bottom }
+  ];
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const axisX = a.y - b.y;
+    const axisY = b.x - a.x;
+    const project = (point) => point.x * axisX + point.y * axisY;
+    const shapeProjections = points.map(project);
+    const rectProjections = corners.map(project);
+    if (Math.max(...shapeProjections) <= Math.min(...rectProjections)) return false;
+    if (Math.max(...rectProjections) <= Math.min(...shapeProjections)) return false;
+  }
+  return true;
+}
+
+/* ====== Helper: Which pipe (if any) the shape touches ====== */
+// shape from getPlushPepeShape(); returns 'topPipe', 'bottomPipe' or null
+export function getPipeCollision(shape, pipe, mode = DEFAULT_COLLISION_MODE) {
+  const pipeShapes = getPipeShapes(pipe, mode);
+  if (pipeShapes.topPipe.some((rect) => shapeOverlapsBounds(shape, rect))) return 'topPipe';
+  if (pipeShapes.bottomPipe.some((rect) => shapeOverlapsBounds(shape, rect))) return 'bottomPipe';
+  return null;
+}
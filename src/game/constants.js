@@ -0,0 +1,51 @@
+/* ====== Constants (tuned to original physics) ====== */
+// Fixed simulation timestep - physics always advances in whole 60 Hz frames
+export const STEP_MS = 1000 / 60;
+
+export const V_WIDTH = 576;    // virtual canvas size (px) - 2x resolution
+export const V_HEIGHT = 1024;  // 2x resolution for better sprite quality
+
+// Physics Constants - Realistic Earth-like gravity simulation
+// Scale: ~100px = 1 meter, 60fps = real-time
+// Earth gravity: 9.8 m/s² = 9.8 * 100px/m ÷ (60fps)² = 0.272 px/frame²
+// Increased slightly for better game feel while staying realistic
+export const GRAVITY = 0.4;   // px/frame² at 60 fps (realistic Earth-like gravity + game feel)
+export const JUMP_VELOCITY = -6.5; // upward impulse (px/frame, increased to match stronger gravity)
+export const MAX_FALL_SPEED = 12;   // terminal velocity downward (realistic for a small bird)
+
+// Synchronized scroll system - single speed for perfect alignment
+export const SCROLL_SPEED = 4.025; // horizontal px / frame (scaled 2x) - increased by 15% for smoother gameplay
+export const PIPE_INTERVAL = 350; // distance between pipes (reduced for more frequent obstacles)
+export const PIPE_GAP = 162.5;   // vertical gap size (increased by 25% for better balance)
+export const CLOUD_SPEED = 1.84; // cloud scroll speed (increased proportionally with scroll speed)
+
+export const PLUSHPEPE_X = 160;     // fixed horizontal plushpepe position (scaled 2x)
+export const PLUSHPEPE_SIZE = 96;   // PlushPepe sprite size (scaled 2x for high resolution)
+export const PLUSHPEPE_HITBOX = 48; // PlushPepe collision box (scaled 2x) - pickups, and collisions in pre-mode replays
+// Center of PlushPepe's collision ellipse relative to the sprite center (fitted to plushpepe.png, see collision.js)
+export const PLUSHPEPE_SHAPE_OFFSET_X = -6;
+export const PLUSHPEPE_SHAPE_OFFSET_Y = 5;
+export const PLUSHPEPE_START_Y = V_HEIGHT / 2 - 100; // Safe position in upper half of screen
+export const PIPE_WIDTH = 104; // sprite width (scaled 2x)
+// Pipe cap as drawn at PIPE_WIDTH (pipecap.png is 566x329): the renderer still sizes the cap from
+// the image, these mirror it for collision. The rim is the cap's narrower lip facing the gap.
+export const PIPE_CAP_HEIGHT = 60;
+export const PIPE_CAP_RIM_HEIGHT = 8; // opaque rows 0-41 of 329
+export const PIPE_CAP_RIM_INSET = 7;  // ...which start 37px in from each side of 566
+
+// Ground is anchored to the bottom edge; the dirt layer is always 224px tall
+export const FIXED_GROUND_HEIGHT = 224;
+export const GROUND_Y = V_HEIGHT - FIXED_GROUND_HEIGHT; // Y=800
+
+// Clouds - background parallax layer
+export const CLOUD_SPAWN_INTERVAL = 420; // frames between cloud spawns (7 seconds at 60fps)
+export const CLOUD_SPAWN_VARIANCE = 0; // no variance - exactly every 7 seconds
+export const CLOUD_SIZE = 64; // cloud display size (64x64 pixels)
+
+// Fart trail shown after each flap (drawn by GameCanvas, tunable in tuning.js)
+export const FART_DURATION = 30; // frames (0.5 seconds at 60fps)
+
+// Coins - trail between gaps, or a bonus coin hugging a pipe lip
+export const COIN_SIZE = 32;      // pickup box and display size (px)
+export const COIN_VALUE = 1;      // trail coin
+export const LIP_COIN_VALUE = 3;  // risky coin next to a pipe cap
@@ -0,0 +1,208 @@
+import {
+  V_WIDTH,
+  GRAVITY,
+  JUMP_VELOCITY,
+  MAX_FALL_SPEED,
+  GROUND_Y,
+  PIPE_WIDTH,
+  COIN_SIZE,
+  COIN_VALUE,
+  LIP_COIN_VALUE
+} from './constants.js';
+import { DIFFICULTY_TIERS } from './difficulty.js';
+
+// Define minimum pipe shaft height for visual balance (at least one full shaft segment + cap)
+const MIN_PIPE_SHAFT_HEIGHT = 80; // Ensures at least one visible shaft tile + cap
+const SAFE_MARGIN = 50; // Additional margin for gameplay fairness
+
+/* ====== Helper: Calculate Pepe's 3-flap maneuverability between two pipes ======
+ * `horizonFrames` is the time from one gap to the next - pipe spacing / scroll speed
+ * (≈90 frames, 1.5 seconds, at the starting tier). Faster tiers leave less time to climb.
+ * `physics` overrides the constants.js gravity / jump / fall speed (difficulty presets).
+ */
+export function calculatePepeManeuverability(horizonFrames = 90, physics = {}) {
+  const {
+    gravity = GRAVITY,
+    jumpVelocity = JUMP_VELOCITY,
+    maxFallSpeed = MAX_FALL_SPEED
+  } = physics;
+  const optimalFlapInterval = 18; // frames between flaps (0.3 seconds)
+  const maxFlaps = 3; // exactly 3 flaps as specified
+
+  // Simulate 3 flaps over the horizon
+  let maxUpwardTravel = 0;
+  let position = 0;
+  let velocity = 0;
+  let flapsUsed = 0;
+
+  for (let frame = 0; frame < horizonFrames; frame++) {
+    // Apply flap at optimal intervals, max 3 flaps
+    if (frame % optimalFlapInterval === 0 && flapsUsed < maxFlaps) {
+      velocity = jumpVelocity;
+      flapsUsed++;
+    }
+
+    // Apply physics
+    velocity += gravity;
+    if (velocity > maxFallSpeed) velocity = maxFallSpeed;
+    position += velocity;
+
+    // Track maximum climb
+    if (position < maxUpwardTravel) maxUpwardTravel = position;
+  }
+
+  // Dropping is always possible by not flapping - free fall over the same horizon
+  let maxDownwardTravel = 0;
+  velocity = 0;
+  for (let frame = 0; frame < horizonFrames; frame++) {
+    velocity = Math.min(maxFallSpeed, velocity + gravity);
+    maxDownwardTravel += velocity;
+  }
+
+  const climbRange = Math.abs(maxUpwardTravel) * 0.85; // 85% safety margin
+  const fallRange = Math.abs(maxDownwardTravel) * 0.9; // 90% safety margin
+
+  return { climb: climbRange, fall: fallRange };
+}
+
+/* ====== Helper: Enhanced pipe gap generation with proper height constraints ====== */
+// `random` returns a float in [0, 1) - Math.random by default
+// `difficulty` is the tier in effect (see difficulty.js) - gap size, spacing, speed and delta caps,
+// plus the preset's physics when it carries them (see presets.js)
+// Returns { gapY, variation } - variation is first | small | medium | large (shown by the debug overlay)
+export function randomGap(previousGapY = null, random = Math.random, difficulty = DIFFICULTY_TIERS[0]) {
+  // Calculate safe Y-range for gap center to ensure both pipes render fully
+  const minGapY = MIN_PIPE_SHAFT_HEIGHT + SAFE_MARGIN; // ~130px from top
+  const maxGapY = GROUND_Y - difficulty.pipeGap - MIN_PIPE_SHAFT_HEIGHT - SAFE_MARGIN; // ~550px from top
+
+  // Get Pepe's 3-flap maneuverability constraints for the time between these two pipes
+  const horizonFrames = Math.round(difficulty.pipeInterval / difficulty.scrollSpeed);
+  const maneuverability = calculatePepeManeuverability(horizonFrames, difficulty);
+  const MAX_UPWARD_DELTA = Math.min(difficulty.maxUpDelta, maneuverability.climb); // Tier cap for balance
+  const MAX_DOWNWARD_DELTA = Math.min(difficulty.maxDownDelta, maneuverability.fall); // Tier cap for balance
+
+  let targetGapY;
+  let variation = 'first';
+
+  if (previousGapY !== null) {
+    // Calculate reachable range from previous gap with maneuverability constraints
+    const minReachableY = Math.max(minGapY, previousGapY - MAX_UPWARD_DELTA);
+    const maxReachableY = Math.min(maxGapY, previousGapY + MAX_DOWNWARD_DELTA);
+
+    // Enhanced variation system with MINIMUM 40px delta requirement
+    // 10% small (±30px), 30% medium (±60px), 60% large (full reachable range)
+    const variationType = random();
+    let finalRange;
+
+    if (variationType < 0.1) {
+      // Small variation - subtle changes
+      variation = 'small';
+      const smallDelta = 30;
+      finalRange = {
+        min: Math.max(minReachableY, previousGapY - smallDelta),
+        max: Math.min(maxReachableY, previousGapY + smallDelta)
+      };
+    } else if (variationType < 0.4) {
+      // Medium variation - moderate changes
+      variation = 'medium';
+      const mediumDelta = 60;
+      finalRange = {
+        min: Math.max(minReachableY, previousGapY - mediumDelta),
+        max: Math.min(maxReachableY, previousGapY + mediumDelta)
+      };
+    } else {
+      // Large variation - use full reachable range for maximum diversity
+      variation = 'large';
+      finalRange = {
+        min: minReachableY,
+        max: maxReachableY
+      };
+    }
+
+    // Generate position with minimum 40px delta requirement
+    let attempts = 0;
+    const maxAttempts = 20;
+
+    do {
+      const rangeSize = finalRange.max - finalRange.min;
+      targetGapY = Math.floor(finalRange.min + random() * rangeSize);
+      attempts++;
+    } while (Math.abs(targetGapY - previousGapY) < 40 && attempts < maxAttempts);
+
+    // If we couldn't meet the 40px requirement, force it
+    if (Math.abs(targetGapY - previousGapY) < 40) {
+      // Try to move 40px up or down from previous position
+      const moveUp = previousGapY - 40;
+      const moveDown = previousGapY + 40;
+
+      if (moveUp >= minReachableY) {
+        targetGapY = moveUp;
+      } else if (moveDown <= maxReachableY) {
+        targetGapY = moveDown;
+      } else {
+        // Use the furthest possible position
+        targetGapY = Math.abs(minReachableY - previousGapY) > Math.abs(maxReachableY - previousGapY)
+          ? minReachableY : maxReachableY;
+      }
+    }
+  } else {
+    // First gap - use safe middle range to ensure full pipe rendering
+    const safeRangeSize = maxGapY - minGapY;
+    const middleStart = minGapY + safeRangeSize * 0.25; // 25% into safe range
+    const middleEnd = minGapY + safeRangeSize * 0.75;   // 75% into safe range
+
+    // Generate first gap in safe middle range
+    targetGapY = Math.floor(middleStart + random() * (middleEnd - middleStart));
+  }
+
+  // Clamp to absolute safe bounds (no micro-variation that could break bounds)
+  return { gapY: Math.max(minGapY, Math.min(maxGapY, targetGapY)), variation };
+}
+
+export function randomGapY(previousGapY = null, random = Math.random, difficulty = DIFFICULTY_TIERS[0]) {
+  return randomGap(previousGapY, random, difficulty).gapY;
+}
+
+/* ====== Helper: Initial pipe set - each gap constrained to the previous one ====== */
+// Every pipe keeps the gap size it spawned with, so a tier change never resizes pipes on screen
+export function createPipes(random = Math.random, difficulty = DIFFICULTY_TIERS[0]) {
+  const { pipeGap, pipeInterval } = difficulty;
+  const first = randomGap(null, random, difficulty); // First gap is unconstrained
+  const second = randomGap(first.gapY, random, difficulty); // Second constrained to first
+  const third = randomGap(second.gapY, random, difficulty);
+  return [first, second, third].map(({ gapY, variation }, i) => (
+    { x: V_WIDTH + 50 + pipeInterval * i, gapY, gap: pipeGap, variation, scored: false }
+  ));
+}
+
+/* ====== Helper: Coins on the way into a freshly generated gap ======
+ * Generated right after randomGapY() places `toPipe`, so they follow the same reachable path:
+ *  - trail: 3 coins across the open space on the straight line between the two gap centers,
+ *    a climb/fall randomGapY already kept within PlushPepe's reach
+ *  - lip: one coin worth LIP_COIN_VALUE tucked against the top or bottom cap of the new gap -
+ *    reachable, but only on a line that brushes the pipe
+ * Coins are { x, y, value } with x/y the center. Always draws two values from `random`.
+ */
+export function createCoins(fromPipe, toPipe, random = Math.random) {
+  const kind = random();
+  const side = random();
+
+  const fromX = fromPipe.x + PIPE_WIDTH / 2;
+  const toX = toPipe.x + PIPE_WIDTH / 2;
+  const fromY = fromPipe.gapY + fromPipe.gap / 2;
+  const toY = toPipe.gapY + toPipe.gap / 2;
+
+  if (kind < 0.6) {
+    const spaceStart = fromPipe.x + PIPE_WIDTH;
+    const spaceWidth = toPipe.x - spaceStart;
+    return [0.2, 0.5, 0.8].map((fraction) => {
+      const x = spaceStart + spaceWidth * fraction;
+      const t = (x - fromX) / (toX - fromX);
+      return { x, y: Math.round(fromY + (toY - fromY) * t), value: COIN_VALUE };
+    });
+  }
+
+  const lipOffset = COIN_SIZE / 2 + 6; // just clear of the cap's collision margin
+  const y = side < 0.5 ? toPipe.gapY + lipOffset : toPipe.gapY + toPipe.gap - lipOffset;
+  return [{ x: toX, y, value: LIP_COIN_VALUE }];
+}
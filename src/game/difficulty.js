@@ -0,0 +1,28 @@
+/* ====== Progressive difficulty curve ======
+ * Each tier kicks in at `minScore` and stays until the next one. Speed goes up, gaps narrow,
+ * pipes get closer and the allowed jump between neighbouring gaps grows.
+ * randomGapY() still caps those deltas by what PlushPepe can actually reach at the tier's
+ * speed and spacing, so every course stays passable.
+ */
+import { SCROLL_SPEED, PIPE_GAP, PIPE_INTERVAL } from './constants.js';
+
+export const DIFFICULTY_TIERS = [
+  { minScore: 0,  scrollSpeed: SCROLL_SPEED, pipeGap: PIPE_GAP, pipeInterval: PIPE_INTERVAL, maxUpDelta: 95,  maxDownDelta: 100 },
+  { minScore: 10, scrollSpeed: 4.3,          pipeGap: 157.5,    pipeInterval: 345,           maxUpDelta: 105, maxDownDelta: 115 },
+  { minScore: 20, scrollSpeed: 4.6,          pipeGap: 152.5,    pipeInterval: 340,           maxUpDelta: 115, maxDownDelta: 130 },
+  { minScore: 35, scrollSpeed: 4.9,          pipeGap: 147.5,    pipeInterval: 335,           maxUpDelta: 125, maxDownDelta: 145 },
+  { minScore: 50, scrollSpeed: 5.2,          pipeGap: 142.5,    pipeInterval: 330,           maxUpDelta: 135, maxDownDelta: 160 }
+];
+
+// Index of the tier in effect for a score
+export function getDifficultyTier(score, tiers = DIFFICULTY_TIERS) {
+  let tier = 0;
+  for (let i = 1; i < tiers.length; i++) {
+    if (score >= tiers[i].minScore) tier = i;
+  }
+  return tier;
+}
+
+export function getDifficulty(score, tiers = DIFFICULTY_TIERS) {
+  return tiers[getDifficultyTier(score, tiers)];
+}
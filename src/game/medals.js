@@ -0,0 +1,18 @@
+/* ====== Medals ======
+ * A run earns the highest medal whose threshold its score reaches (none below bronze).
+ * Thresholds are plain data - pass a different list to getMedal() to retune them.
+ */
+export const MEDALS = [
+  { id: 'bronze', name: 'Bronze', minScore: 10 },
+  { id: 'silver', name: 'Silver', minScore: 20 },
+  { id: 'gold', name: 'Gold', minScore: 30 },
+  { id: 'platinum', name: 'Platinum', minScore: 40 }
+];
+
+export function getMedal(score, medals = MEDALS) {
+  let earned = null;
+  medals.forEach((medal) => {
+    if (score >= medal.minScore && (!earned || medal.minScore > earned.minScore)) earned = medal;
+  });
+  return earned;
+}
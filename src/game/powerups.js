@@ -0,0 +1,84 @@
+/* ====== Power-ups ======
+ * Items occasionally spawn in the middle of a recycled pipe's gap and scroll with it.
+ * Touching one with the PlushPepe hitbox starts its effect:
+ *   shield - absorbs the next collision (pipe, ground or ceiling)
+ *   slowmo - scales the simulation step (scroll and physics) by `timeScale`
+ *   double - every pipe passed scores 2
+ * Durations are in simulation frames (60 per second). Spawning draws from its own random
+ * stream, so turning power-ups on or off never changes the course a seed builds.
+ */
+import { PIPE_WIDTH } from './constants.js';
+import { boundsOverlap } from './collision.js';
+
+export const POWERUP_TYPES = ['shield', 'slowmo', 'double'];
+
+export const POWERUP_CONFIG = {
+  enabled: true,
+  spawnChance: 0.15,  // chance per recycled pipe
+  minScore: 3,        // no items before the player has warmed up
+  size: 44,           // pickup box (px), centered in the gap
+  types: {
+    shield: { weight: 1, duration: 600 },                  // 10 s to bump into something
+    slowmo: { weight: 1, duration: 300, timeScale: 0.6 },  // 5 s at 60% speed
+    double: { weight: 1, duration: 480 }                   // 8 s of double points
+  }
+};
+
+export function createEffects() {
+  return { shield: 0, slowmo: 0, double: 0 }; // frames left per effect
+}
+
+/* ====== Helper: maybe drop an item into a freshly recycled pipe ====== */
+// Always draws the same number of random values so the stream stays in step
+export function spawnPowerUp(pipe, score, random, config = POWERUP_CONFIG) {
+  const roll = random();
+  const pick = random();
+  if (!config.enabled || score < config.minScore || roll >= config.spawnChance) return null;
+
+  const totalWeight = POWERUP_TYPES.reduce((sum, type) => sum + config.types[type].weight, 0);
+  let threshold = pick * totalWeight;
+  const type = POWERUP_TYPES.find((candidate) => {
+    threshold -= config.types[candidate].weight;
+    return threshold < 0;
+  }) || POWERUP_TYPES[POWERUP_TYPES.length - 1];
+
+  return {
+    type,
+    x: pipe.x + PIPE_WIDTH / 2 - config.size / 2,
+    y: pipe.gapY + pipe.gap / 2 - config.size / 2
+  };
+}
+
+export function getPowerUpBounds(item, config = POWERUP_CONFIG) {
+  return { left: item.x, right: item.x + config.size, top: item.y, bottom: item.y + config.size };
+}
+
+// Items still worth keeping - picked up or scrolled off the left edge ones are dropped
+export function isPowerUpLive(item, config = POWERUP_CONFIG) {
+  return !item.taken && item.x + config.size > 0;
+}
+
+/* ====== Helper: pick up any item the hitbox touches ====== */
+// Returns the picked types; `effects` timers are (re)started in place
+export function collectPowerUps(items, hitbox, effects, config = POWERUP_CONFIG) {
+  const picked = [];
+  items.forEach((item) => {
+    if (!item.taken && boundsOverlap(hitbox, getPowerUpBounds(item, config))) {
+      item.taken = true;
+      effects[item.type] = config.types[item.type].duration;
+      picked.push(item.type);
+    }
+  });
+  return picked;
+}
+
+export function tickEffects(effects) {
+  POWERUP_TYPES.forEach((type) => {
+    if (effects[type] > 0) effects[type] -= 1;
+  });
+}
+
+// Simulation step scale - 1 normally, `timeScale` while slow-mo runs
+export function getTimeScale(effects, config = POWERUP_CONFIG) {
+  return effects.slowmo > 0 ? config.types.slowmo.timeScale : 1;
+}
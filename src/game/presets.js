@@ -0,0 +1,80 @@
+/* ====== Difficulty presets ======
+ * A preset bundles the physics a run depends on with the score tiers holding its spawn
+ * values - speed, gap, spacing (see difficulty.js). Normal is the tuning in constants.js.
+ * Classic v1 reproduces the gentler physics of GameCanvas-v1.js; its spacing, speed and
+ * gap are scaled 2x from that version's 288px canvas.
+ */
+import { GRAVITY, JUMP_VELOCITY, MAX_FALL_SPEED } from './constants.js';
+import { DIFFICULTY_TIERS } from './difficulty.js';
+
+export const DEFAULT_PRESET_ID = 'normal';
+
+export const PRESETS = {
+  easy: {
+    id: 'easy',
+    label: 'Easy',
+    gravity: 0.35,
+    jumpVelocity: -6.2,
+    maxFallSpeed: 10,
+    tiers: [
+      { minScore: 0,  scrollSpeed: 3.5, pipeGap: 190, pipeInterval: 380, maxUpDelta: 85,  maxDownDelta: 90 },
+      { minScore: 15, scrollSpeed: 3.8, pipeGap: 185, pipeInterval: 375, maxUpDelta: 95,  maxDownDelta: 100 },
+      { minScore: 30, scrollSpeed: 4.1, pipeGap: 180, pipeInterval: 370, maxUpDelta: 105, maxDownDelta: 110 },
+      { minScore: 50, scrollSpeed: 4.4, pipeGap: 175, pipeInterval: 365, maxUpDelta: 115, maxDownDelta: 120 }
+    ]
+  },
+  normal: {
+    id: 'normal',
+    label: 'Normal',
+    gravity: GRAVITY,
+    jumpVelocity: JUMP_VELOCITY,
+    maxFallSpeed: MAX_FALL_SPEED,
+    tiers: DIFFICULTY_TIERS
+  },
+  hard: {
+    id: 'hard',
+    label: 'Hard',
+    gravity: 0.45,
+    jumpVelocity: -7,
+    maxFallSpeed: 13,
+    tiers: [
+      { minScore: 0,  scrollSpeed: 4.6, pipeGap: 145, pipeInterval: 330, maxUpDelta: 110, maxDownDelta: 120 },
+      { minScore: 10, scrollSpeed: 4.9, pipeGap: 140, pipeInterval: 325, maxUpDelta: 120, maxDownDelta: 135 },
+      { minScore: 20, scrollSpeed: 5.2, pipeGap: 135, pipeInterval: 320, maxUpDelta: 130, maxDownDelta: 150 },
+      { minScore: 35, scrollSpeed: 5.5, pipeGap: 130, pipeInterval: 315, maxUpDelta: 140, maxDownDelta: 165 }
+    ]
+  },
+  classicV1: {
+    id: 'classicV1',
+    label: 'Classic v1',
+    gravity: 0.2,       // px / frame^2 (v1 "easier")
+    jumpVelocity: -4.5, // v1 gentler impulse
+    maxFallSpeed: 6,    // v1 terminal velocity
+    // v1 had no difficulty ramp - one tier for the whole run.
+    // Speed 2 / gap 240 / spacing 400 = v1's PIPE_SPEED 1.0, PIPE_GAP 120, PIPE_INTERVAL 200
+    tiers: [
+      { minScore: 0, scrollSpeed: 2, pipeGap: 240, pipeInterval: 400, maxUpDelta: 160, maxDownDelta: 200 }
+    ]
+  }
+};
+
+// Order of the ready-screen selector
+export const PRESET_IDS = ['easy', 'normal', 'hard', 'classicV1'];
+
+// Unknown ids (old saves, hand-edited replays) fall back to Normal
+export function getPreset(id) {
+  return PRESETS[id] || PRESETS[DEFAULT_PRESET_ID];
+}
+
+export function isPresetId(id) {
+  return Object.prototype.hasOwnProperty.call(PRESETS, id);
+}
+
+/* ====== Helper: tiers with the preset's physics attached ======
+ * randomGapY() reads gravity / jump / fall speed from the tier it is handed, so every
+ * tier a simulation uses carries its preset's physics along with the spawn values.
+ */
+export function getPresetTiers(preset) {
+  const { gravity, jumpVelocity, maxFallSpeed } = preset;
+  return preset.tiers.map((tier) => ({ gravity, jumpVelocity, maxFallSpeed, ...tier }));
+}
@@ -0,0 +1,44 @@
+/* ====== Seedable PRNG ======
+ * mulberry32 - tiny, fast and good enough for course generation.
+ * Seeds are unsigned 32-bit integers so they fit in replays and URLs.
+ */
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function random() {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* ====== Helper: hash any string into a 32-bit seed (FNV-1a) ====== */
+export function hashSeed(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/* ====== Helper: fresh seed for a normal run ====== */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/* ====== Daily Challenge ====== */
+// UTC calendar day, e.g. '2025-01-31' - everyone worldwide shares the same day key
+export function getUtcDayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+export function getDailySeed(date = new Date()) {
+  return hashSeed(`daily:${getUtcDayKey(date)}`);
+}
+
+// Derive an independent stream (e.g. clouds) so cosmetic spawns never shift the course
+export function deriveSeed(seed, salt) {
+  return hashSeed(`${seed >>> 0}:${salt}`);
+}
@@ -0,0 +1,142 @@
+/* ====== Run recording and replay ======
+ * A replay is everything needed to rebuild a run frame by frame:
+ *   { v, seed, preset, collision, flaps: [frame, ...], score, frames }
+ * `flaps` holds the simulation frame of every flap input, `frames` the frame the run ended on.
+ * `preset` is the difficulty preset id - codes from before presets omit it and mean Normal.
+ * `collision` is the collision mode - version 1 codes predate modes and play back with the
+ * original square hitbox ('box').
+ */
+import { createSimulation } from './simulation.js';
+import { DEFAULT_PRESET_ID, isPresetId } from './presets.js';
+import { DEFAULT_COLLISION_MODE, LEGACY_COLLISION_MODE, isCollisionMode } from './collision.js';
+
+export const REPLAY_VERSION = 2;
+
+export function createReplay(seed, preset = DEFAULT_PRESET_ID, collision = DEFAULT_COLLISION_MODE) {
+  return { v: REPLAY_VERSION, seed: seed >>> 0, preset, collision, flaps: [], score: 0, frames: 0 };
+}
+
+/* ====== Recorder: feed it the events returned by sim.step() ====== */
+export function recordEvents(replay, events) {
+  events.forEach((event) => {
+    if (event.type === 'flap') {
+      replay.flaps.push(event.frame);
+    } else if (event.type === 'death') {
+      replay.score = event.score;
+      replay.frames = event.frame;
+    }
+  });
+  return replay;
+}
+
+/* ====== Player: headless playback with seeking ======
+ * Seeking backwards re-simulates from frame 0 - runs are short and the
+ * simulation is cheap, so there is no need for snapshots.
+ */
+export function createReplayPlayer(replay) {
+  const sim = createSimulation({ seed: replay.seed, preset: replay.preset, collision: replay.collision });
+  let nextFlap = 0; // index into replay.flaps
+
+  function rewind() {
+    sim.reset(replay.seed, replay.preset, replay.collision);
+    nextFlap = 0;
+  }
+
+  function step() {
+    const state = sim.getState();
+    if (!state.alive) return { state, events: [] };
+
+    let flap = false;
+    while (nextFlap < replay.flaps.length && replay.flaps[nextFlap] <= state.frame) {
+      flap = flap || replay.flaps[nextFlap] === state.frame;
+      nextFlap++;
+    }
+    return sim.step({ flap });
+  }
+
+  function seek(frame) {
+    if (frame < sim.getState().frame) rewind();
+    while (sim.getState().alive && sim.getState().frame < frame) {
+      step();
+    }
+    return sim.getState();
+  }
+
+  return {
+    replay,
+    step,
+    seek,
+    rewind,
+    getState: sim.getState,
+    isFinished: () => !sim.getState().alive
+  };
+}
+
+/* ====== Helper: play a replay to the end and report what it actually scores ====== */
+export function runReplay(replay, { maxFrames = 60 * 60 * 60 } = {}) {
+  const player = createReplayPlayer(replay);
+  let cause = null;
+  while (!player.isFinished() && player.getState().frame < maxFrames) {
+    const death = player.step().events.find((event) => event.type === 'death');
+    if (death) cause = death.cause;
+  }
+  const state = player.getState();
+  return { score: state.score, frames: state.frame, cause, finished: !state.alive };
+}
+
+/* ====== Export / import ====== */
+// URL-safe base64 of the compact JSON form
+export function encodeReplay(replay) {
+  const json = JSON.stringify({
+    v: replay.v,
+    seed: replay.seed,
+    preset: replay.preset,
+    collision: replay.collision,
+    flaps: replay.flaps,
+    score: replay.score,
+    frames: replay.frames
+  });
+  return btoa(json).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Accepts either the raw JSON or the base64 string produced by encodeReplay()
+export function decodeReplay(text) {
+  const trimmed = String(text || '').trim();
+  let data;
+  try {
+    if (trimmed.startsWith('{')) {
+      data = JSON.parse(trimmed);
+    } else {
+      const base64 = trimmed.replace(/-/g, '+').replace(/_/g, '/');
+      data = JSON.parse(atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4)));
+    }
+  } catch (error) {
+    throw new Error('Replay is not valid JSON or base64');
+  }
+  return validateReplay(data);
+}
+
+export function validateReplay(data) {
+  if (!data || typeof data !== 'object') throw new Error('Replay must be an object');
+  if (data.v !== 1 && data.v !== REPLAY_VERSION) throw new Error(`Unsupported replay version: ${data.v}`);
+  if (!Number.isInteger(data.seed) || data.seed < 0) throw new Error('Replay seed must be a non-negative integer');
+  if (!Array.isArray(data.flaps) || !data.flaps.every(Number.isInteger)) {
+    throw new Error('Replay flaps must be a list of frame numbers');
+  }
+  if (data.preset !== undefined && !isPresetId(data.preset)) throw new Error(`Unknown replay preset: ${data.preset}`);
+  const collision = data.v === 1 ? LEGACY_COLLISION_MODE : data.collision;
+  if (!isCollisionMode(collision)) throw new Error(`Unknown replay collision mode: ${data.collision}`);
+  for (let i = 1; i < data.flaps.length; i++) {
+    if (data.flaps[i] <= data.flaps[i - 1]) throw new Error('Replay flap frames must be strictly increasing');
+  }
+
+  return {
+    v: REPLAY_VERSION,
+    seed: data.seed >>> 0,
+    preset: data.preset === undefined ? DEFAULT_PRESET_ID : data.preset,
+    collision,
+    flaps: data.flaps.slice(),
+    score: Number.isInteger(data.score) ? data.score : 0,
+    frames: Number.isInteger(data.frames) ? data.frames : 0
+  };
+}
@@ -0,0 +1,301 @@
+// Headless game simulation - no DOM, canvas or React.
+// Relative imports carry the .js extension so the same files load under plain Node.
+import {
+  V_WIDTH,
+  PIPE_WIDTH,
+  CLOUD_SPEED,
+  CLOUD_SPAWN_INTERVAL,
+  CLOUD_SPAWN_VARIANCE,
+  CLOUD_SIZE,
+  COIN_SIZE,
+  PLUSHPEPE_X,
+  PLUSHPEPE_HITBOX,
+  PLUSHPEPE_START_Y,
+  GROUND_Y
+} from './constants.js';
+import { randomGap, createPipes, createCoins } from './course.js';
+import {
+  DEFAULT_COLLISION_MODE,
+  getPlushPepeHitbox,
+  getPlushPepeShape,
+  getPlushPepeReach,
+  getPipeCollision,
+  getCoinBounds,
+  boundsOverlap
+} from './collision.js';
+import { createRng, deriveSeed, randomSeed } from './random.js';
+import { getDifficulty, getDifficultyTier } from './difficulty.js';
+import { DEFAULT_PRESET_ID, getPreset, getPresetTiers } from './presets.js';
+import { applyTuning } from './tuning.js';
+import {
+  POWERUP_CONFIG,
+  createEffects,
+  spawnPowerUp,
+  collectPowerUps,
+  isPowerUpLive,
+  tickEffects,
+  getTimeScale
+} from './powerups.js';
+
+/* ====== World state ====== */
+export function createWorld(seed, random = createRng(seed), preset = getPreset(DEFAULT_PRESET_ID), collision = DEFAULT_COLLISION_MODE) {
+  return {
+    seed,          // course seed - the same seed always builds the same pipes
+    preset: preset.id, // difficulty preset - physics and spawn tiers (see presets.js)
+    collision,     // forgiving | strict | box - collision shapes (see collision.js)
+    tuned: Boolean(preset.tuned), // a tuning override changed the preset (see tuning.js) - the run cannot be re-simulated
+    frame: 0,      // simulation steps taken since the run started
+    score: 0,
+    alive: true,
+    deathCause: null, // ground | ceiling | topPipe | bottomPipe
+    tier: 0,       // difficulty tier (index into the preset's tiers)
+    plushpepe: { y: PLUSHPEPE_START_Y, vel: 0, rot: 0 },
+    pipes: createPipes(random, getPresetTiers(preset)[0]),
+    powerUps: [],  // items waiting in pipe gaps { type, x, y }
+    effects: createEffects(), // frames left on shield / slowmo / double
+    shieldGrace: false, // true while still inside the pipe a shield absorbed
+    coins: [],     // coins waiting on the course { x, y, value } - x/y is the center
+    coinsCollected: 0, // coin value picked up this run
+    clouds: [],
+    cloudSpawnTimer: 0,
+    scroll: 0      // master scroll position shared by ground, grass and pipes
+  };
+}
+
+/* ====== Simulation ======
+ * createSimulation({ seed, preset, collision }) returns a stepper:
+ *   sim.step({ flap }) -> { state, events }
+ * Every call advances exactly one fixed 60 Hz frame (STEP_MS), so a run is fully
+ * determined by its seed and the frames it flapped on. Events are plain objects:
+ *   { type: 'flap', frame } | { type: 'score', frame, score } | { type: 'tier', frame, tier }
+ *   | { type: 'powerup', frame, powerUp } | { type: 'shield', frame, cause }
+ *   | { type: 'coin', frame, value, coins }
+ *   | { type: 'death', frame, cause, score }
+ * The run is over once a 'death' event has been emitted; further steps are no-ops
+ * until reset(seed, preset, collision) is called. Omitting the seed picks a fresh random one;
+ * the preset id (default Normal) and collision mode (default forgiving) are kept across
+ * resets unless new ones are passed.
+ * `powerUps` overrides the spawn rates and durations in powerups.js.
+ * `tuning` overrides Normal's physics and spawn values (see tuning.js). setTuning() swaps it
+ * mid-run: physics change from the next step, gaps and spacing from the next recycled pipe,
+ * and the run is marked tuned.
+ */
+export function createSimulation({
+  seed = randomSeed(),
+  preset = DEFAULT_PRESET_ID,
+  collision = DEFAULT_COLLISION_MODE,
+  powerUps = POWERUP_CONFIG,
+  tuning = null
+} = {}) {
+  let tuningInEffect = tuning;
+  let courseRandom;
+  let cloudRandom;
+  let powerUpRandom;
+  let coinRandom;
+  let config; // preset in effect
+  let tiers;  // its tiers with the physics attached
+  let collisionMode;
+  let state;
+
+  // A running shield eats the hit instead - returns true when the run goes on
+  function absorb(cause, events) {
+    if (state.effects.shield <= 0) return false;
+    state.effects.shield = 0;
+    events.push({ type: 'shield', frame: state.frame, cause });
+    return true;
+  }
+
+  function die(cause, events) {
+    state.alive = false;
+    state.deathCause = cause;
+    events.push({ type: 'death', frame: state.frame, cause, score: state.score });
+  }
+
+  function step(input = {}) {
+    const events = [];
+    if (!state.alive) return { state, events };
+
+    const pepe = state.plushpepe;
+    const difficulty = getDifficulty(state.score, tiers);
+    const timeScale = getTimeScale(state.effects, powerUps); // slow-mo shrinks the whole step
+    tickEffects(state.effects);
+
+    if (input.flap) {
+      pepe.vel = config.jumpVelocity;
+      events.push({ type: 'flap', frame: state.frame });
+    }
+
+    // Shared scroll system - update master scroll position
+    const scrollStep = difficulty.scrollSpeed * timeScale;
+    state.scroll += scrollStep;
+
+    // PlushPepe physics
+    pepe.vel += config.gravity * timeScale;
+    if (pepe.vel > config.maxFallSpeed) pepe.vel = config.maxFallSpeed;
+    pepe.y += pepe.vel * timeScale;
+
+    // PlushPepe rotation for aesthetics
+    pepe.rot = Math.max(-30, Math.min(90, pepe.vel * 7));
+
+    // Ground collision - the lowest point of the (rotated) collision shape
+    const reach = getPlushPepeReach(pepe, collisionMode);
+    if (pepe.y + reach.below >= GROUND_Y) {
+      if (!absorb('ground', events)) {
+        die('ground', events);
+        return { state, events };
+      }
+      // Shield bounce - back above the ground with a flap's worth of lift
+      pepe.y = GROUND_Y - reach.below - 1;
+      pepe.vel = config.jumpVelocity;
+    }
+
+    // Ceiling collision
+    if (pepe.y + reach.above < 0) {
+      if (!absorb('ceiling', events)) {
+        die('ceiling', events);
+        return { state, events };
+      }
+      pepe.y = 0 - reach.above;
+      pepe.vel = 0;
+    }
+
+    // Cloud spawning and updates
+    state.cloudSpawnTimer += 1;
+    const nextSpawnTime = CLOUD_SPAWN_INTERVAL + (cloudRandom() * CLOUD_SPAWN_VARIANCE - CLOUD_SPAWN_VARIANCE / 2);
+
+    if (state.cloudSpawnTimer >= nextSpawnTime) {
+      // Spawn a new cloud at a random position in upper half, at least 100px above ground
+      const maxCloudY = GROUND_Y - 100 - CLOUD_SIZE; // At least 100px above ground
+      const cloudY = cloudRandom() * (maxCloudY - 50) + 50; // From Y=50 to maxCloudY
+
+      state.clouds.push({
+        x: V_WIDTH + 100, // Start off-screen to the right
+        y: cloudY,
+        speed: CLOUD_SPEED + (cloudRandom() * 0.4 - 0.2) // Slight speed variation
+      });
+      state.cloudSpawnTimer = 0;
+    }
+
+    state.clouds.forEach((cloud) => {
+      cloud.x -= cloud.speed * timeScale;
+    });
+
+    // Remove clouds that have moved off-screen
+    state.clouds = state.clouds.filter(cloud => cloud.x > -200);
+
+    // Pipe updates - synchronized with shared scroll position
+    const pipes = state.pipes;
+    pipes.forEach((pipe) => {
+      pipe.x -= scrollStep;
+    });
+    state.powerUps.forEach((item) => {
+      item.x -= scrollStep;
+    });
+    state.coins.forEach((coin) => {
+      coin.x -= scrollStep;
+    });
+
+    pipes.forEach((pipe) => {
+      // Score - check if plushpepe has passed through pipe
+      if (!pipe.scored && pipe.x < PLUSHPEPE_X - PLUSHPEPE_HITBOX / 2) {
+        pipe.scored = true;
+        state.score += state.effects.double > 0 ? 2 : 1;
+        events.push({ type: 'score', frame: state.frame, score: state.score });
+
+        const tier = getDifficultyTier(state.score, tiers);
+        if (tier !== state.tier) {
+          state.tier = tier;
+          events.push({ type: 'tier', frame: state.frame, tier });
+        }
+      }
+
+      // Recycle pipe - respawn one tier-spacing behind the rightmost pipe with the current tier's gap
+      if (pipe.x + PIPE_WIDTH < 0) {
+        const current = getDifficulty(state.score, tiers);
+
+        // Find the rightmost pipe to get its gap Y for constrained generation
+        const rightmostPipe = pipes.reduce((rightmost, p) =>
+          p.x > rightmost.x ? p : rightmost, pipes[0]);
+
+        pipe.x = rightmostPipe.x + current.pipeInterval;
+        const gap = randomGap(rightmostPipe.gapY, courseRandom, current); // Use constrained gap generation
+        pipe.gapY = gap.gapY;
+        pipe.variation = gap.variation;
+        pipe.gap = current.pipeGap;
+        pipe.scored = false;
+        state.coins.push(...createCoins(rightmostPipe, pipe, coinRandom));
+
+        const item = spawnPowerUp(pipe, state.score, powerUpRandom, powerUps);
+        if (item) state.powerUps.push(item);
+      }
+    });
+
+    // Power-up pickup - the plain square hitbox, generous enough whatever the collision mode
+    const hitbox = getPlushPepeHitbox(pepe.y);
+    collectPowerUps(state.powerUps, hitbox, state.effects, powerUps).forEach((type) => {
+      events.push({ type: 'powerup', frame: state.frame, powerUp: type });
+    });
+    state.powerUps = state.powerUps.filter((item) => isPowerUpLive(item, powerUps));
+
+    // Coin pickup
+    state.coins = state.coins.filter((coin) => {
+      if (boundsOverlap(hitbox, getCoinBounds(coin))) {
+        state.coinsCollected += coin.value;
+        events.push({ type: 'coin', frame: state.frame, value: coin.value, coins: state.coinsCollected });
+        return false;
+      }
+      return coin.x + COIN_SIZE / 2 > 0; // drop coins that scrolled off the left edge
+    });
+
+    // Collision with pipes - rotated PlushPepe shape against shaft, cap and rim
+    // After a shield hit the pipe it absorbed is ignored until PlushPepe is clear of it
+    const shape = getPlushPepeShape(pepe, collisionMode);
+    const hit = pipes.map((pipe) => getPipeCollision(shape, pipe, collisionMode)).find(Boolean) || null;
+    if (!hit) {
+      state.shieldGrace = false;
+    } else if (!state.shieldGrace) {
+      if (!absorb(hit, events)) {
+        die(hit, events);
+        return { state, events };
+      }
+      state.shieldGrace = true;
+    }
+
+    state.frame++;
+    return { state, events };
+  }
+
+  function reset(nextSeed = randomSeed(), nextPreset = config.id, nextCollision = collisionMode) {
+    config = applyTuning(getPreset(nextPreset), tuningInEffect);
+    tiers = getPresetTiers(config);
+    collisionMode = nextCollision;
+    // Clouds draw from their own stream so they never shift the course
+    courseRandom = createRng(nextSeed);
+    cloudRandom = createRng(deriveSeed(nextSeed, 'clouds'));
+    powerUpRandom = createRng(deriveSeed(nextSeed, 'powerups'));
+    coinRandom = createRng(deriveSeed(nextSeed, 'coins'));
+    state = createWorld(nextSeed, courseRandom, config, collisionMode);
+    // Coins into the second and third gap - the first one is approached from the start line
+    const [first, second, third] = state.pipes;
+    state.coins = [...createCoins(first, second, coinRandom), ...createCoins(second, third, coinRandom)];
+    return state;
+  }
+
+  function setTuning(nextTuning) {
+    tuningInEffect = nextTuning;
+    config = applyTuning(getPreset(config.id), tuningInEffect);
+    tiers = getPresetTiers(config);
+    if (config.tuned) state.tuned = true;
+  }
+
+  config = getPreset(preset);
+  collisionMode = collision;
+  reset(seed);
+
+  return {
+    step,
+    reset,
+    setTuning,
+    getState: () => state
+  };
+}
@@ -0,0 +1,42 @@
+import { createSimulation } from './simulation.js';
+import { runReplay, encodeReplay, decodeReplay } from './replay.js';
+import { SEED, FLAPS, playRun } from './testRuns.js';
+
+describe('simulation', () => {
+  test('a fixed seed and flap list always play out the same run', () => {
+    const { state, death } = playRun(FLAPS);
+    expect(death).toEqual({ type: 'death', frame: 600, cause: 'ground', score: 6 });
+    expect(state.score).toBe(6);
+    expect(state.deathCause).toBe('ground');
+    expect(playRun(FLAPS).state).toEqual(state);
+  });
+
+  test('the same seed builds the same course', () => {
+    const a = createSimulation({ seed: SEED }).getState().pipes;
+    const b = createSimulation({ seed: SEED }).getState().pipes;
+    expect(b).toEqual(a);
+  });
+
+  test('steps after death are no-ops', () => {
+    const sim = createSimulation({ seed: SEED });
+    while (sim.getState().alive) sim.step();
+    const frame = sim.getState().frame;
+    expect(sim.step({ flap: true }).events).toEqual([]);
+    expect(sim.getState().frame).toBe(frame);
+  });
+});
+
+describe('replay', () => {
+  test('records the flaps and reproduces the score and death frame', () => {
+    const { replay } = playRun(FLAPS);
+    expect(replay.flaps).toEqual(FLAPS);
+    expect(replay.score).toBe(6);
+    expect(replay.frames).toBe(600);
+    expect(runReplay(replay)).toEqual({ score: 6, frames: 600, cause: 'ground', finished: true });
+  });
+
+  test('survives an encode / decode round trip', () => {
+    const { replay } = playRun(FLAPS);
+    expect(runReplay(decodeReplay(encodeReplay(replay)))).toEqual(runReplay(replay));
+  });
+});
@@ -0,0 +1,76 @@
+/* ====== Lifetime player statistics ======
+ * Pure helpers over the stats record kept in the save:
+ *   { games, pipes, flaps, scores: { [score]: runs }, deaths: { [cause]: runs }, longestSessionMs }
+ * Scores are kept as exact counts per value, so average, median and the histogram
+ * are all derived rather than stored.
+ */
+
+// Ways a run ends - the death branches of the simulation step
+export const DEATH_CAUSES = ['ground', 'ceiling', 'topPipe', 'bottomPipe'];
+
+export function createStats() {
+  return { games: 0, pipes: 0, flaps: 0, scores: {}, deaths: {}, longestSessionMs: 0 };
+}
+
+/* ====== Helper: fold one finished run into the stats ======
+ * run: { score, pipes, flaps, cause, sessionMs } - sessionMs is how long the current
+ * session has lasted when this run ended.
+ */
+export function addRun(stats, run) {
+  return {
+    games: stats.games + 1,
+    pipes: stats.pipes + run.pipes,
+    flaps: stats.flaps + run.flaps,
+    scores: { ...stats.scores, [run.score]: (stats.scores[run.score] || 0) + 1 },
+    deaths: { ...stats.deaths, [run.cause]: (stats.deaths[run.cause] || 0) + 1 },
+    longestSessionMs: Math.max(stats.longestSessionMs, run.sessionMs)
+  };
+}
+
+// [[score, runs], ...] in ascending score order
+function getScoreCounts(stats) {
+  return Object.entries(stats.scores)
+    .map(([score, runs]) => [Number(score), runs])
+    .sort((a, b) => a[0] - b[0]);
+}
+
+// Over the score counts rather than `games` - the two can drift apart after a cloud merge
+export function getAverageScore(stats) {
+  const counts = getScoreCounts(stats);
+  const games = counts.reduce((sum, [, runs]) => sum + runs, 0);
+  if (games === 0) return 0;
+  return counts.reduce((sum, [score, runs]) => sum + score * runs, 0) / games;
+}
+
+export function getMedianScore(stats) {
+  const counts = getScoreCounts(stats);
+  const games = counts.reduce((sum, [, runs]) => sum + runs, 0);
+  if (games === 0) return 0;
+
+  // Score at a 0-based position of the sorted run list
+  const scoreAt = (position) => {
+    let seen = 0;
+    const entry = counts.find(([, runs]) => {
+      seen += runs;
+      return seen > position;
+    });
+    return entry[0];
+  };
+  const middle = Math.floor(games / 2);
+  return games % 2 === 1 ? scoreAt(middle) : (scoreAt(middle - 1) + scoreAt(middle)) / 2;
+}
+
+/* ====== Helper: runs per score bucket - the last bucket is open-ended ======
+ * Returns [{ from, to, runs }] with `to` null on the last bucket.
+ */
+export function getScoreHistogram(stats, bucketSize = 5, bucketCount = 9) {
+  const buckets = Array.from({ length: bucketCount }, (_, i) => ({
+    from: i * bucketSize,
+    to: i === bucketCount - 1 ? null : (i + 1) * bucketSize - 1,
+    runs: 0
+  }));
+  getScoreCounts(stats).forEach(([score, runs]) => {
+    buckets[Math.min(bucketCount - 1, Math.floor(score / bucketSize))].runs += runs;
+  });
+  return buckets;
+}
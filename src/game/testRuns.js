@@ -0,0 +1,29 @@
+// Recorded runs shared by the simulation and replay verification tests.
+import { createSimulation } from './simulation.js';
+import { createReplay, recordEvents } from './replay.js';
+
+export const SEED = 42;
+
+// A Normal run on seed 42 that clears 6 pipes, then stops flapping and falls to the ground
+export const FLAPS = [0, 28, 59, 91, 122, 163, 194, 225, 239, 269, 300, 326, 355, 387, 428, 459, 490, 504, 536];
+
+// A Normal run on seed 42 that clears 35 pipes and lasts 2010 frames (33.5 s)
+export const LONG_FLAPS = [
+  6, 38, 69, 101, 135, 176, 193, 210, 236, 267, 299, 330, 362, 393, 434, 466, 486, 518, 549, 586, 618, 646,
+  670, 697, 732, 764, 795, 830, 861, 893, 934, 955, 972, 989, 1018, 1050, 1081, 1113, 1141, 1162, 1206, 1245,
+  1276, 1308, 1339, 1370, 1414, 1431, 1456, 1488, 1519, 1536, 1553, 1585, 1616, 1643, 1690, 1722, 1763, 1795,
+  1826, 1843, 1868, 1891, 1923, 1954
+];
+
+// Plays `flaps` on seed 42 until the run ends - returns { state, replay, death }
+export function playRun(flaps, collision = 'forgiving') {
+  const sim = createSimulation({ seed: SEED, preset: 'normal', collision });
+  const replay = createReplay(SEED, 'normal', collision);
+  let death = null;
+  while (sim.getState().alive) {
+    const { events } = sim.step({ flap: flaps.includes(sim.getState().frame) });
+    recordEvents(replay, events);
+    death = events.find((event) => event.type === 'death') || death;
+  }
+  return { state: sim.getState(), replay, death };
+}
@@ -0,0 +1,121 @@
+/* ====== Runtime tuning ======
+ * The numbers designers iterate on and the range each may take. A game config (JSON, see
+ * api/gameConfig.js) or the in-game tuning panel overrides them for the session:
+ *   { "gravity": 0.45, "pipeGap": 170 }
+ * Physics and spawn values retune the Normal preset - the one constants.js describes, also
+ * used by the Daily Challenge. Its later tiers move by the same amount as the first, so the
+ * difficulty ramp is kept. The other presets carry their own numbers in presets.js.
+ *
+ * Leaderboards and replays only know the built-in values, so a run on a tuned preset is
+ * marked `tuned` (see simulation.js) and treated as a playtest.
+ */
+import {
+  GRAVITY,
+  JUMP_VELOCITY,
+  MAX_FALL_SPEED,
+  SCROLL_SPEED,
+  PIPE_GAP,
+  PIPE_INTERVAL,
+  FART_DURATION
+} from './constants.js';
+import { DEFAULT_PRESET_ID } from './presets.js';
+
+export const TUNED_PRESET_ID = DEFAULT_PRESET_ID;
+
+// `simulated` values change the course or physics; the rest are cosmetic and never mark a run tuned.
+// pipeInterval stays above 230 so three pipes always cover the screen (no pipe pops in)
+export const TUNING_PARAMS = [
+  { key: 'gravity', label: 'Gravity', min: 0.1, max: 1, step: 0.01, simulated: true },
+  { key: 'jumpVelocity', label: 'Jump velocity', min: -12, max: -2, step: 0.1, simulated: true },
+  { key: 'maxFallSpeed', label: 'Max fall speed', min: 4, max: 20, step: 0.5, simulated: true },
+  { key: 'scrollSpeed', label: 'Scroll speed', min: 1.5, max: 8, step: 0.025, simulated: true },
+  { key: 'pipeGap', label: 'Pipe gap', min: 110, max: 300, step: 2.5, simulated: true },
+  { key: 'pipeInterval', label: 'Pipe spacing', min: 230, max: 600, step: 5, simulated: true },
+  { key: 'fartDuration', label: 'Fart frames', min: 12, max: 120, step: 1, simulated: false }
+];
+
+export const DEFAULT_TUNING = {
+  gravity: GRAVITY,
+  jumpVelocity: JUMP_VELOCITY,
+  maxFallSpeed: MAX_FALL_SPEED,
+  scrollSpeed: SCROLL_SPEED,
+  pipeGap: PIPE_GAP,
+  pipeInterval: PIPE_INTERVAL,
+  fartDuration: FART_DURATION
+};
+
+function getParam(key) {
+  return TUNING_PARAMS.find((param) => param.key === key) || null;
+}
+
+function clampToParam(param, value) {
+  return Math.max(param.min, Math.min(param.max, value));
+}
+
+/* ====== Helper: validate a parsed config ======
+ * Returns { overrides, errors } - overrides holds the valid values only; unknown keys,
+ * non-numbers and out-of-range values are listed in errors and left at their defaults.
+ */
+export function parseTuning(raw) {
+  const overrides = {};
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { overrides, errors: ['Config must be a JSON object'] };
+  }
+
+  Object.entries(raw).forEach(([key, value]) => {
+    const param = getParam(key);
+    if (!param) {
+      errors.push(`Unknown setting "${key}"`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(`${key} must be a number`);
+    } else if (value < param.min || value > param.max) {
+      errors.push(`${key} ${value} is outside ${param.min}..${param.max}`);
+    } else {
+      overrides[key] = value;
+    }
+  });
+  return { overrides, errors };
+}
+
+/* ====== Helper: slider position -> a value on the param's step, inside its range ====== */
+export function snapTuningValue(key, value) {
+  const param = getParam(key);
+  const snapped = param.min + Math.round((value - param.min) / param.step) * param.step;
+  const places = (String(param.step).split('.')[1] || '').length;
+  return Number(clampToParam(param, snapped).toFixed(places));
+}
+
+// Keys whose value differs from the built-in one and changes the simulation
+export function getSimulatedChanges(tuning) {
+  if (!tuning) return [];
+  return TUNING_PARAMS
+    .filter((param) => param.simulated && param.key in tuning && tuning[param.key] !== DEFAULT_TUNING[param.key])
+    .map((param) => param.key);
+}
+
+/* ====== Helper: a preset with the tuning applied ======
+ * Returns the preset itself when it is not the tuned one or nothing simulated changed,
+ * otherwise a copy marked `tuned: true`. Later tiers keep their offset from the first,
+ * clamped to the param's range.
+ */
+export function applyTuning(preset, tuning) {
+  if (preset.id !== TUNED_PRESET_ID || getSimulatedChanges(tuning).length === 0) return preset;
+
+  const value = (key) => (key in tuning ? tuning[key] : DEFAULT_TUNING[key]);
+  const first = preset.tiers[0];
+  const shift = (tier, key) => clampToParam(getParam(key), value(key) + tier[key] - first[key]);
+  return {
+    ...preset,
+    gravity: value('gravity'),
+    jumpVelocity: value('jumpVelocity'),
+    maxFallSpeed: value('maxFallSpeed'),
+    tiers: preset.tiers.map((tier) => ({
+      ...tier,
+      scrollSpeed: shift(tier, 'scrollSpeed'),
+      pipeGap: shift(tier, 'pipeGap'),
+      pipeInterval: shift(tier, 'pipeInterval')
+    })),
+    tuned: true
+  };
+}
@@ -0,0 +1,102 @@
+import { verifySubmission } from '../../server/verifyReplay.mjs';
+import { encodeReplay } from './replay.js';
+import { getUtcDayKey } from './random.js';
+import { FLAPS, LONG_FLAPS, playRun } from './testRuns.js';
+
+const NOW = Date.UTC(2026, 9, 19, 12);
+const OPENED_A_MINUTE_AGO = { authDate: NOW / 1000 - 60, now: NOW };
+
+describe('accepted', () => {
+  test('a replay that reaches the claimed score', () => {
+    const { replay } = playRun(FLAPS);
+    expect(verifySubmission({ board: 'normal', score: 6, replay }, OPENED_A_MINUTE_AGO)).toEqual({
+      verdict: 'accepted',
+      reasons: [],
+      score: 6
+    });
+    expect(verifySubmission({ board: 'normal', score: 6, replay: encodeReplay(replay) }, OPENED_A_MINUTE_AGO).verdict).toBe('accepted');
+  });
+
+  test('a strict collision run on the strict board', () => {
+    const { replay } = playRun(FLAPS, 'strict');
+    expect(verifySubmission({ board: 'normal-strict', score: 6, replay }, OPENED_A_MINUTE_AGO).verdict).toBe('accepted');
+  });
+});
+
+describe('rejected', () => {
+  const { replay } = playRun(FLAPS);
+
+  test('a run played on another preset', () => {
+    expect(verifySubmission({ board: 'hard', score: 6, replay }, OPENED_A_MINUTE_AGO)).toEqual({
+      verdict: 'rejected',
+      reasons: ['Replay preset normal does not match board hard'],
+      score: null
+    });
+  });
+
+  test('a run on another seed than the Daily Challenge', () => {
+    const board = `daily-${getUtcDayKey(new Date(NOW))}`;
+    expect(verifySubmission({ board, score: 6, replay }, OPENED_A_MINUTE_AGO).reasons).toEqual([
+      'Replay seed is not the Daily Challenge course'
+    ]);
+    expect(verifySubmission({ board: 'daily-2026-10-01', score: 6, replay }, OPENED_A_MINUTE_AGO).reasons).toEqual([
+      'Daily Challenge 2026-10-01 is closed'
+    ]);
+  });
+
+  test('a collision mode the board does not take', () => {
+    const strict = playRun(FLAPS, 'strict').replay;
+    expect(verifySubmission({ board: 'normal', score: 6, replay: strict }, OPENED_A_MINUTE_AGO).reasons).toEqual([
+      'Replay collision mode strict does not match board normal'
+    ]);
+    expect(verifySubmission({ board: 'normal-strict', score: 6, replay }, OPENED_A_MINUTE_AGO).reasons).toEqual([
+      'Replay collision mode forgiving does not match board normal-strict'
+    ]);
+  });
+
+  test('a score the replay never reaches', () => {
+    expect(verifySubmission({ board: 'normal', score: 7, replay }, OPENED_A_MINUTE_AGO).reasons).toEqual([
+      'Replay scores 6, not 7'
+    ]);
+  });
+
+  test('a replay longer than its score allows, without simulating it', () => {
+    const padded = { ...replay, flaps: [...replay.flaps, 200000], frames: 200001 };
+    expect(verifySubmission({ board: 'normal', score: 6, replay: padded }, OPENED_A_MINUTE_AGO).reasons).toEqual([
+      'Replay runs longer than a score of 6 allows'
+    ]);
+  });
+});
+
+describe('flagged', () => {
+  test('flaps faster than anyone can tap', () => {
+    // Each flap doubled a frame early - a different run, but a genuine one
+    const { replay, state } = playRun(FLAPS.flatMap((frame) => (frame > 0 ? [frame - 1, frame] : [frame])));
+    expect(verifySubmission({ board: 'normal', score: state.score, replay }, OPENED_A_MINUTE_AGO)).toEqual({
+      verdict: 'flagged',
+      reasons: ['6 flaps came faster than anyone can tap'],
+      score: state.score
+    });
+  });
+
+  test('a run longer than the session it was submitted from', () => {
+    const { replay } = playRun(LONG_FLAPS);
+    const openedJustNow = { authDate: NOW / 1000 - 1, now: NOW };
+    expect(verifySubmission({ board: 'normal', score: 35, replay }, OPENED_A_MINUTE_AGO).verdict).toBe('accepted');
+    expect(verifySubmission({ board: 'normal', score: 35, replay }, openedJustNow)).toEqual({
+      verdict: 'flagged',
+      reasons: ['Run lasts 34s but the app was opened 1s ago'],
+      score: 35
+    });
+  });
+
+  test('a summary or flaps that do not match the playback', () => {
+    const { replay } = playRun(FLAPS);
+    expect(verifySubmission({ board: 'normal', score: 6, replay: { ...replay, flaps: [...replay.flaps, 650] } }, OPENED_A_MINUTE_AGO).reasons).toEqual([
+      'Replay has flaps after the run ended'
+    ]);
+    expect(verifySubmission({ board: 'normal', score: 6, replay: { ...replay, score: 500 } }, OPENED_A_MINUTE_AGO).reasons).toEqual([
+      'Replay summary does not match its own playback'
+    ]);
+  });
+});
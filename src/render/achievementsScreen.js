@@ -0,0 +1,87 @@
+/* ====== Achievements list and unlock toasts ======
+ * The list shows every achievement with a progress bar, unlocked ones highlighted.
+ * Toasts slide down from the top edge while they have frames left.
+ */
+import { ACHIEVEMENTS, getAchievementProgress } from '../achievements/catalog';
+import { drawButton } from './buttons';
+
+const ROW_X = 24;
+const ROW_Y = 190;
+const ROW_W = 528;
+const ROW_H = 80;
+const ROW_STEP = 92;
+const BAR_W = 160;
+
+const TOAST = { x: 40, y: 24, w: 420, h: 84 }; // clear of the pause button
+export const TOAST_FRAMES = 180;  // 3 seconds on screen
+const TOAST_SLIDE_FRAMES = 15;    // slide in / out
+
+export const ACHIEVEMENTS_BACK_BUTTON = { x: 188, y: 860, w: 200, h: 64 };
+
+/* ====== Draw the list screen ====== */
+export function drawAchievementsScreen(ctx, { counters, unlocked, width, height }) {
+  ctx.save();
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.fillRect(0, 0, width, height);
+
+  const doneCount = ACHIEVEMENTS.filter((achievement) => unlocked[achievement.id]).length;
+  ctx.fillStyle = '#fff';
+  ctx.textAlign = 'center';
+  ctx.font = '56px monospace';
+  ctx.fillText('Achievements', width / 2, 110);
+  ctx.font = '24px monospace';
+  ctx.fillText(`${doneCount} / ${ACHIEVEMENTS.length} unlocked`, width / 2, 156);
+
+  ACHIEVEMENTS.forEach((achievement, i) => {
+    const rect = { x: ROW_X, y: ROW_Y + i * ROW_STEP, w: ROW_W, h: ROW_H };
+    const done = Boolean(unlocked[achievement.id]);
+    const progress = getAchievementProgress(achievement, counters);
+    drawButton(ctx, rect, '', { active: done });
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = done ? '#222' : '#fff';
+    ctx.font = 'bold 26px monospace';
+    ctx.fillText(achievement.name, rect.x + 16, rect.y + 26);
+    ctx.font = '20px monospace';
+    ctx.fillText(achievement.description, rect.x + 16, rect.y + 56);
+
+    // Progress bar, or a check once unlocked
+    const barX = rect.x + rect.w - BAR_W - 16;
+    if (done) {
+      ctx.textAlign = 'right';
+      ctx.font = 'bold 26px monospace';
+      ctx.fillText('✓ Done', rect.x + rect.w - 16, rect.y + rect.h / 2);
+    } else {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+      ctx.fillRect(barX, rect.y + 18, BAR_W, 14);
+      ctx.fillStyle = '#7CFC00';
+      ctx.fillRect(barX, rect.y + 18, BAR_W * (progress.value / progress.goal), 14);
+      ctx.fillStyle = '#fff';
+      ctx.textAlign = 'right';
+      ctx.font = '20px monospace';
+      ctx.fillText(`${progress.value} / ${progress.goal}`, barX + BAR_W, rect.y + 56);
+    }
+  });
+
+  drawButton(ctx, ACHIEVEMENTS_BACK_BUTTON, 'Back');
+  ctx.restore();
+}
+
+/* ====== Helper: "Achievement unlocked" toast - framesLeft counts down from TOAST_FRAMES ====== */
+export function drawAchievementToast(ctx, achievement, framesLeft) {
+  const shown = Math.min(TOAST_FRAMES - framesLeft, framesLeft);
+  const slide = Math.min(1, shown / TOAST_SLIDE_FRAMES);
+  const y = TOAST.y - (1 - slide) * (TOAST.y + TOAST.h);
+
+  ctx.save();
+  drawButton(ctx, { ...TOAST, y }, '', { active: true });
+  ctx.fillStyle = '#222';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.font = '20px monospace';
+  ctx.fillText('🏆 Achievement unlocked', TOAST.x + TOAST.w / 2, y + 24);
+  ctx.font = 'bold 28px monospace';
+  ctx.fillText(achievement.name, TOAST.x + TOAST.w / 2, y + 58);
+  ctx.restore();
+}
@@ -0,0 +1,59 @@
+/* ====== Biomes - themed ground, grass and pipe tints that rotate with the score ======
+ * A biome never touches tile geometry: each layer's sprite is recolored as a whole, so the
+ * ground and grass tiles wrap exactly like the originals and the loops stay seamless.
+ * Switching biome cross-fades the whole layer rather than swapping tiles mid-screen.
+ */
+import { tintImage } from '../cosmetics/skins';
+
+export const BIOME_LENGTH = 30; // points per biome
+
+export const BIOMES = [
+  { id: 'meadow', name: 'Meadow' }, // shipped sprites as-is
+  {
+    id: 'desert',
+    name: 'Desert',
+    ground: { color: '#e0b060', amount: 0.45 },
+    grass: { color: '#d4a017', amount: 0.6 },
+    pipe: { color: '#c2a36b', amount: 0.35 }
+  },
+  {
+    id: 'snow',
+    name: 'Snow',
+    ground: { color: '#e8f4ff', amount: 0.55 },
+    grass: { color: '#ffffff', amount: 0.75 },
+    pipe: { color: '#a0c4e8', amount: 0.35 }
+  }
+];
+
+export function getBiomeIndex(score) {
+  return Math.floor(score / BIOME_LENGTH) % BIOMES.length;
+}
+
+/* ====== Tinted sprite sets, built once per biome and source images ======
+ * get(biome, base) - base is { ground, grass, shaft, cap } (any may still be null while
+ * loading). A new base image (e.g. another pipe skin equipped) rebuilds that layer.
+ */
+export function createBiomeSpriteCache() {
+  const cache = {};
+
+  function tintLayer(biomeId, layer, image, tint) {
+    if (!image || !tint) return image;
+    const key = `${biomeId}:${layer}`;
+    const entry = cache[key];
+    if (entry && entry.source === image) return entry.sprite;
+    const sprite = tintImage(image, tint);
+    cache[key] = { source: image, sprite };
+    return sprite;
+  }
+
+  function get(biome, base) {
+    return {
+      ground: tintLayer(biome.id, 'ground', base.ground, biome.ground),
+      grass: tintLayer(biome.id, 'grass', base.grass, biome.grass),
+      shaft: tintLayer(biome.id, 'shaft', base.shaft, biome.pipe),
+      cap: tintLayer(biome.id, 'cap', base.cap, biome.pipe)
+    };
+  }
+
+  return { get };
+}
@@ -0,0 +1,62 @@
+/* ====== On-canvas buttons ======
+ * Buttons are plain rectangles in virtual canvas coordinates:
+ *   { x, y, w, h }
+ * so the same object drives both drawing and pointer hit-testing.
+ */
+
+// Active-button colors - replaced by the Telegram theme (see telegram/webApp.js)
+const buttonTheme = { accent: '#ffca28', accentText: '#222' };
+
+export function setButtonTheme({ accent, accentText }) {
+  buttonTheme.accent = accent;
+  buttonTheme.accentText = accentText;
+}
+
+/* ====== Helper: pointer event -> virtual canvas coordinates ====== */
+export function toCanvasPoint(canvas, event, vWidth, vHeight) {
+  const rect = canvas.getBoundingClientRect();
+  if (!rect.width || !rect.height) return null;
+  return {
+    x: ((event.clientX - rect.left) / rect.width) * vWidth,
+    y: ((event.clientY - rect.top) / rect.height) * vHeight
+  };
+}
+
+export function hitTest(button, point) {
+  if (!point) return false;
+  return (
+    point.x >= button.x &&
+    point.x <= button.x + button.w &&
+    point.y >= button.y &&
+    point.y <= button.y + button.h
+  );
+}
+
+/* ====== Helper: rounded pill button with centered label ====== */
+export function drawButton(ctx, button, label, { active = false, font = '28px monospace' } = {}) {
+  const radius = Math.min(16, button.h / 2);
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.moveTo(button.x + radius, button.y);
+  ctx.arcTo(button.x + button.w, button.y, button.x + button.w, button.y + button.h, radius);
+  ctx.arcTo(button.x + button.w, button.y + button.h, button.x, button.y + button.h, radius);
+  ctx.arcTo(button.x, button.y + button.h, button.x, button.y, radius);
+  ctx.arcTo(button.x, button.y, button.x + button.w, button.y, radius);
+  ctx.closePath();
+
+  ctx.fillStyle = active ? buttonTheme.accent : 'rgba(0, 0, 0, 0.45)';
+  ctx.globalAlpha = active ? 0.9 : 1;
+  ctx.fill();
+  ctx.globalAlpha = 1;
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = '#fff';
+  ctx.stroke();
+
+  ctx.fillStyle = active ? buttonTheme.accentText : '#fff';
+  ctx.font = font;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, button.x + button.w / 2, button.y + button.h / 2);
+  ctx.restore();
+}
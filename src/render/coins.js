@@ -0,0 +1,36 @@
+/* ====== Coin drawing - vector only, no sprite needed ====== */
+
+/* ====== Helper: one coin centered on (x, y); lip coins get a brighter rim ====== */
+export function drawCoin(ctx, x, y, size, isBonus = false) {
+  const r = size / 2;
+  ctx.save();
+  ctx.fillStyle = isBonus ? '#ffe082' : '#ffca28';
+  ctx.strokeStyle = isBonus ? '#ff6f00' : '#b8860b';
+  ctx.lineWidth = isBonus ? 4 : 3;
+  ctx.beginPath();
+  ctx.arc(x, y, r - ctx.lineWidth / 2, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+
+  // Inner ring and shine
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.arc(x, y, r * 0.55, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+  ctx.fillRect(Math.round(x - r * 0.35), Math.round(y - r * 0.45), Math.max(2, Math.round(r * 0.2)), Math.max(3, Math.round(r * 0.4)));
+  ctx.restore();
+}
+
+/* ====== Helper: run coin counter, right-aligned under the pause button ====== */
+export function drawCoinCounter(ctx, coins, right, y) {
+  ctx.save();
+  ctx.font = '32px monospace';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = '#fff';
+  ctx.fillText(String(coins), right, y);
+  const textWidth = ctx.measureText(String(coins)).width;
+  drawCoin(ctx, right - textWidth - 24, y, 32);
+  ctx.restore();
+}
@@ -0,0 +1,103 @@
+/* ====== Shop and equip screens ======
+ * Both list one slot of the catalog at a time with slot tabs on top:
+ *   shop  - every item with its price / milestone, tap to buy
+ *   equip - owned items only, tap to wear
+ * Layout rects are in virtual canvas coordinates and double as hit areas.
+ */
+import { COSMETIC_SLOTS, SLOT_LABELS, describeUnlock } from '../cosmetics/catalog';
+import { drawButton, hitTest } from './buttons';
+import { drawCoinCounter } from './coins';
+
+const TAB_Y = 220;
+const TAB_W = 160;
+const ROW_X = 24;
+const ROW_Y = 300;
+const ROW_W = 528;
+const ROW_H = 96;
+const ROW_STEP = 110;
+const PREVIEW_SIZE = 72;
+
+export const COSMETICS_BACK_BUTTON = { x: 188, y: 860, w: 200, h: 64 };
+
+function getTabRect(index) {
+  return { x: 24 + index * (TAB_W + 16), y: TAB_Y, w: TAB_W, h: 56 };
+}
+
+function getRowRect(index) {
+  return { x: ROW_X, y: ROW_Y + index * ROW_STEP, w: ROW_W, h: ROW_H };
+}
+
+/* ====== Hit testing ====== */
+export function getCosmeticsTabAt(point) {
+  const index = COSMETIC_SLOTS.findIndex((slot, i) => hitTest(getTabRect(i), point));
+  return index === -1 ? null : COSMETIC_SLOTS[index];
+}
+
+export function getCosmeticsRowAt(point, rowCount) {
+  for (let i = 0; i < rowCount; i++) {
+    if (hitTest(getRowRect(i), point)) return i;
+  }
+  return null;
+}
+
+/* ====== Helper: what the right side of a row says ====== */
+function getRowStatus(mode, row, coins) {
+  if (mode === 'equip') return row.equipped ? { text: 'Equipped', active: true } : { text: 'Equip', active: false };
+  if (row.owned) return { text: row.equipped ? 'Equipped' : 'Owned', active: row.equipped };
+  const affordable = row.item.price && coins >= row.item.price;
+  return { text: describeUnlock(row.item), active: false, dim: !affordable };
+}
+
+/* ====== Draw the whole screen ======
+ * rows: [{ item, owned, equipped }] for the current slot (already filtered for equip mode)
+ * previews: { [itemId]: Image | canvas } - rows without one (still loading) show an empty frame
+ */
+export function drawCosmeticsScreen(ctx, { mode, slot, rows, coins, previews, width, height }) {
+  ctx.save();
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.fillStyle = '#fff';
+  ctx.font = '56px monospace';
+  ctx.textAlign = 'center';
+  ctx.fillText(mode === 'shop' ? 'Shop' : 'Equip', width / 2, 140);
+  drawCoinCounter(ctx, coins, width - 24, 60);
+
+  COSMETIC_SLOTS.forEach((tabSlot, i) => {
+    drawButton(ctx, getTabRect(i), SLOT_LABELS[tabSlot], { active: tabSlot === slot, font: '22px monospace' });
+  });
+
+  rows.forEach((row, i) => {
+    const rect = getRowRect(i);
+    const status = getRowStatus(mode, row, coins);
+    drawButton(ctx, rect, '');
+
+    // Preview
+    const preview = previews[row.item.id];
+    const previewX = rect.x + 12;
+    const previewY = rect.y + (rect.h - PREVIEW_SIZE) / 2;
+    if (preview) {
+      const scale = Math.min(PREVIEW_SIZE / preview.width, PREVIEW_SIZE / preview.height);
+      const w = preview.width * scale;
+      const h = preview.height * scale;
+      ctx.drawImage(preview, previewX + (PREVIEW_SIZE - w) / 2, previewY + (PREVIEW_SIZE - h) / 2, w, h);
+    } else {
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+      ctx.strokeRect(previewX, previewY, PREVIEW_SIZE, PREVIEW_SIZE);
+    }
+
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#fff';
+    ctx.font = '26px monospace';
+    ctx.fillText(row.item.name, previewX + PREVIEW_SIZE + 16, rect.y + rect.h / 2);
+
+    ctx.textAlign = 'right';
+    ctx.font = '22px monospace';
+    ctx.fillStyle = status.active ? '#ffca28' : status.dim ? 'rgba(255, 255, 255, 0.45)' : '#7CFC00';
+    ctx.fillText(status.text, rect.x + rect.w - 16, rect.y + rect.h / 2);
+  });
+
+  drawButton(ctx, COSMETICS_BACK_BUTTON, 'Back');
+  ctx.restore();
+}
@@ -0,0 +1,191 @@
+/* ====== Developer debug overlay ======
+ * Switched on with ?debug=1 or Ctrl+Shift+D (see GameCanvas). Draws what the simulation
+ * actually collides with - PlushPepe's shape for the run's collision mode, the pipe shapes,
+ * the box bounds from getPipeCollisionBounds and each gap with the randomGapY variation
+ * that placed it - plus a readout panel with the game state, PlushPepe's velocity and
+ * rotation and a frame-time graph.
+ */
+import { PLUSHPEPE_X, PIPE_WIDTH, PIPE_GAP } from '../game/constants';
+import {
+  LEGACY_COLLISION_MODE,
+  getPlushPepeShape,
+  getPlushPepeHitbox,
+  getPipeShapes,
+  getPipeCollisionBounds
+} from '../game/collision';
+
+// Slow-motion steps cycled with [ and ] - fraction of real time fed to the physics
+export const DEBUG_SPEEDS = [1, 0.5, 0.25, 0.1];
+
+const FRAME_HISTORY = 120; // frames kept for the graph (2 seconds at 60fps)
+const TARGET_FRAME_MS = 1000 / 60;
+
+const PANEL = { x: 8, y: 8, w: 264, lineHeight: 20 };
+const GRAPH_HEIGHT = 56;
+const GRAPH_MAX_MS = 50; // taller frames are clipped to the top of the graph
+
+const COLORS = {
+  shape: '#ff1744',     // collision shapes for the run's mode
+  bounds: '#ff9100',    // getPipeCollisionBounds / pickup hitbox
+  gap: '#ffea00',
+  nextGap: '#76ff03',   // the gap PlushPepe is heading for
+  text: '#fff',
+  slowFrame: '#ff5252'
+};
+
+export function isDebugRequested(search = window.location.search) {
+  return new URLSearchParams(search).get('debug') === '1';
+}
+
+/* ====== Helper: rolling frame times for the FPS graph ====== */
+export function createFrameMonitor(size = FRAME_HISTORY) {
+  const samples = []; // ms between animation frames, oldest first
+
+  return {
+    record(ms) {
+      samples.push(ms);
+      if (samples.length > size) samples.shift();
+    },
+    getSamples() {
+      return samples;
+    },
+    getFps() {
+      if (samples.length === 0) return 0;
+      const average = samples.reduce((sum, ms) => sum + ms, 0) / samples.length;
+      return average > 0 ? 1000 / average : 0;
+    }
+  };
+}
+
+function strokeBounds(ctx, bounds) {
+  ctx.strokeRect(bounds.left, bounds.top, bounds.right - bounds.left, bounds.bottom - bounds.top);
+}
+
+function strokePolygon(ctx, points) {
+  ctx.beginPath();
+  points.forEach((point, i) => (i === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+  ctx.closePath();
+  ctx.stroke();
+}
+
+// The unscored pipe nearest PlushPepe - the gap being flown at
+function getNextPipe(pipes) {
+  return pipes
+    .filter((pipe) => !pipe.scored && pipe.x + PIPE_WIDTH > PLUSHPEPE_X)
+    .reduce((next, pipe) => (!next || pipe.x < next.x ? pipe : next), null);
+}
+
+function drawPipeDebug(ctx, pipe, mode, isNext) {
+  const gap = pipe.gap || PIPE_GAP;
+
+  ctx.strokeStyle = COLORS.bounds;
+  ctx.lineWidth = 2;
+  ctx.setLineDash([8, 6]);
+  const bounds = getPipeCollisionBounds(pipe);
+  strokeBounds(ctx, bounds.topPipe);
+  strokeBounds(ctx, bounds.bottomPipe);
+  ctx.setLineDash([]);
+
+  if (mode !== LEGACY_COLLISION_MODE) {
+    const shapes = getPipeShapes(pipe, mode);
+    ctx.strokeStyle = COLORS.shape;
+    [...shapes.topPipe, ...shapes.bottomPipe].forEach((rect) => strokeBounds(ctx, rect));
+  }
+
+  ctx.strokeStyle = isNext ? COLORS.nextGap : COLORS.gap;
+  ctx.lineWidth = isNext ? 3 : 2;
+  ctx.strokeRect(pipe.x, pipe.gapY, PIPE_WIDTH, gap);
+
+  ctx.fillStyle = ctx.strokeStyle;
+  ctx.font = '16px monospace';
+  ctx.textAlign = 'center';
+  ctx.fillText(pipe.variation || '?', pipe.x + PIPE_WIDTH / 2, pipe.gapY + gap / 2 - 6);
+  ctx.fillText(`y${pipe.gapY} g${gap}`, pipe.x + PIPE_WIDTH / 2, pipe.gapY + gap / 2 + 14);
+}
+
+function drawFrameGraph(ctx, frames, x, y, w) {
+  const samples = frames.getSamples();
+  const barWidth = w / FRAME_HISTORY;
+  const toHeight = (ms) => (Math.min(ms, GRAPH_MAX_MS) / GRAPH_MAX_MS) * GRAPH_HEIGHT;
+
+  samples.forEach((ms, i) => {
+    ctx.fillStyle = ms > TARGET_FRAME_MS * 1.5 ? COLORS.slowFrame : COLORS.nextGap;
+    const h = toHeight(ms);
+    ctx.fillRect(x + i * barWidth, y + GRAPH_HEIGHT - h, Math.max(1, barWidth - 0.5), h);
+  });
+
+  // 60fps and 30fps reference lines
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+  ctx.lineWidth = 1;
+  [TARGET_FRAME_MS, TARGET_FRAME_MS * 2].forEach((ms) => {
+    const lineY = Math.round(y + GRAPH_HEIGHT - toHeight(ms)) + 0.5;
+    ctx.beginPath();
+    ctx.moveTo(x, lineY);
+    ctx.lineTo(x + w, lineY);
+    ctx.stroke();
+  });
+}
+
+function drawPanel(ctx, { world, gameState, frames, speed, frozen }) {
+  const pepe = world.plushpepe;
+  const next = getNextPipe(world.pipes);
+  const samples = frames.getSamples();
+  const lastMs = samples.length > 0 ? samples[samples.length - 1] : 0;
+  const worstMs = samples.length > 0 ? Math.max(...samples) : 0;
+
+  const lines = [
+    `state  ${gameState}${frozen ? ' (frozen)' : ''}`,
+    `frame  ${world.frame}  score ${world.score}`,
+    `tier   ${world.tier + 1}  ${world.preset}${world.tuned ? ' (tuned)' : ''}`,
+    `hits   ${world.collision}`,
+    `vel    ${pepe.vel.toFixed(2)}`,
+    `rot    ${pepe.rot.toFixed(1)}°`,
+    `y      ${pepe.y.toFixed(1)}`,
+    next ? `gap    ${next.variation || '?'} y${next.gapY} g${next.gap || PIPE_GAP}` : 'gap    -',
+    `speed  ${speed}x`,
+    `fps    ${frames.getFps().toFixed(1)}  ${lastMs.toFixed(1)}ms (max ${worstMs.toFixed(0)})`,
+    ', freeze  . step',
+    '[ ] speed  T tune'
+  ];
+
+  const graphY = PANEL.y + 10 + lines.length * PANEL.lineHeight;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.65)';
+  ctx.fillRect(PANEL.x, PANEL.y, PANEL.w, graphY - PANEL.y + GRAPH_HEIGHT + 10);
+
+  ctx.fillStyle = COLORS.text;
+  ctx.font = '15px monospace';
+  ctx.textAlign = 'left';
+  lines.forEach((line, i) => ctx.fillText(line, PANEL.x + 8, PANEL.y + 22 + i * PANEL.lineHeight));
+
+  drawFrameGraph(ctx, frames, PANEL.x + 8, graphY, PANEL.w - 16);
+}
+
+/* ====== Render ======
+ * pepeY / pepeRot / scrollLag: the interpolated values the sprites were drawn with, so the
+ * outlines sit on the sprites between physics steps.
+ */
+export function drawDebugOverlay(ctx, { world, gameState, pepeY, pepeRot, scrollLag, frames, speed, frozen }) {
+  const mode = world.collision;
+
+  ctx.save();
+  ctx.translate(scrollLag, 0);
+  const next = getNextPipe(world.pipes);
+  world.pipes.forEach((pipe) => drawPipeDebug(ctx, pipe, mode, pipe === next));
+  ctx.restore();
+
+  ctx.save();
+  ctx.lineWidth = 2;
+  if (mode !== LEGACY_COLLISION_MODE) {
+    ctx.strokeStyle = COLORS.bounds;
+    ctx.setLineDash([4, 4]);
+    strokeBounds(ctx, getPlushPepeHitbox(pepeY)); // pickups still use the square hitbox
+    ctx.setLineDash([]);
+  }
+  ctx.strokeStyle = COLORS.shape;
+  strokePolygon(ctx, getPlushPepeShape({ y: pepeY, rot: pepeRot }, mode).points);
+  ctx.restore();
+
+  ctx.save();
+  drawPanel(ctx, { world, gameState, frames, speed, frozen });
+  ctx.restore();
+}
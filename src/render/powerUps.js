@@ -0,0 +1,114 @@
+/* ====== Power-up drawing ======
+ * No sprites ship for power-ups yet, so each type has a vector fallback. Pass a loaded
+ * Image in `sprites[type]` and it is drawn instead.
+ */
+import { POWERUP_TYPES } from '../game/powerups';
+
+const POWERUP_STYLES = {
+  shield: { fill: '#4fc3f7', stroke: '#01579b', label: 'Shield' },
+  slowmo: { fill: '#b388ff', stroke: '#4a148c', label: 'Slow-mo' },
+  double: { fill: '#ffd54f', stroke: '#e65100', label: 'Double points' }
+};
+
+export function getPowerUpLabel(type) {
+  return POWERUP_STYLES[type].label;
+}
+
+const HUD_X = 24;
+const HUD_Y = 24;
+const HUD_ICON = 40;
+const HUD_BAR_WIDTH = 110;
+const HUD_ROW = 52;
+
+/* ====== Helper: one item - sprite if provided, otherwise a coin-like badge ====== */
+export function drawPowerUp(ctx, type, x, y, size, sprites = {}) {
+  const sprite = sprites[type];
+  if (sprite) {
+    ctx.drawImage(sprite, 0, 0, sprite.width, sprite.height, x, y, size, size);
+    return;
+  }
+
+  const style = POWERUP_STYLES[type];
+  const r = size / 2;
+  const cx = x + r;
+  const cy = y + r;
+
+  ctx.save();
+  ctx.fillStyle = style.fill;
+  ctx.strokeStyle = style.stroke;
+  ctx.lineWidth = Math.max(2, size / 12);
+  ctx.beginPath();
+  ctx.arc(cx, cy, r - ctx.lineWidth / 2, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+
+  ctx.strokeStyle = style.stroke;
+  ctx.fillStyle = style.stroke;
+  if (type === 'shield') {
+    // Heater shield outline
+    ctx.beginPath();
+    ctx.moveTo(cx - r * 0.45, cy - r * 0.45);
+    ctx.lineTo(cx + r * 0.45, cy - r * 0.45);
+    ctx.lineTo(cx + r * 0.45, cy);
+    ctx.quadraticCurveTo(cx + r * 0.4, cy + r * 0.4, cx, cy + r * 0.6);
+    ctx.quadraticCurveTo(cx - r * 0.4, cy + r * 0.4, cx - r * 0.45, cy);
+    ctx.closePath();
+    ctx.stroke();
+  } else if (type === 'slowmo') {
+    // Clock face
+    ctx.beginPath();
+    ctx.moveTo(cx, cy);
+    ctx.lineTo(cx, cy - r * 0.5);
+    ctx.moveTo(cx, cy);
+    ctx.lineTo(cx + r * 0.35, cy + r * 0.1);
+    ctx.stroke();
+  } else {
+    ctx.font = `bold ${Math.round(size * 0.45)}px monospace`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('x2', cx, cy + 1);
+  }
+  ctx.restore();
+}
+
+/* ====== Helper: bubble around PlushPepe while a shield is up - blinks before it runs out ====== */
+export function drawShieldBubble(ctx, cx, cy, radius, framesLeft) {
+  if (framesLeft < 90 && Math.floor(framesLeft / 8) % 2 === 0) return;
+  ctx.save();
+  ctx.strokeStyle = 'rgba(79, 195, 247, 0.9)';
+  ctx.fillStyle = 'rgba(79, 195, 247, 0.18)';
+  ctx.lineWidth = 4;
+  ctx.beginPath();
+  ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+  ctx.restore();
+}
+
+/* ====== Helper: top-left timers - one icon + draining bar per running effect ====== */
+export function drawPowerUpHud(ctx, effects, config, sprites = {}) {
+  let row = 0;
+  POWERUP_TYPES.forEach((type) => {
+    const framesLeft = effects[type];
+    if (framesLeft <= 0) return;
+
+    const y = HUD_Y + row * HUD_ROW;
+    const progress = Math.min(1, framesLeft / config.types[type].duration);
+    drawPowerUp(ctx, type, HUD_X, y, HUD_ICON, sprites);
+
+    ctx.save();
+    const barX = HUD_X + HUD_ICON + 10;
+    const barY = y + HUD_ICON / 2 - 8;
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+    ctx.fillRect(barX, barY, HUD_BAR_WIDTH, 16);
+    ctx.fillStyle = POWERUP_STYLES[type].fill;
+    ctx.fillRect(barX, barY, HUD_BAR_WIDTH * progress, 16);
+    ctx.fillStyle = '#fff';
+    ctx.font = '20px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(`${Math.ceil(framesLeft / 60)}s`, barX + HUD_BAR_WIDTH + 8, y + HUD_ICON / 2);
+    ctx.restore();
+    row++;
+  });
+}
@@ -0,0 +1,128 @@
+/* ====== Game-over results panel ======
+ * Medal on the left, score / best on the right, coins along the bottom:
+ *   ┌──────────────────────────────┐
+ *   │  (medal)   SCORE        12   │
+ *   │  Gold ×3   BEST  [NEW]  12   │
+ *   │     +4 coins · Wallet 57     │
+ *   └──────────────────────────────┘
+ */
+
+export const RESULTS_PANEL = { x: 58, y: 320, w: 460, h: 270 };
+
+const MEDAL_COLORS = {
+  bronze: { light: '#e0a370', dark: '#8c5a2b' },
+  silver: { light: '#f2f2f2', dark: '#9e9e9e' },
+  gold: { light: '#ffe57f', dark: '#c79100' },
+  platinum: { light: '#e0f7fa', dark: '#7fb3c0' }
+};
+
+/* ====== Helper: medal disc with a star, or an empty slot when no medal was earned ====== */
+export function drawMedal(ctx, medal, cx, cy, r) {
+  ctx.save();
+  if (!medal) {
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx.lineWidth = 4;
+    ctx.setLineDash([8, 8]);
+    ctx.beginPath();
+    ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+    return;
+  }
+
+  const colors = MEDAL_COLORS[medal.id];
+  const gradient = ctx.createRadialGradient(cx - r / 3, cy - r / 3, r / 6, cx, cy, r);
+  gradient.addColorStop(0, colors.light);
+  gradient.addColorStop(1, colors.dark);
+  ctx.fillStyle = gradient;
+  ctx.strokeStyle = colors.dark;
+  ctx.lineWidth = 5;
+  ctx.beginPath();
+  ctx.arc(cx, cy, r, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+
+  // Five-point star
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.beginPath();
+  for (let i = 0; i < 10; i++) {
+    const radius = i % 2 === 0 ? r * 0.55 : r * 0.22;
+    const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+    const x = cx + Math.cos(angle) * radius;
+    const y = cy + Math.sin(angle) * radius;
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  }
+  ctx.closePath();
+  ctx.fill();
+  ctx.restore();
+}
+
+/* ====== Helper: little red "NEW" tag ====== */
+function drawNewBadge(ctx, x, y) {
+  ctx.save();
+  ctx.fillStyle = '#e53935';
+  ctx.fillRect(x, y - 16, 64, 32);
+  ctx.fillStyle = '#fff';
+  ctx.font = 'bold 22px monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('NEW', x + 32, y + 1);
+  ctx.restore();
+}
+
+/* ====== Draw the panel ======
+ * result: { score, best, isNewBest, medal, medalCount, coins, wallet }
+ */
+export function drawResultsPanel(ctx, result) {
+  const panel = RESULTS_PANEL;
+  ctx.save();
+
+  ctx.fillStyle = '#ded895';
+  ctx.strokeStyle = '#543847';
+  ctx.lineWidth = 6;
+  ctx.beginPath();
+  ctx.moveTo(panel.x + 20, panel.y);
+  ctx.arcTo(panel.x + panel.w, panel.y, panel.x + panel.w, panel.y + panel.h, 20);
+  ctx.arcTo(panel.x + panel.w, panel.y + panel.h, panel.x, panel.y + panel.h, 20);
+  ctx.arcTo(panel.x, panel.y + panel.h, panel.x, panel.y, 20);
+  ctx.arcTo(panel.x, panel.y, panel.x + panel.w, panel.y, 20);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+
+  // Medal column
+  const medalX = panel.x + 100;
+  const medalY = panel.y + 105;
+  drawMedal(ctx, result.medal, medalX, medalY, 60);
+  ctx.fillStyle = '#543847';
+  ctx.font = '22px monospace';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(result.medal ? `${result.medal.name} ×${result.medalCount}` : 'No medal', medalX, medalY + 88);
+
+  // Score / best column
+  const labelX = panel.x + 200;
+  const valueX = panel.x + panel.w - 30;
+  ctx.textAlign = 'left';
+  ctx.font = '24px monospace';
+  ctx.fillText('SCORE', labelX, panel.y + 60);
+  ctx.fillText('BEST', labelX, panel.y + 150);
+  ctx.textAlign = 'right';
+  ctx.fillStyle = '#fff';
+  ctx.strokeStyle = '#543847';
+  ctx.lineWidth = 5;
+  ctx.font = 'bold 44px monospace';
+  [[result.score, panel.y + 100], [result.best, panel.y + 190]].forEach(([value, y]) => {
+    ctx.strokeText(String(value), valueX, y);
+    ctx.fillText(String(value), valueX, y);
+  });
+  if (result.isNewBest) drawNewBadge(ctx, labelX + 76, panel.y + 150);
+
+  // Coins
+  ctx.fillStyle = '#543847';
+  ctx.font = '22px monospace';
+  ctx.textAlign = 'center';
+  ctx.fillText(`+${result.coins} coins · Wallet ${result.wallet}`, panel.x + panel.w / 2, panel.y + panel.h - 24);
+  ctx.restore();
+}
@@ -0,0 +1,71 @@
+/* ====== Shareable score card ======
+ * Renders a branded card for the run that just ended on an offscreen canvas:
+ * title, PlushPepe, score, best and medal. Uses the sprite the game already
+ * loaded (the equipped skin), so nothing is fetched here.
+ */
+import { drawMedal } from './resultsPanel';
+
+export const SCORE_CARD_WIDTH = 600;
+export const SCORE_CARD_HEIGHT = 800;
+
+function drawOutlinedText(ctx, text, x, y, font, fill = '#fff') {
+  ctx.font = font;
+  ctx.lineWidth = 8;
+  ctx.strokeStyle = '#543847';
+  ctx.strokeText(text, x, y);
+  ctx.fillStyle = fill;
+  ctx.fillText(text, x, y);
+}
+
+/* ====== Render ======
+ * result: { score, best, isNewBest, medal } from the results panel, `mode` the line under
+ * the title (preset label or "Daily Challenge"). Returns the canvas.
+ */
+export function renderScoreCard({ sprite, result, mode }) {
+  const canvas = document.createElement('canvas');
+  canvas.width = SCORE_CARD_WIDTH;
+  canvas.height = SCORE_CARD_HEIGHT;
+  const ctx = canvas.getContext('2d');
+  const cx = SCORE_CARD_WIDTH / 2;
+
+  // Day-sky background with a ground strip
+  const sky = ctx.createLinearGradient(0, 0, 0, SCORE_CARD_HEIGHT);
+  sky.addColorStop(0, '#4ec0ca');
+  sky.addColorStop(1, '#c6f1f5');
+  ctx.fillStyle = sky;
+  ctx.fillRect(0, 0, SCORE_CARD_WIDTH, SCORE_CARD_HEIGHT);
+  ctx.fillStyle = '#ded895';
+  ctx.fillRect(0, SCORE_CARD_HEIGHT - 90, SCORE_CARD_WIDTH, 90);
+  ctx.fillStyle = '#5ee270';
+  ctx.fillRect(0, SCORE_CARD_HEIGHT - 102, SCORE_CARD_WIDTH, 12);
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.lineJoin = 'round';
+  drawOutlinedText(ctx, 'PlushPepe', cx, 70, 'bold 64px monospace');
+  drawOutlinedText(ctx, mode, cx, 130, '28px monospace');
+
+  if (sprite) {
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    ctx.drawImage(sprite, 0, 0, sprite.width, sprite.height, cx - 90, 170, 180, 180);
+  }
+
+  // Score block
+  drawOutlinedText(ctx, 'SCORE', cx, 395, '30px monospace');
+  drawOutlinedText(ctx, String(result.score), cx, 460, 'bold 96px monospace', result.isNewBest ? '#ffca28' : '#fff');
+  drawOutlinedText(ctx, result.isNewBest ? 'NEW BEST!' : `BEST ${result.best}`, cx, 530, '32px monospace');
+
+  // Medal, or nothing below bronze
+  if (result.medal) {
+    drawMedal(ctx, result.medal, cx - 120, 620, 44);
+    ctx.textAlign = 'left';
+    drawOutlinedText(ctx, `${result.medal.name} medal`, cx - 60, 620, '30px monospace');
+    ctx.textAlign = 'center';
+  }
+
+  ctx.fillStyle = '#543847';
+  ctx.font = '24px monospace';
+  ctx.fillText('Can you beat it?', cx, SCORE_CARD_HEIGHT - 45);
+  return canvas;
+}
@@ -0,0 +1,98 @@
+/* ====== Sky - canvas gradient that runs dawn → day → dusk → night with the score ======
+ * Keyframes sit at score positions inside one SKY_CYCLE; colors between two keyframes are
+ * blended, and the cycle wraps back to dawn. `night` (0..1) fades the stars and moon in.
+ */
+import { createRng } from '../game/random';
+
+export const SKY_CYCLE = 80; // points for a full day
+
+const SKY_KEYFRAMES = [
+  { at: 0,  top: '#4a5d8a', bottom: '#f6b48f', night: 0.15 }, // dawn
+  { at: 8,  top: '#4aa8d8', bottom: '#70c5ce', night: 0 },    // day (the old CSS sky)
+  { at: 35, top: '#4aa8d8', bottom: '#70c5ce', night: 0 },
+  { at: 45, top: '#2e3a6b', bottom: '#f08a5d', night: 0.3 },  // dusk
+  { at: 55, top: '#0b1030', bottom: '#1f2a55', night: 1 },    // night
+  { at: 72, top: '#0b1030', bottom: '#1f2a55', night: 1 },
+  { at: 80, top: '#4a5d8a', bottom: '#f6b48f', night: 0.15 }  // back to dawn
+];
+
+const STAR_COUNT = 70;
+const MOON = { x: 410, y: 250, r: 38 };
+
+/* ====== Helper: '#rrggbb' blend ====== */
+function mixColor(a, b, t) {
+  const from = parseInt(a.slice(1), 16);
+  const to = parseInt(b.slice(1), 16);
+  const channel = (shift) => Math.round(((from >> shift) & 255) + ((((to >> shift) & 255) - ((from >> shift) & 255)) * t));
+  return `rgb(${channel(16)}, ${channel(8)}, ${channel(0)})`;
+}
+
+// `score` may be fractional - the renderer eases it for smooth fades
+export function getSkyState(score) {
+  const position = ((score % SKY_CYCLE) + SKY_CYCLE) % SKY_CYCLE;
+  const nextIndex = SKY_KEYFRAMES.findIndex((frame) => frame.at > position);
+  const to = SKY_KEYFRAMES[nextIndex];
+  const from = SKY_KEYFRAMES[nextIndex - 1];
+  const t = (position - from.at) / (to.at - from.at);
+  return {
+    top: mixColor(from.top, to.top, t),
+    bottom: mixColor(from.bottom, to.bottom, t),
+    night: from.night + (to.night - from.night) * t
+  };
+}
+
+// Star field is fixed - same layout every session
+const STARS = (() => {
+  const random = createRng(0x5747);
+  return Array.from({ length: STAR_COUNT }, () => ({
+    x: random(),
+    y: random(),
+    size: random() < 0.2 ? 3 : 2,
+    phase: random() * Math.PI * 2
+  }));
+})();
+
+// Crescent moon rendered once: full disc with an offset disc cut out of it
+let moonSprite = null;
+function getMoonSprite() {
+  if (moonSprite) return moonSprite;
+  const size = MOON.r * 2 + 4;
+  moonSprite = document.createElement('canvas');
+  moonSprite.width = size;
+  moonSprite.height = size;
+  const ctx = moonSprite.getContext('2d');
+  ctx.fillStyle = '#fff6d5';
+  ctx.beginPath();
+  ctx.arc(size / 2, size / 2, MOON.r, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.globalCompositeOperation = 'destination-out';
+  ctx.beginPath();
+  ctx.arc(size / 2 + MOON.r * 0.55, size / 2 - MOON.r * 0.2, MOON.r * 0.9, 0, Math.PI * 2);
+  ctx.fill();
+  return moonSprite;
+}
+
+/* ====== Draw the sky down to `horizonY` (the ground covers the rest) ====== */
+export function drawSky(ctx, sky, width, horizonY, time) {
+  const gradient = ctx.createLinearGradient(0, 0, 0, horizonY);
+  gradient.addColorStop(0, sky.top);
+  gradient.addColorStop(1, sky.bottom);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, width, horizonY);
+
+  if (sky.night <= 0.01) return;
+
+  ctx.save();
+  ctx.fillStyle = '#fff';
+  const starField = horizonY * 0.7; // keep stars above the glow near the horizon
+  STARS.forEach((star) => {
+    const twinkle = 0.6 + 0.4 * Math.sin(time / 500 + star.phase);
+    ctx.globalAlpha = sky.night * twinkle;
+    ctx.fillRect(Math.round(star.x * width), Math.round(star.y * starField), star.size, star.size);
+  });
+
+  ctx.globalAlpha = sky.night;
+  const moon = getMoonSprite();
+  ctx.drawImage(moon, MOON.x - moon.width / 2, MOON.y - moon.height / 2);
+  ctx.restore();
+}
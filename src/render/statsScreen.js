@@ -0,0 +1,118 @@
+/* ====== Lifetime stats screen ======
+ * Totals at the top, a score histogram in the middle and the cause-of-death split below.
+ */
+import { DEATH_CAUSES, getAverageScore, getMedianScore, getScoreHistogram } from '../game/stats';
+import { drawButton } from './buttons';
+
+const LEFT = 58;
+const RIGHT = 518;
+const TOTALS_Y = 190;
+const TOTALS_STEP = 40;
+const HISTOGRAM = { x: 58, y: 480, w: 460, h: 180 };
+const DEATH_BAR = { x: 58, y: 760, w: 460, h: 36 };
+
+const DEATH_LABELS = { ground: 'Ground', ceiling: 'Ceiling', topPipe: 'Top pipe', bottomPipe: 'Bottom pipe' };
+const DEATH_COLORS = { ground: '#8d6e63', ceiling: '#90caf9', topPipe: '#66bb6a', bottomPipe: '#2e7d32' };
+
+export const STATS_BACK_BUTTON = { x: 188, y: 860, w: 200, h: 64 };
+
+/* ====== Helper: milliseconds -> "1h 05m" / "12m 30s" ====== */
+function formatDuration(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+function drawHistogram(ctx, stats) {
+  const buckets = getScoreHistogram(stats);
+  const mostRuns = Math.max(1, ...buckets.map((bucket) => bucket.runs));
+  const slot = HISTOGRAM.w / buckets.length;
+
+  ctx.fillStyle = '#fff';
+  ctx.font = '24px monospace';
+  ctx.textAlign = 'left';
+  ctx.fillText('Scores', HISTOGRAM.x, HISTOGRAM.y - 24);
+
+  ctx.font = '16px monospace';
+  ctx.textAlign = 'center';
+  buckets.forEach((bucket, i) => {
+    const barH = (bucket.runs / mostRuns) * HISTOGRAM.h;
+    const x = HISTOGRAM.x + i * slot;
+    ctx.fillStyle = '#ffca28';
+    ctx.fillRect(x + 4, HISTOGRAM.y + HISTOGRAM.h - barH, slot - 8, barH);
+    ctx.fillStyle = '#fff';
+    if (bucket.runs > 0) ctx.fillText(String(bucket.runs), x + slot / 2, HISTOGRAM.y + HISTOGRAM.h - barH - 10);
+    ctx.fillText(bucket.to === null ? `${bucket.from}+` : `${bucket.from}-${bucket.to}`, x + slot / 2, HISTOGRAM.y + HISTOGRAM.h + 20);
+  });
+}
+
+function drawDeathCauses(ctx, stats) {
+  const total = DEATH_CAUSES.reduce((sum, cause) => sum + (stats.deaths[cause] || 0), 0);
+
+  ctx.fillStyle = '#fff';
+  ctx.font = '24px monospace';
+  ctx.textAlign = 'left';
+  ctx.fillText('Deaths', DEATH_BAR.x, DEATH_BAR.y - 24);
+
+  // One stacked bar, then a two-column legend with percentages
+  let x = DEATH_BAR.x;
+  DEATH_CAUSES.forEach((cause) => {
+    const w = total > 0 ? ((stats.deaths[cause] || 0) / total) * DEATH_BAR.w : 0;
+    ctx.fillStyle = DEATH_COLORS[cause];
+    ctx.fillRect(x, DEATH_BAR.y, w, DEATH_BAR.h);
+    x += w;
+  });
+  ctx.strokeStyle = '#fff';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(DEATH_BAR.x, DEATH_BAR.y, DEATH_BAR.w, DEATH_BAR.h);
+
+  ctx.font = '18px monospace';
+  DEATH_CAUSES.forEach((cause, i) => {
+    const legendX = DEATH_BAR.x + (i % 2) * (DEATH_BAR.w / 2);
+    const legendY = DEATH_BAR.y + DEATH_BAR.h + 24 + Math.floor(i / 2) * 26;
+    const percent = total > 0 ? Math.round(((stats.deaths[cause] || 0) / total) * 100) : 0;
+    ctx.fillStyle = DEATH_COLORS[cause];
+    ctx.fillRect(legendX, legendY - 8, 16, 16);
+    ctx.fillStyle = '#fff';
+    ctx.fillText(`${DEATH_LABELS[cause]} ${percent}%`, legendX + 24, legendY);
+  });
+}
+
+/* ====== Draw the whole screen ====== */
+export function drawStatsScreen(ctx, { stats, width, height }) {
+  ctx.save();
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.fillStyle = '#fff';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.font = '56px monospace';
+  ctx.fillText('Stats', width / 2, 110);
+
+  const totals = [
+    ['Games played', stats.games],
+    ['Pipes passed', stats.pipes],
+    ['Flaps', stats.flaps],
+    ['Average score', getAverageScore(stats).toFixed(1)],
+    ['Median score', getMedianScore(stats)],
+    ['Longest session', formatDuration(stats.longestSessionMs)]
+  ];
+  ctx.font = '26px monospace';
+  totals.forEach(([label, value], i) => {
+    const y = TOTALS_Y + i * TOTALS_STEP;
+    ctx.textAlign = 'left';
+    ctx.fillText(label, LEFT, y);
+    ctx.textAlign = 'right';
+    ctx.fillText(String(value), RIGHT, y);
+  });
+
+  drawHistogram(ctx, stats);
+  drawDeathCauses(ctx, stats);
+
+  drawButton(ctx, STATS_BACK_BUTTON, 'Back');
+  ctx.restore();
+}
@@ -0,0 +1,103 @@
+/* ====== Designer tuning panel ======
+ * A slider per tuning param (see game/tuning.js) over the bottom of the screen, plus
+ * Reset / Export / Hide. Values that differ from the built-in tuning are highlighted.
+ * Sliders are { x, y, w, h } hit areas like buttons; GameCanvas turns a pointer x into a
+ * value with getSliderValue(). Tuning only reaches Normal, so on other presets the sliders
+ * are dimmed and GameCanvas ignores them.
+ */
+import { TUNING_PARAMS, DEFAULT_TUNING, TUNED_PRESET_ID, snapTuningValue } from '../game/tuning';
+import { drawButton } from './buttons';
+
+export const TUNING_PANEL = { x: 8, y: 680, w: 560, h: 336 };
+export const TUNING_RESET_BUTTON = { x: 240, y: 690, w: 100, h: 44 };
+export const TUNING_EXPORT_BUTTON = { x: 350, y: 690, w: 100, h: 44 };
+export const TUNING_HIDE_BUTTON = { x: 460, y: 690, w: 96, h: 44 };
+
+const ROWS_Y = 746;
+const ROW_HEIGHT = 38;
+const TRACK = { x: 262, w: 286 };
+const KNOB_RADIUS = 11;
+const ACCENT = '#ffca28';
+
+function getParamIndex(key) {
+  return TUNING_PARAMS.findIndex((param) => param.key === key);
+}
+
+// Hit area of a slider - the whole row right of the label
+export function getTuningSlider(key) {
+  return { x: TRACK.x - KNOB_RADIUS, y: ROWS_Y + getParamIndex(key) * ROW_HEIGHT, w: TRACK.w + KNOB_RADIUS * 2, h: ROW_HEIGHT };
+}
+
+export function findTuningSlider(point) {
+  if (!point) return null;
+  const param = TUNING_PARAMS.find(({ key }) => {
+    const slider = getTuningSlider(key);
+    return point.x >= slider.x && point.x <= slider.x + slider.w && point.y >= slider.y && point.y < slider.y + slider.h;
+  });
+  return param ? param.key : null;
+}
+
+/* ====== Helper: pointer x -> the param's value, snapped to its step ====== */
+export function getSliderValue(key, point) {
+  const param = TUNING_PARAMS[getParamIndex(key)];
+  const fraction = Math.max(0, Math.min(1, (point.x - TRACK.x) / TRACK.w));
+  return snapTuningValue(key, param.min + fraction * (param.max - param.min));
+}
+
+function formatValue(param, value) {
+  const places = (String(param.step).split('.')[1] || '').length;
+  return value.toFixed(places);
+}
+
+function drawSlider(ctx, param, value, isActive, enabled) {
+  const rowY = ROWS_Y + getParamIndex(param.key) * ROW_HEIGHT;
+  const centerY = rowY + ROW_HEIGHT / 2;
+  const changed = value !== DEFAULT_TUNING[param.key];
+
+  ctx.globalAlpha = enabled ? 1 : 0.35;
+  ctx.fillStyle = changed ? ACCENT : '#fff';
+  ctx.font = '18px monospace';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(`${param.label} ${formatValue(param, value)}`, TUNING_PANEL.x + 12, centerY);
+
+  const toX = (v) => TRACK.x + ((v - param.min) / (param.max - param.min)) * TRACK.w;
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+  ctx.fillRect(TRACK.x, centerY - 3, TRACK.w, 6);
+
+  // Tick at the built-in value
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(Math.round(toX(DEFAULT_TUNING[param.key])) - 1, centerY - 9, 2, 18);
+
+  ctx.beginPath();
+  ctx.arc(toX(value), centerY, isActive ? KNOB_RADIUS + 3 : KNOB_RADIUS, 0, Math.PI * 2);
+  ctx.fillStyle = changed ? ACCENT : '#fff';
+  ctx.fill();
+}
+
+/* ====== Render ======
+ * tuning: the full tuning in effect. activeKey: the slider being dragged (or null).
+ * presetId: the next run's preset - only Normal is tuned, so on the others the sliders are off.
+ */
+export function drawTuningPanel(ctx, { tuning, activeKey, presetId }) {
+  const enabled = presetId === TUNED_PRESET_ID;
+  ctx.save();
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.fillRect(TUNING_PANEL.x, TUNING_PANEL.y, TUNING_PANEL.w, TUNING_PANEL.h);
+
+  ctx.fillStyle = '#fff';
+  ctx.font = '24px monospace';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('Tuning', TUNING_PANEL.x + 12, TUNING_RESET_BUTTON.y + TUNING_RESET_BUTTON.h / 2 - 8);
+  ctx.font = '14px monospace';
+  ctx.fillStyle = enabled ? 'rgba(255, 255, 255, 0.7)' : ACCENT;
+  ctx.fillText(enabled ? 'Normal preset' : 'Sliders: Normal only', TUNING_PANEL.x + 12, TUNING_RESET_BUTTON.y + TUNING_RESET_BUTTON.h / 2 + 14);
+
+  TUNING_PARAMS.forEach((param) => drawSlider(ctx, param, tuning[param.key], param.key === activeKey, enabled));
+  ctx.restore();
+
+  drawButton(ctx, TUNING_RESET_BUTTON, 'Reset', { font: '20px monospace' });
+  drawButton(ctx, TUNING_EXPORT_BUTTON, 'Export', { font: '20px monospace' });
+  drawButton(ctx, TUNING_HIDE_BUTTON, 'Hide', { font: '20px monospace' });
+}
@@ -0,0 +1,10 @@
+/* ====== Achievement progress - counters and unlock times, kept in the versioned save ====== */
+import { loadSave, updateSave } from './save';
+
+export function loadAchievements() {
+  return loadSave().achievements;
+}
+
+export function saveAchievements(progress) {
+  updateSave((save) => ({ ...save, achievements: progress }));
+}
@@ -0,0 +1,27 @@
+/* ====== Best scores - one per difficulty preset, plus today's Daily Challenge ======
+ * Kept in the versioned save (see save.js), which also took over the old 'bestScores',
+ * 'dailyBest' and single 'best' keys.
+ */
+import { loadSave, updateSave } from './save';
+
+export function loadBestScores() {
+  return loadSave().scores.best;
+}
+
+// Read-modify-write on the stored bests, so a higher one merged from the cloud meanwhile stays
+export function saveBestScore(presetId, score) {
+  updateSave((save) => {
+    const best = Math.max(save.scores.best[presetId] || 0, score);
+    return { ...save, scores: { ...save.scores, best: { ...save.scores.best, [presetId]: best } } };
+  });
+}
+
+// The Daily Challenge best only counts for its own UTC day
+export function loadDailyBest(dayKey) {
+  const { daily } = loadSave().scores;
+  return daily && daily.day === dayKey ? daily.score : 0;
+}
+
+export function saveDailyBest(dayKey, score) {
+  updateSave((save) => ({ ...save, scores: { ...save.scores, daily: { day: dayKey, score } } }));
+}
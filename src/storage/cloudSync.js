@@ -0,0 +1,209 @@
+/* ====== Cloud sync through Telegram CloudStorage ======
+ * localStorage stays the source the game reads and writes; sync() pulls the copy kept
+ * in the player's Telegram CloudStorage, merges it with the local one, writes the result
+ * back to both. Outside Telegram (or on clients older than Bot API 6.9) there is no
+ * cloud and the game simply runs on localStorage; failed syncs are retried on the next call.
+ *
+ * Merging never loses progress on either side. Wallet, medal and stat counts add up: each
+ * save keeps `cloudBase`, its counts as of the last sync, and only what was played since
+ * then is added to the cloud's counts - so two devices playing offline both keep theirs,
+ * and syncing again adds nothing. Best scores, achievement counters and the longest
+ * session take the higher value, owned items and achievements are unioned. Settings and
+ * ghost replays are per device and never leave it.
+ */
+import { loadSave, writeSave, updateSave, migrateSave, createDefaultSave } from './save';
+
+const CLOUD_KEY = 'progress';  // chunks live under progress_0, progress_1, ... and the count under progress_n
+const CLOUD_FORMAT = 1;
+const CHUNK_SIZE = 4000;       // CloudStorage values are capped at 4096 characters
+
+export function getTelegramCloudStorage() {
+  const webApp = window.Telegram && window.Telegram.WebApp;
+  if (!webApp || !webApp.CloudStorage) return null;
+  // Older clients expose the object but reject every call
+  if (webApp.isVersionAtLeast && !webApp.isVersionAtLeast('6.9')) return null;
+  return webApp.CloudStorage;
+}
+
+/* ====== Helper: CloudStorage callback API -> promise ====== */
+function callCloud(cloud, method, ...args) {
+  return new Promise((resolve, reject) => {
+    cloud[method](...args, (error, result) => {
+      if (error) reject(new Error(`CloudStorage.${method} failed: ${error}`));
+      else resolve(result);
+    });
+  });
+}
+
+// Unreadable cloud data (half-written chunks, hand edits) is treated as no data so the next push repairs it
+async function readCloud(cloud) {
+  const count = parseInt(await callCloud(cloud, 'getItem', `${CLOUD_KEY}_n`), 10);
+  if (!count) return null;
+  const keys = Array.from({ length: count }, (_, i) => `${CLOUD_KEY}_${i}`);
+  const values = await callCloud(cloud, 'getItems', keys);
+  try {
+    const doc = JSON.parse(keys.map((key) => values[key]).join(''));
+    return doc && doc.format === CLOUD_FORMAT && doc.save && typeof doc.save === 'object' ? doc : null;
+  } catch (error) {
+    console.error('❌ Ignoring unreadable cloud progress:', error.message);
+    return null;
+  }
+}
+
+// Chunks first, count last - the count never points at chunks that were not written
+async function writeCloud(cloud, doc) {
+  const text = JSON.stringify(doc);
+  const chunks = [];
+  for (let i = 0; i < text.length; i += CHUNK_SIZE) chunks.push(text.slice(i, i + CHUNK_SIZE));
+  await Promise.all(chunks.map((chunk, i) => callCloud(cloud, 'setItem', `${CLOUD_KEY}_${i}`, chunk)));
+  await callCloud(cloud, 'setItem', `${CLOUD_KEY}_n`, String(chunks.length));
+}
+
+/* ====== Merge ====== */
+function maxMap(a = {}, b = {}) {
+  const merged = { ...a };
+  Object.entries(b).forEach(([key, value]) => {
+    merged[key] = Math.max(merged[key] || 0, value);
+  });
+  return merged;
+}
+
+// Unlock times - earliest wins
+function minMap(a = {}, b = {}) {
+  const merged = { ...a };
+  Object.entries(b).forEach(([key, value]) => {
+    merged[key] = merged[key] ? Math.min(merged[key], value) : value;
+  });
+  return merged;
+}
+
+// Today's Daily Challenge best beats an older day's
+function mergeDaily(a, b) {
+  if (!a || !b) return a || b;
+  if (a.day !== b.day) return a.day > b.day ? a : b;
+  return a.score >= b.score ? a : b;
+}
+
+// The cloud's count plus what this device added since the last sync - the change may be
+// negative (coins spent), the total never is
+const addSince = (remote, local, base) => Math.max(0, remote + local - base);
+
+function addSinceMap(remote = {}, local = {}, base = {}) {
+  const merged = { ...remote };
+  Object.entries(local).forEach(([key, value]) => {
+    merged[key] = addSince(merged[key] || 0, value, base[key] || 0);
+  });
+  return merged;
+}
+
+// The counts that add up across devices - what cloudBase records
+function getCounters(save) {
+  const { games, pipes, flaps, scores, deaths } = save.stats;
+  return { wallet: save.wallet, medals: save.medals, stats: { games, pipes, flaps, scores, deaths } };
+}
+
+function mergeCounters(local, remote, base) {
+  // A save whose sync record was lost (dropped as invalid on load) cannot tell what was synced; take maxima once
+  if (!base) {
+    return {
+      wallet: remote.wallet.earned > local.wallet.earned ? remote.wallet : local.wallet,
+      medals: maxMap(local.medals, remote.medals),
+      stats: {
+        games: Math.max(local.stats.games, remote.stats.games),
+        pipes: Math.max(local.stats.pipes, remote.stats.pipes),
+        flaps: Math.max(local.stats.flaps, remote.stats.flaps),
+        scores: maxMap(local.stats.scores, remote.stats.scores),
+        deaths: maxMap(local.stats.deaths, remote.stats.deaths)
+      }
+    };
+  }
+  const add = (pick) => addSince(pick(remote), pick(local), pick(base));
+  return {
+    wallet: { coins: add((save) => save.wallet.coins), earned: add((save) => save.wallet.earned) },
+    medals: addSinceMap(remote.medals, local.medals, base.medals),
+    stats: {
+      games: add((save) => save.stats.games),
+      pipes: add((save) => save.stats.pipes),
+      flaps: add((save) => save.stats.flaps),
+      scores: addSinceMap(remote.stats.scores, local.stats.scores, base.stats.scores),
+      deaths: addSinceMap(remote.stats.deaths, local.stats.deaths, base.stats.deaths)
+    }
+  };
+}
+
+// Local settings, replays and cloudBase are kept as they are
+export function mergeSaves(local, remote) {
+  if (!remote) return local;
+  const { wallet, medals, stats } = mergeCounters(local, remote, local.cloudBase);
+  return {
+    ...local,
+    wallet,
+    cosmetics: {
+      owned: [...new Set([...local.cosmetics.owned, ...remote.cosmetics.owned])],
+      equipped: local.cosmetics.equipped // what this device is wearing stays put
+    },
+    medals,
+    achievements: {
+      counters: maxMap(local.achievements.counters, remote.achievements.counters),
+      unlocked: minMap(local.achievements.unlocked, remote.achievements.unlocked)
+    },
+    stats: { ...stats, longestSessionMs: Math.max(local.stats.longestSessionMs, remote.stats.longestSessionMs) },
+    scores: {
+      best: maxMap(local.scores.best, remote.scores.best),
+      daily: mergeDaily(local.scores.daily, remote.scores.daily)
+    }
+  };
+}
+
+function readRemoteSave(doc) {
+  return migrateSave({ ...doc.save, v: Number.isInteger(doc.save.v) ? doc.save.v : 1 });
+}
+
+// What goes up: the save minus this device's settings, (large) ghost replays and sync record
+function toCloudSave(save) {
+  const defaults = createDefaultSave();
+  return { ...save, settings: defaults.settings, replays: defaults.replays, cloudBase: null };
+}
+
+/* ====== Sync runner ======
+ * sync() resolves true once local and cloud hold the merged progress, false when there
+ * is no cloud or the attempt failed. Calls made while one is running queue behind it.
+ */
+export function createCloudSync(cloud = getTelegramCloudStorage()) {
+  let status = cloud ? 'idle' : 'offline'; // idle | syncing | synced | error | offline (no cloud)
+  let queue = Promise.resolve();
+
+  async function run() {
+    const doc = await readCloud(cloud);
+    // A save written by an older build goes through the usual migrations; a newer one throws
+    const remote = doc && readRemoteSave(doc);
+    const merged = mergeSaves(loadSave(), remote);
+    // Until the push lands the cloud still holds `remote`, so a failed push is merged again next time
+    writeSave(remote ? { ...merged, cloudBase: getCounters(remote) } : merged);
+    await writeCloud(cloud, { format: CLOUD_FORMAT, save: toCloudSave(merged) });
+    // Counts earned while the push was in flight stay above the new base and go up next sync
+    updateSave((save) => ({ ...save, cloudBase: getCounters(merged) }));
+  }
+
+  function sync() {
+    if (!cloud) return Promise.resolve(false);
+    queue = queue.then(() => {
+      status = 'syncing';
+      return run().then(
+        () => {
+          status = 'synced';
+          console.log('☁️ Progress synced with Telegram CloudStorage');
+          return true;
+        },
+        (error) => {
+          status = 'error';
+          console.error('❌ Cloud sync failed, keeping local progress:', error.message);
+          return false;
+        }
+      );
+    });
+    return queue;
+  }
+
+  return { sync, getStatus: () => status };
+}
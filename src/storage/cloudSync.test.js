@@ -0,0 +1,160 @@
+import { mergeSaves, createCloudSync } from './cloudSync';
+import { createMockCloudStorage } from './mockCloudStorage';
+import { SAVE_KEY, createDefaultSave, loadSave, writeSave, updateSave } from './save';
+import { addRun } from '../game/stats';
+
+// One finished run: a score of `score`, earning `score` coins
+function playRun(save, score = 3) {
+  return {
+    ...save,
+    wallet: { coins: save.wallet.coins + score, earned: save.wallet.earned + score },
+    stats: addRun(save.stats, { score, pipes: score, flaps: score * 4, cause: 'ground', sessionMs: 1000 })
+  };
+}
+
+function playRuns(save, runs) {
+  return Array.from({ length: runs }).reduce((next) => playRun(next), save);
+}
+
+// A device is its own localStorage - swap the save in and out to play on another one
+function createDevice() {
+  let stored = null;
+  return {
+    use(change) {
+      if (stored) localStorage.setItem(SAVE_KEY, stored);
+      else localStorage.removeItem(SAVE_KEY);
+      if (change) updateSave(change);
+    },
+    leave() {
+      stored = localStorage.getItem(SAVE_KEY);
+    }
+  };
+}
+
+async function syncOn(device, cloud, change) {
+  device.use(change);
+  const synced = await createCloudSync(cloud).sync();
+  const save = loadSave();
+  device.leave();
+  return { synced, save };
+}
+
+beforeEach(() => {
+  localStorage.clear();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('mergeSaves', () => {
+  // Both devices last synced at `synced`, then played offline
+  const synced = { ...playRuns(createDefaultSave(), 2) };
+  synced.cloudBase = { wallet: synced.wallet, medals: {}, stats: synced.stats };
+
+  test('adds up counts played offline on two devices', () => {
+    const local = playRuns(synced, 3);
+    const remote = { ...playRuns(synced, 4), medals: { bronze: 1 } };
+    const merged = mergeSaves(local, remote);
+    expect(merged.stats.games).toBe(2 + 3 + 4);
+    expect(merged.stats.scores).toEqual({ 3: 9 });
+    expect(merged.stats.deaths).toEqual({ ground: 9 });
+    expect(merged.wallet).toEqual({ coins: 27, earned: 27 });
+    expect(merged.medals).toEqual({ bronze: 1 });
+  });
+
+  test('adds nothing when merged again with what it pushed', () => {
+    const merged = mergeSaves(playRuns(synced, 3), playRuns(synced, 4));
+    const again = { ...merged, cloudBase: { wallet: merged.wallet, medals: merged.medals, stats: merged.stats } };
+    expect(mergeSaves(again, merged)).toEqual(again);
+  });
+
+  test('keeps coins spent on one device and earned on the other', () => {
+    const spent = { ...synced, wallet: { ...synced.wallet, coins: synced.wallet.coins - 5 } };
+    const merged = mergeSaves(spent, playRun(synced));
+    expect(merged.wallet).toEqual({ coins: 6 - 5 + 3, earned: 9 });
+  });
+
+  test('takes maxima for saves without a sync record', () => {
+    const local = { ...playRuns(createDefaultSave(), 3), cloudBase: null };
+    const merged = mergeSaves(local, playRuns(createDefaultSave(), 5));
+    expect(merged.stats.games).toBe(5);
+    expect(merged.wallet.earned).toBe(15);
+  });
+
+  test('keeps the higher bests and the earliest unlocks, and unions owned items', () => {
+    const local = {
+      ...synced,
+      scores: { best: { normal: 12, hard: 3 }, daily: { day: '2026-10-18', score: 9 } },
+      achievements: { counters: { streak: 4 }, unlocked: { first: 200 } },
+      cosmetics: { owned: ['hat-cap'], equipped: { hat: 'hat-cap' } }
+    };
+    const remote = {
+      ...synced,
+      scores: { best: { normal: 8, hard: 7 }, daily: { day: '2026-10-19', score: 2 } },
+      achievements: { counters: { streak: 6 }, unlocked: { first: 100, ten: 300 } },
+      cosmetics: { owned: ['skin-gold'], equipped: { skin: 'skin-gold' } }
+    };
+    const merged = mergeSaves(local, remote);
+    expect(merged.scores).toEqual({ best: { normal: 12, hard: 7 }, daily: { day: '2026-10-19', score: 2 } });
+    expect(merged.achievements).toEqual({ counters: { streak: 6 }, unlocked: { first: 100, ten: 300 } });
+    expect(merged.cosmetics).toEqual({ owned: ['hat-cap', 'skin-gold'], equipped: { hat: 'hat-cap' } });
+  });
+});
+
+describe('cloud sync against the mock CloudStorage', () => {
+  test('writes a large save in chunks and reads it back on another device', async () => {
+    const cloud = createMockCloudStorage();
+    const owned = Array.from({ length: 600 }, (_, i) => `cosmetic-${i}`);
+    const phone = createDevice();
+    const desktop = createDevice();
+
+    expect((await syncOn(phone, cloud, (save) => ({ ...save, cosmetics: { ...save.cosmetics, owned } }))).synced).toBe(true);
+    const items = cloud.dump();
+    expect(Number(items.progress_n)).toBeGreaterThan(1);
+    Object.values(items).forEach((value) => expect(value.length).toBeLessThanOrEqual(4096));
+
+    const { synced, save } = await syncOn(desktop, cloud);
+    expect(synced).toBe(true);
+    expect(save.cosmetics.owned).toEqual(owned);
+  });
+
+  test('keeps the runs of both devices and counts them once', async () => {
+    const cloud = createMockCloudStorage();
+    const phone = createDevice();
+    const desktop = createDevice();
+
+    await syncOn(phone, cloud, (save) => playRuns(save, 3));
+    await syncOn(desktop, cloud, (save) => playRuns(save, 2));
+    await syncOn(desktop, cloud);
+    const { save } = await syncOn(phone, cloud);
+    expect(save.stats.games).toBe(5);
+    expect(save.wallet).toEqual({ coins: 15, earned: 15 });
+    expect((await syncOn(desktop, cloud)).save.stats.games).toBe(5);
+  });
+
+  test('resolves false and keeps local progress when the cloud is unreachable', async () => {
+    const cloud = createMockCloudStorage({ offline: true });
+    writeSave(playRuns(createDefaultSave(), 2));
+    const sync = createCloudSync(cloud);
+    expect(await sync.sync()).toBe(false);
+    expect(sync.getStatus()).toBe('error');
+    expect(loadSave().stats.games).toBe(2);
+
+    // Back online, the runs played meanwhile still go up
+    updateSave((save) => playRun(save));
+    cloud.setOffline(false);
+    expect(await sync.sync()).toBe(true);
+    const desktop = createDevice();
+    expect((await syncOn(desktop, cloud)).save.stats.games).toBe(3);
+  });
+
+  test('treats half-written chunks as no data and repairs them', async () => {
+    const cloud = createMockCloudStorage({ initial: { progress_n: '2', progress_0: '{"format":1,"save":' } });
+    writeSave(playRun(createDefaultSave()));
+    expect(await createCloudSync(cloud).sync()).toBe(true);
+    expect(JSON.parse(cloud.dump().progress_0).save.stats.games).toBe(1);
+  });
+});
@@ -0,0 +1,68 @@
+/* ====== Owned and equipped cosmetics - kept in the versioned save (see save.js) ====== */
+import { loadSave, updateSave } from './save';
+import {
+  COSMETICS,
+  COSMETIC_SLOTS,
+  DEFAULT_EQUIPPED,
+  DEFAULT_OWNED,
+  getCosmetic,
+  isMilestoneReached
+} from '../cosmetics/catalog';
+
+// Saved ids checked against the catalog - unknown items dropped, defaults always owned
+function resolveCosmetics(saved) {
+  const owned = [...new Set([...DEFAULT_OWNED, ...saved.owned.filter((id) => getCosmetic(id))])];
+  const equipped = { ...DEFAULT_EQUIPPED };
+  COSMETIC_SLOTS.forEach((slot) => {
+    const item = getCosmetic(saved.equipped[slot]);
+    if (item && item.slot === slot && owned.includes(item.id)) equipped[slot] = item.id;
+  });
+  return { owned, equipped };
+}
+
+export function getCosmetics() {
+  return resolveCosmetics(loadSave().cosmetics);
+}
+
+/* ====== Buy with coins - returns false when locked behind a milestone or unaffordable ====== */
+export function purchaseCosmetic(id) {
+  const item = getCosmetic(id);
+  if (!item || !item.price) return false;
+
+  let bought = false;
+  updateSave((save) => {
+    const cosmetics = resolveCosmetics(save.cosmetics);
+    if (cosmetics.owned.includes(id) || save.wallet.coins < item.price) return save;
+    bought = true;
+    return {
+      ...save,
+      wallet: { ...save.wallet, coins: save.wallet.coins - item.price },
+      cosmetics: { ...cosmetics, owned: [...cosmetics.owned, id] }
+    };
+  });
+  if (bought) console.log(`🛍️ Bought ${item.name} for ${item.price} coins`);
+  return bought;
+}
+
+/* ====== Grant every milestone item `progress` has reached - returns the newly unlocked items ====== */
+export function unlockMilestones(progress) {
+  let unlocked = [];
+  updateSave((save) => {
+    const cosmetics = resolveCosmetics(save.cosmetics);
+    unlocked = COSMETICS.filter((item) => !cosmetics.owned.includes(item.id) && isMilestoneReached(item, progress));
+    if (unlocked.length === 0) return save;
+    return { ...save, cosmetics: { ...cosmetics, owned: [...cosmetics.owned, ...unlocked.map((item) => item.id)] } };
+  });
+  unlocked.forEach((item) => console.log(`🏅 Unlocked ${item.name}`));
+  return unlocked;
+}
+
+export function equipCosmetic(id) {
+  const item = getCosmetic(id);
+  if (!item) return getCosmetics();
+  return resolveCosmetics(updateSave((save) => {
+    const cosmetics = resolveCosmetics(save.cosmetics);
+    if (!cosmetics.owned.includes(id)) return save;
+    return { ...save, cosmetics: { ...cosmetics, equipped: { ...cosmetics.equipped, [item.slot]: id } } };
+  }).cosmetics);
+}
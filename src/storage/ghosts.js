@@ -0,0 +1,38 @@
+/* ====== Ghost runs - the replay behind each personal best ======
+ * One ghost per preset best, plus one following the Daily Challenge best. Stored as
+ * replay codes in the versioned save; a code that no longer decodes counts as no ghost.
+ */
+import { loadSave, updateSave } from './save';
+import { encodeReplay, decodeReplay } from '../game/replay';
+
+function decodeGhost(code) {
+  if (!code) return null;
+  try {
+    return decodeReplay(code);
+  } catch (error) {
+    console.error('❌ Ignoring unreadable ghost:', error.message);
+    return null;
+  }
+}
+
+function updateReplays(change) {
+  updateSave((save) => ({ ...save, replays: { ...save.replays, ...change(save.replays) } }));
+}
+
+export function loadGhost(presetId) {
+  return decodeGhost(loadSave().replays.ghosts[presetId]);
+}
+
+export function saveGhost(presetId, replay) {
+  updateReplays((replays) => ({ ghosts: { ...replays.ghosts, [presetId]: encodeReplay(replay) } }));
+  console.log(`👻 Ghost saved (${presetId}): ${replay.flaps.length} flaps, score ${replay.score}`);
+}
+
+export function loadDailyGhost() {
+  return decodeGhost(loadSave().replays.daily);
+}
+
+export function saveDailyGhost(replay) {
+  updateReplays(() => ({ daily: encodeReplay(replay) }));
+  console.log(`👻 Daily ghost saved: ${replay.flaps.length} flaps, score ${replay.score}`);
+}
@@ -0,0 +1,14 @@
+/* ====== Medal counts - how often each medal was earned, kept in the versioned save ====== */
+import { loadSave, updateSave } from './save';
+
+export function getMedalCounts() {
+  return loadSave().medals;
+}
+
+// Returns the updated counts
+export function recordMedal(medalId) {
+  return updateSave((save) => ({
+    ...save,
+    medals: { ...save.medals, [medalId]: (save.medals[medalId] || 0) + 1 }
+  })).medals;
+}
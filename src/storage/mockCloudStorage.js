@@ -0,0 +1,59 @@
+/* ====== In-memory stand-in for Telegram.WebApp.CloudStorage ======
+ * Same callback API as the real thing (callback(error, result), error is a string),
+ * so cloud sync can be exercised outside Telegram - in Node, or in the browser with
+ * `?cloud=mock`. `offline: true` makes every call fail like a dropped connection.
+ */
+const KEY_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const MAX_VALUE_LENGTH = 4096;
+
+export function createMockCloudStorage({ initial = {}, offline = false, latency = 0 } = {}) {
+  const items = new Map(Object.entries(initial));
+  let isOffline = offline;
+
+  // Answer asynchronously, like the Telegram client does
+  function respond(callback, error, result) {
+    if (callback) setTimeout(() => callback(error, result), latency);
+  }
+
+  function check(keys) {
+    if (isOffline) return 'NETWORK_ERROR';
+    return keys.every((key) => KEY_PATTERN.test(key)) ? null : 'KEY_INVALID';
+  }
+
+  return {
+    setItem(key, value, callback) {
+      const error = check([key]) || (String(value).length > MAX_VALUE_LENGTH ? 'VALUE_TOO_LONG' : null);
+      if (!error) items.set(key, String(value));
+      respond(callback, error, !error);
+    },
+    getItem(key, callback) {
+      const error = check([key]);
+      respond(callback, error, error ? undefined : items.get(key) || '');
+    },
+    getItems(keys, callback) {
+      const error = check(keys);
+      respond(callback, error, error ? undefined : Object.fromEntries(keys.map((key) => [key, items.get(key) || ''])));
+    },
+    removeItem(key, callback) {
+      const error = check([key]);
+      if (!error) items.delete(key);
+      respond(callback, error, !error);
+    },
+    removeItems(keys, callback) {
+      const error = check(keys);
+      if (!error) keys.forEach((key) => items.delete(key));
+      respond(callback, error, !error);
+    },
+    getKeys(callback) {
+      const error = check([]);
+      respond(callback, error, error ? undefined : [...items.keys()]);
+    },
+    // Test helpers - not part of the Telegram API
+    setOffline(value) {
+      isOffline = value;
+    },
+    dump() {
+      return Object.fromEntries(items);
+    }
+  };
+}
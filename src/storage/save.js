@@ -0,0 +1,288 @@
+/* ====== Versioned save data ======
+ * Everything that has to survive sessions lives in one JSON document under SAVE_KEY:
+ *   { v: SAVE_VERSION, wallet: { coins, earned }, cosmetics: { owned: [id], equipped: { slot: id } },
+ *     medals: { [medalId]: timesEarned },
+ *     achievements: { counters: { [name]: number }, unlocked: { [achievementId]: unlockedAtMs } },
+ *     stats: { games, pipes, flaps, scores: { [score]: runs }, deaths: { [cause]: runs }, longestSessionMs },
+ *     scores: { best: { [presetId]: score }, daily: { day: 'YYYY-MM-DD', score } | null },
+ *     settings: { preset: presetId, sound: { muted, volume, music }, collision: 'forgiving' | 'strict' },
+ *     replays: { ghosts: { [presetId]: replayCode }, daily: replayCode | null },
+ *     cloudBase: { wallet, medals, stats } | null }  - counters as of the last cloud sync (see cloudSync.js)
+ * Every field is validated on load - a tampered or corrupt value falls back to its default
+ * instead of reaching the game. Before the save existed, scores, settings and ghosts were
+ * loose localStorage keys; the first load folds them in once and removes them (LEGACY_KEYS).
+ * A later format bumps SAVE_VERSION and adds a step to MIGRATIONS.
+ *
+ * Where localStorage is unavailable (private mode, some webviews) the save lives in
+ * memory and progress lasts for the session. A save this build cannot read (written by a
+ * newer build) is never overwritten: the session plays on defaults kept in memory instead.
+ */
+import { createStats } from '../game/stats';
+import { PRESET_IDS, DEFAULT_PRESET_ID, isPresetId } from '../game/presets';
+import { COLLISION_MODES, DEFAULT_COLLISION_MODE } from '../game/collision';
+
+export const SAVE_KEY = 'plushpepe.save';
+export const SAVE_VERSION = 1;
+const CORRUPT_SAVE_KEY = 'plushpepe.save.corrupt'; // last unreadable document, kept for recovery by hand
+
+export const DEFAULT_SOUND_SETTINGS = { muted: false, volume: 0.8, music: false };
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// MIGRATIONS[n] turns a version n document into version n + 1 - none yet
+const MIGRATIONS = {};
+
+/* ====== Helper: localStorage, or memory when it is unavailable ======
+ * Some webviews throw on any access, private Safari on every write. The first failure
+ * switches this session to memory so reads keep matching what was last written.
+ */
+const memoryStorage = new Map();
+let storageAvailable = null;
+let sessionOnlySave = null; // set when the stored save is left alone - loadSave / writeSave use this instead
+
+function getLocalStorage() {
+  if (storageAvailable === null) {
+    try {
+      const probe = `${SAVE_KEY}.probe`;
+      window.localStorage.setItem(probe, probe);
+      window.localStorage.removeItem(probe);
+      storageAvailable = true;
+    } catch (error) {
+      storageAvailable = false;
+      console.warn('⚠️ localStorage unavailable - progress will only last this session');
+    }
+  }
+  return storageAvailable ? window.localStorage : null;
+}
+
+function readItem(key) {
+  const storage = getLocalStorage();
+  if (storage) return storage.getItem(key);
+  return memoryStorage.has(key) ? memoryStorage.get(key) : null;
+}
+
+function writeItem(key, value) {
+  const storage = getLocalStorage();
+  if (storage) {
+    try {
+      storage.setItem(key, value);
+      return;
+    } catch (error) {
+      console.error('❌ Failed to write save data, keeping it in memory:', error.message);
+      storageAvailable = false;
+    }
+  }
+  memoryStorage.set(key, value);
+}
+
+function removeItem(key) {
+  const storage = getLocalStorage();
+  if (storage) storage.removeItem(key);
+  else memoryStorage.delete(key);
+}
+
+/* ====== Helper: loose keys from before the save ======
+ * 'best' is the original single high score (earned on Normal), 'test' a debug leftover.
+ * Normal's ghost kept the plain 'ghost' key, other presets used 'ghost:<presetId>'.
+ */
+const LEGACY_KEYS = [
+  'best', 'bestScores', 'dailyBest', 'preset', 'soundSettings', 'dailyGhost', 'test',
+  ...PRESET_IDS.map(legacyGhostKey)
+];
+
+function legacyGhostKey(presetId) {
+  return presetId === DEFAULT_PRESET_ID ? 'ghost' : `ghost:${presetId}`;
+}
+
+function readLegacyJson(key) {
+  try {
+    return JSON.parse(readItem(key));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Values are copied as found - normalizeSave() validates them like any other field
+function adoptLegacyKeys(save) {
+  const bestScores = readLegacyJson('bestScores');
+  const best = bestScores && typeof bestScores === 'object'
+    ? bestScores
+    : { [DEFAULT_PRESET_ID]: parseInt(readItem('best'), 10) }; // NaN when missing or garbage
+  const ghosts = {};
+  PRESET_IDS.forEach((presetId) => {
+    const code = readItem(legacyGhostKey(presetId));
+    if (code) ghosts[presetId] = code;
+  });
+  return {
+    ...save,
+    scores: { best, daily: readLegacyJson('dailyBest') },
+    settings: { preset: readItem('preset'), sound: readLegacyJson('soundSettings') },
+    replays: { ghosts, daily: readItem('dailyGhost') }
+  };
+}
+
+export function createDefaultSave() {
+  return {
+    v: SAVE_VERSION,
+    wallet: { coins: 0, earned: 0 }, // spendable balance, lifetime total
+    cosmetics: { owned: [], equipped: {} }, // catalog ids - defaults are implied (see storage/cosmetics.js)
+    medals: {}, // times each medal was earned (see game/medals.js)
+    achievements: { counters: {}, unlocked: {} }, // see achievements/catalog.js
+    stats: createStats(), // see game/stats.js
+    scores: { best: {}, daily: null }, // see storage/bestScores.js
+    settings: { preset: DEFAULT_PRESET_ID, sound: { ...DEFAULT_SOUND_SETTINGS }, collision: DEFAULT_COLLISION_MODE }, // see storage/settings.js
+    replays: { ghosts: {}, daily: null }, // encoded ghost runs, see storage/ghosts.js
+    cloudBase: { wallet: { coins: 0, earned: 0 }, medals: {}, stats: createStats() } // see storage/cloudSync.js
+  };
+}
+
+const isObject = (value) => Boolean(value) && typeof value === 'object';
+const toCount = (value) => (Number.isInteger(value) && value > 0 ? value : 0);
+const toCountMap = (value) => (isObject(value)
+  ? Object.fromEntries(Object.entries(value).map(([key, count]) => [key, toCount(count)]))
+  : {});
+
+const toCode = (value) => (typeof value === 'string' && value ? value : null);
+
+// Keeps known preset ids only, each value passed through toValue
+function toPresetMap(value, toValue) {
+  if (!isObject(value)) return {};
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([presetId]) => isPresetId(presetId))
+      .map(([presetId, entry]) => [presetId, toValue(entry)])
+  );
+}
+
+// wallet, medals and stats - also the shape of cloudBase
+function normalizeCounters(value) {
+  const wallet = isObject(value.wallet) ? value.wallet : {};
+  const stats = isObject(value.stats) ? value.stats : {};
+  return {
+    wallet: { coins: toCount(wallet.coins), earned: toCount(wallet.earned) },
+    medals: toCountMap(value.medals),
+    stats: {
+      games: toCount(stats.games),
+      pipes: toCount(stats.pipes),
+      flaps: toCount(stats.flaps),
+      scores: toCountMap(stats.scores),
+      deaths: toCountMap(stats.deaths),
+      longestSessionMs: toCount(stats.longestSessionMs)
+    }
+  };
+}
+
+function normalizeSound(sound) {
+  const value = isObject(sound) ? sound : {};
+  return {
+    muted: value.muted === true,
+    volume: Number.isFinite(value.volume) ? Math.max(0, Math.min(1, value.volume)) : DEFAULT_SOUND_SETTINGS.volume,
+    music: value.music === true
+  };
+}
+
+// Fill gaps and drop bad values so callers can trust every field
+function normalizeSave(data) {
+  const defaults = createDefaultSave();
+  const { wallet, medals, stats } = normalizeCounters(data);
+  const cosmetics = data.cosmetics || {};
+  const equipped = cosmetics.equipped && typeof cosmetics.equipped === 'object' ? cosmetics.equipped : {};
+  const achievements = data.achievements || {};
+  const scores = data.scores || {};
+  const daily = scores.daily;
+  const settings = data.settings || {};
+  const replays = data.replays || {};
+  return {
+    ...defaults,
+    wallet,
+    cosmetics: {
+      owned: Array.isArray(cosmetics.owned) ? cosmetics.owned.filter((id) => typeof id === 'string') : [],
+      equipped: Object.fromEntries(Object.entries(equipped).filter(([, id]) => typeof id === 'string'))
+    },
+    medals,
+    achievements: { counters: toCountMap(achievements.counters), unlocked: toCountMap(achievements.unlocked) },
+    stats,
+    scores: {
+      best: toPresetMap(scores.best, toCount),
+      daily: isObject(daily) && DAY_PATTERN.test(daily.day) ? { day: daily.day, score: toCount(daily.score) } : null
+    },
+    settings: {
+      preset: isPresetId(settings.preset) ? settings.preset : DEFAULT_PRESET_ID,
+      sound: normalizeSound(settings.sound),
+      collision: COLLISION_MODES.includes(settings.collision) ? settings.collision : DEFAULT_COLLISION_MODE
+    },
+    replays: {
+      ghosts: Object.fromEntries(Object.entries(toPresetMap(replays.ghosts, toCode)).filter(([, code]) => code)),
+      daily: toCode(replays.daily)
+    },
+    cloudBase: isObject(data.cloudBase) ? normalizeCounters(data.cloudBase) : null
+  };
+}
+
+export function migrateSave(data) {
+  let current = data;
+  while (current.v < SAVE_VERSION) {
+    const migrate = MIGRATIONS[current.v];
+    if (!migrate) throw new Error(`No save migration from version ${current.v}`);
+    current = { ...migrate(current), v: current.v + 1 };
+  }
+  if (current.v > SAVE_VERSION) throw new Error(`Save version ${current.v} is newer than this build`);
+  return normalizeSave(current);
+}
+
+// No document yet: a new player, or one from before the save existed - their loose keys
+// are adopted once. Nothing on it has been synced, so every count is new to the cloud.
+function createFirstSave() {
+  const save = normalizeSave(adoptLegacyKeys(createDefaultSave()));
+  writeSave(save);
+  LEGACY_KEYS.forEach(removeItem);
+  return save;
+}
+
+export function loadSave() {
+  if (sessionOnlySave) return sessionOnlySave;
+  const raw = readItem(SAVE_KEY);
+  if (!raw) return createFirstSave();
+  let data;
+  try {
+    data = JSON.parse(raw);
+    if (!isObject(data)) throw new Error('Save is not an object');
+  } catch (error) {
+    console.error('❌ Unreadable save data, starting fresh:', error.message);
+    writeItem(CORRUPT_SAVE_KEY, raw);
+    writeItem(SAVE_KEY, JSON.stringify(createDefaultSave()));
+    return createDefaultSave();
+  }
+
+  const version = Number.isInteger(data.v) ? data.v : 1;
+  try {
+    const save = migrateSave({ ...data, v: version });
+    if (version < SAVE_VERSION) {
+      // Upgraded - store it once so the migrations are not needed again
+      writeSave(save);
+      console.log(`💾 Save upgraded from version ${version} to ${SAVE_VERSION}`);
+    }
+    return save;
+  } catch (error) {
+    // Most likely written by a newer build - play on defaults rather than guess at its fields,
+    // and keep the stored document intact for that build
+    console.error('❌ Failed to load save data, this session will not be saved:', error.message);
+    sessionOnlySave = createDefaultSave();
+    return sessionOnlySave;
+  }
+}
+
+export function writeSave(data) {
+  if (sessionOnlySave) {
+    sessionOnlySave = { ...data, v: SAVE_VERSION };
+    return;
+  }
+  writeItem(SAVE_KEY, JSON.stringify({ ...data, v: SAVE_VERSION }));
+}
+
+// Read-modify-write helper: `change` receives the current save and returns the next one
+export function updateSave(change) {
+  const next = change(loadSave());
+  writeSave(next);
+  return next;
+}
@@ -0,0 +1,33 @@
+/* ====== Player settings - difficulty preset, sound and collision mode, kept in the versioned save ====== */
+import { loadSave, updateSave } from './save';
+
+function updateSettings(change) {
+  return updateSave((save) => ({ ...save, settings: { ...save.settings, ...change } })).settings;
+}
+
+// Last chosen difficulty preset
+export function loadPresetId() {
+  return loadSave().settings.preset;
+}
+
+export function savePresetId(preset) {
+  updateSettings({ preset });
+}
+
+// { muted, volume, music } - see audio/soundEngine.js
+export function loadSoundSettings() {
+  return loadSave().settings.sound;
+}
+
+export function saveSoundSettings(sound) {
+  updateSettings({ sound });
+}
+
+// 'forgiving' | 'strict' - see game/collision.js
+export function loadCollisionMode() {
+  return loadSave().settings.collision;
+}
+
+export function saveCollisionMode(collision) {
+  updateSettings({ collision });
+}
@@ -0,0 +1,12 @@
+/* ====== Lifetime statistics - kept in the versioned save (see game/stats.js) ====== */
+import { loadSave, updateSave } from './save';
+import { addRun } from '../game/stats';
+
+export function getStats() {
+  return loadSave().stats;
+}
+
+// Returns the updated stats
+export function recordRunStats(run) {
+  return updateSave((save) => ({ ...save, stats: addRun(save.stats, run) })).stats;
+}
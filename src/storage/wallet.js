@@ -0,0 +1,15 @@
+/* ====== Coin wallet - balance kept in the versioned save (see save.js) ====== */
+import { loadSave, updateSave } from './save';
+
+export function getWallet() {
+  return loadSave().wallet;
+}
+
+// Bank the coins picked up in a run; returns the new wallet
+export function depositCoins(amount) {
+  if (!Number.isInteger(amount) || amount <= 0) return getWallet();
+  return updateSave((save) => ({
+    ...save,
+    wallet: { coins: save.wallet.coins + amount, earned: save.wallet.earned + amount }
+  })).wallet;
+}
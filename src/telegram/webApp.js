@@ -0,0 +1,132 @@
+/* ====== Telegram Mini App integration ======
+ * One wrapper around Telegram.WebApp for everything the game uses: haptics, the native
+ * MainButton / BackButton, theme colors and app lifecycle events. Outside Telegram (the SDK
+ * script also loads in plain browsers, but without initData) or on clients too old for a
+ * feature, the matching calls are no-ops, so callers never check for Telegram themselves.
+ *
+ * The WebApp object can be passed in - tests and Node scripts hand over a stub instead of
+ * setting up window.Telegram.
+ */
+
+// Bot API version each feature needs
+const HAPTICS_VERSION = '6.1';
+const BACK_BUTTON_VERSION = '6.1';
+const BACKGROUND_COLOR_VERSION = '6.1';
+
+// Game event -> HapticFeedback call
+const HAPTICS = {
+  flap: ['impactOccurred', 'light'],
+  score: ['impactOccurred', 'medium'],
+  shield: ['impactOccurred', 'heavy'],
+  crash: ['notificationOccurred', 'error']
+};
+
+// Colors used when Telegram sends no theme (or there is no Telegram)
+const DEFAULT_THEMES = {
+  dark: { letterbox: '#222222', accent: '#ffca28', accentText: '#222222' },
+  light: { letterbox: '#e8f4f5', accent: '#ffca28', accentText: '#222222' }
+};
+
+export function getTelegramWebApp() {
+  const webApp = window.Telegram && window.Telegram.WebApp;
+  return webApp && webApp.initData ? webApp : null;
+}
+
+/* ====== Helper: themeParams + colorScheme -> the colors the game paints with ====== */
+export function getTheme(webApp) {
+  const scheme = webApp && webApp.colorScheme === 'light' ? 'light' : 'dark';
+  const params = (webApp && webApp.themeParams) || {};
+  const defaults = DEFAULT_THEMES[scheme];
+  return {
+    scheme,
+    letterbox: params.bg_color || defaults.letterbox,
+    accent: params.button_color || defaults.accent,
+    accentText: params.button_text_color || defaults.accentText
+  };
+}
+
+export function createTelegramIntegration(webApp = getTelegramWebApp()) {
+  const subscriptions = []; // [eventName, handler] registered through on(), removed by dispose()
+  let mainButtonHandler = null;
+  let backButtonHandler = null;
+
+  function supports(version) {
+    return Boolean(webApp && (!webApp.isVersionAtLeast || webApp.isVersionAtLeast(version)));
+  }
+
+  function on(eventName, handler) {
+    if (!webApp || !webApp.onEvent) return;
+    webApp.onEvent(eventName, handler);
+    subscriptions.push([eventName, handler]);
+  }
+
+  // kind: flap | score | shield | crash
+  function haptic(kind) {
+    if (!supports(HAPTICS_VERSION) || !webApp.HapticFeedback || !HAPTICS[kind]) return;
+    const [method, style] = HAPTICS[kind];
+    webApp.HapticFeedback[method](style);
+  }
+
+  // Shows the MainButton with `text`, calling onClick when pressed; text = null hides it
+  function setMainButton(text, onClick) {
+    if (!webApp || !webApp.MainButton) return;
+    const button = webApp.MainButton;
+    if (mainButtonHandler) button.offClick(mainButtonHandler);
+    mainButtonHandler = null;
+    if (!text) {
+      button.hide();
+      return;
+    }
+    mainButtonHandler = onClick;
+    button.setText(text);
+    button.onClick(mainButtonHandler);
+    button.show();
+  }
+
+  // Shows the BackButton calling onClick when pressed; onClick = null hides it
+  function setBackButton(onClick) {
+    if (!supports(BACK_BUTTON_VERSION) || !webApp.BackButton) return;
+    const button = webApp.BackButton;
+    if (backButtonHandler) button.offClick(backButtonHandler);
+    backButtonHandler = onClick;
+    if (!onClick) {
+      button.hide();
+      return;
+    }
+    button.onClick(backButtonHandler);
+    button.show();
+  }
+
+  // Calls onChange(theme) now and again whenever the user switches theme or color scheme
+  function followTheme(onChange) {
+    function apply() {
+      const theme = getTheme(webApp);
+      if (supports(BACKGROUND_COLOR_VERSION) && webApp.setBackgroundColor) webApp.setBackgroundColor(theme.letterbox);
+      onChange(theme);
+    }
+    apply();
+    on('themeChanged', apply);
+  }
+
+  // Mini App minimized or the user switched chats (Bot API 8.0 - older clients never fire it)
+  function onDeactivated(handler) {
+    on('deactivated', handler);
+  }
+
+  function dispose() {
+    subscriptions.forEach(([eventName, handler]) => webApp.offEvent && webApp.offEvent(eventName, handler));
+    subscriptions.length = 0;
+    setMainButton(null);
+    setBackButton(null);
+  }
+
+  return {
+    isAvailable: Boolean(webApp),
+    haptic,
+    setMainButton,
+    setBackButton,
+    followTheme,
+    onDeactivated,
+    dispose
+  };
+}
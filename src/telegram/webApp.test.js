@@ -0,0 +1,159 @@
+import { createTelegramIntegration, getTelegramWebApp, getTheme } from './webApp';
+
+// Telegram.WebApp as a client on Bot API `version` hands it to the page
+function createWebAppStub({ version = '7.0', colorScheme = 'dark', themeParams = {} } = {}) {
+  const handlers = {};
+  const createButton = () => ({ setText: jest.fn(), onClick: jest.fn(), offClick: jest.fn(), show: jest.fn(), hide: jest.fn() });
+  return {
+    initData: 'query_id=stub',
+    version,
+    colorScheme,
+    themeParams,
+    isVersionAtLeast: (wanted) => parseFloat(version) >= parseFloat(wanted),
+    HapticFeedback: { impactOccurred: jest.fn(), notificationOccurred: jest.fn() },
+    MainButton: createButton(),
+    BackButton: createButton(),
+    setBackgroundColor: jest.fn(),
+    onEvent: jest.fn((name, handler) => { handlers[name] = handler; }),
+    offEvent: jest.fn((name) => { delete handlers[name]; }),
+    // Test helper - fires an event the way the client would
+    emit(name) {
+      if (handlers[name]) handlers[name]();
+    }
+  };
+}
+
+let webApp;
+
+beforeEach(() => {
+  webApp = createWebAppStub();
+  window.Telegram = { WebApp: webApp };
+});
+
+afterEach(() => {
+  delete window.Telegram;
+});
+
+describe('haptics', () => {
+  test('maps game events to HapticFeedback calls', () => {
+    const telegram = createTelegramIntegration();
+    telegram.haptic('flap');
+    telegram.haptic('score');
+    telegram.haptic('shield');
+    telegram.haptic('crash');
+    expect(webApp.HapticFeedback.impactOccurred.mock.calls).toEqual([['light'], ['medium'], ['heavy']]);
+    expect(webApp.HapticFeedback.notificationOccurred.mock.calls).toEqual([['error']]);
+  });
+
+  test('ignores unknown events and clients older than 6.1', () => {
+    createTelegramIntegration().haptic('wobble');
+    window.Telegram.WebApp = createWebAppStub({ version: '6.0' });
+    createTelegramIntegration().haptic('flap');
+    expect(webApp.HapticFeedback.impactOccurred).not.toHaveBeenCalled();
+    expect(window.Telegram.WebApp.HapticFeedback.impactOccurred).not.toHaveBeenCalled();
+  });
+});
+
+describe('MainButton and BackButton', () => {
+  test('shows the MainButton with its text and swaps the click handler', () => {
+    const telegram = createTelegramIntegration();
+    const play = jest.fn();
+    const retry = jest.fn();
+    telegram.setMainButton('PLAY', play);
+    expect(webApp.MainButton.setText).toHaveBeenCalledWith('PLAY');
+    expect(webApp.MainButton.onClick).toHaveBeenCalledWith(play);
+    expect(webApp.MainButton.show).toHaveBeenCalled();
+
+    telegram.setMainButton('RETRY', retry);
+    expect(webApp.MainButton.offClick).toHaveBeenCalledWith(play);
+    expect(webApp.MainButton.onClick).toHaveBeenLastCalledWith(retry);
+
+    telegram.setMainButton(null);
+    expect(webApp.MainButton.offClick).toHaveBeenLastCalledWith(retry);
+    expect(webApp.MainButton.hide).toHaveBeenCalled();
+  });
+
+  test('shows the BackButton while a handler is set', () => {
+    const telegram = createTelegramIntegration();
+    const back = jest.fn();
+    telegram.setBackButton(back);
+    expect(webApp.BackButton.onClick).toHaveBeenCalledWith(back);
+    expect(webApp.BackButton.show).toHaveBeenCalled();
+
+    telegram.setBackButton(null);
+    expect(webApp.BackButton.offClick).toHaveBeenCalledWith(back);
+    expect(webApp.BackButton.hide).toHaveBeenCalled();
+  });
+
+  test('dispose hides both buttons and drops event handlers', () => {
+    const telegram = createTelegramIntegration();
+    const pause = jest.fn();
+    telegram.setMainButton('PLAY', jest.fn());
+    telegram.setBackButton(jest.fn());
+    telegram.onDeactivated(pause);
+    telegram.dispose();
+    expect(webApp.MainButton.hide).toHaveBeenCalled();
+    expect(webApp.BackButton.hide).toHaveBeenCalled();
+    webApp.emit('deactivated');
+    expect(pause).not.toHaveBeenCalled();
+  });
+});
+
+describe('theme', () => {
+  test('maps themeParams to the game colors', () => {
+    const themeParams = { bg_color: '#17212b', button_color: '#5288c1', button_text_color: '#ffffff' };
+    expect(getTheme(createWebAppStub({ themeParams }))).toEqual({
+      scheme: 'dark',
+      letterbox: '#17212b',
+      accent: '#5288c1',
+      accentText: '#ffffff'
+    });
+  });
+
+  test('falls back to the defaults of the color scheme', () => {
+    expect(getTheme(createWebAppStub({ colorScheme: 'light' }))).toEqual({
+      scheme: 'light',
+      letterbox: '#e8f4f5',
+      accent: '#ffca28',
+      accentText: '#222222'
+    });
+  });
+
+  test('follows theme changes and paints the Telegram background', () => {
+    const onChange = jest.fn();
+    createTelegramIntegration().followTheme(onChange);
+    expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ scheme: 'dark', letterbox: '#222222' }));
+
+    webApp.colorScheme = 'light';
+    webApp.themeParams = { bg_color: '#ffffff' };
+    webApp.emit('themeChanged');
+    expect(onChange).toHaveBeenCalledTimes(2);
+    expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({ scheme: 'light', letterbox: '#ffffff' }));
+    expect(webApp.setBackgroundColor).toHaveBeenLastCalledWith('#ffffff');
+  });
+});
+
+describe('outside Telegram', () => {
+  test('the SDK script without initData counts as no Telegram', () => {
+    window.Telegram = { WebApp: { ...webApp, initData: '' } };
+    expect(getTelegramWebApp()).toBeNull();
+    expect(createTelegramIntegration().isAvailable).toBe(false);
+  });
+
+  test('every call is a no-op', () => {
+    delete window.Telegram;
+    const telegram = createTelegramIntegration();
+    const onChange = jest.fn();
+    expect(telegram.isAvailable).toBe(false);
+    expect(() => {
+      telegram.haptic('crash');
+      telegram.setMainButton('PLAY', jest.fn());
+      telegram.setMainButton(null);
+      telegram.setBackButton(jest.fn());
+      telegram.onDeactivated(jest.fn());
+      telegram.followTheme(onChange);
+      telegram.dispose();
+    }).not.toThrow();
+    expect(onChange).toHaveBeenCalledWith(getTheme(null));
+  });
+});